@@ -0,0 +1,244 @@
+// --- DOM Capstone: Accessibility Helpers ---
+
+// Elements a keyboard user can reach inside a dialog
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Controls inside a grid item, taken out of the Tab order with their item
+const ITEM_CONTROLS = 'a[href], button, input, select, textarea';
+
+// Screen-reader announcements through visually hidden ARIA live regions
+class LiveRegion {
+    // Read `message` out; errors interrupt whatever is being read, anything else waits
+    static announce(message, type = 'success') {
+        const region = LiveRegion.region(type === 'error' ? 'assertive' : 'polite');
+        // Clear first so the same message twice in a row is read twice
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    static region(politeness) {
+        const id = `liveRegion-${politeness}`;
+        let region = document.getElementById(id);
+        if (!region) {
+            region = render.element('div', {
+                id,
+                className: 'visually-hidden',
+                role: politeness === 'assertive' ? 'alert' : 'status',
+                'aria-live': politeness,
+                'aria-atomic': 'true'
+            });
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+}
+
+// Remove a toast after `delay` ms, but never while the pointer or keyboard focus
+// is on it (so its Undo button can still be reached)
+const dismissWhenIdle = (element, delay) => {
+    setTimeout(function dismiss() {
+        if (!element.parentNode) return;
+        if (element.matches(':hover') || element.contains(document.activeElement)) {
+            setTimeout(dismiss, 1000);
+            return;
+        }
+        element.remove();
+    }, delay);
+};
+
+// Modal dialogs in place of confirm() and prompt(): focus moves into the dialog,
+// Tab stays inside it, Escape cancels and focus returns to where it was
+class Dialog {
+    // Ask a question; resolves true when confirmed. `danger` marks destructive
+    // actions, which start with focus on Cancel.
+    static confirm({ title, message, confirmLabel = I18n.t('common.ok'), cancelLabel = I18n.t('common.cancel'), danger = false }) {
+        return Dialog.open({
+            title,
+            content: render.element('p', { className: 'dialog-message' }, message),
+            buttons: [
+                { label: cancelLabel, className: 'btn-secondary', value: false },
+                { label: confirmLabel, className: danger ? 'btn-danger' : 'btn-primary', value: true }
+            ],
+            initialFocus: danger ? 0 : 1,
+            cancelValue: false
+        });
+    }
+
+    // Show `text` selected in a read-only field for copying by hand
+    static showText({ title, message, text }) {
+        const field = render.element('input', { type: 'text', className: 'dialog-text', value: text, readonly: true, 'aria-label': title });
+        return Dialog.open({
+            title,
+            content: [render.element('p', { className: 'dialog-message' }, message), field],
+            buttons: [{ label: I18n.t('common.close'), className: 'btn-primary', value: null }],
+            initialFocus: field,
+            cancelValue: null
+        }).then(() => undefined);
+    }
+
+    // Open a dialog; resolves with the chosen button's `value`, or `cancelValue`
+    // on Escape. `initialFocus` is a button index or an element in `content`.
+    static open({ title, content, buttons, initialFocus = 0, cancelValue }) {
+        const previous = document.activeElement;
+        const id = `dialog-${Date.now()}`;
+
+        return new Promise(resolve => {
+            // Everything behind the dialog is taken out of reach until it closes
+            const background = [...document.body.children].filter(element => !element.inert && !element.id.startsWith('liveRegion-'));
+
+            const close = (value) => {
+                backdrop.remove();
+                background.forEach(element => {
+                    element.inert = false;
+                });
+                if (previous && previous.isConnected) previous.focus();
+                resolve(value);
+            };
+
+            const buttonElements = buttons.map(({ label, className, value }) =>
+                render.element('button', { type: 'button', className, onClick: () => close(value) }, label));
+
+            const dialog = render.element('div', {
+                className: 'dialog',
+                role: 'dialog',
+                'aria-modal': 'true',
+                'aria-labelledby': `${id}-title`,
+                'aria-describedby': `${id}-content`
+            },
+                render.element('h2', { id: `${id}-title`, className: 'dialog-title' }, title),
+                render.element('div', { id: `${id}-content` }, content),
+                render.element('div', { className: 'dialog-actions' }, buttonElements)
+            );
+            const backdrop = render.element('div', { className: 'dialog-backdrop' }, dialog);
+
+            dialog.addEventListener('keydown', (e) => {
+                // Page shortcuts (Escape resets forms, Ctrl+Z undoes) don't apply under a dialog
+                e.stopPropagation();
+
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    close(cancelValue);
+                    return;
+                }
+
+                if (e.key === 'Tab') {
+                    const focusable = [...dialog.querySelectorAll(FOCUSABLE)];
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    if (e.shiftKey && document.activeElement === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                }
+            });
+
+            document.body.appendChild(backdrop);
+            background.forEach(element => {
+                element.inert = true;
+            });
+
+            const target = typeof initialFocus === 'number' ? buttonElements[initialFocus] : initialFocus;
+            target.focus();
+            if (target.select) target.select();
+        });
+    }
+}
+
+// Arrow-key navigation across a grid of items with a single Tab stop (roving
+// tabindex). Items are `container` children matching `itemSelector`, each with a
+// data-id; `onActivate(id)` runs on Enter and `onDelete(id)` on Delete.
+class RovingFocus {
+    constructor(container, { itemSelector, onActivate, onDelete }) {
+        this.container = container;
+        this.itemSelector = itemSelector;
+        this.onActivate = onActivate;
+        this.onDelete = onDelete;
+        this.activeId = null;
+
+        container.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Clicking or tabbing into an item makes it the Tab stop
+        container.addEventListener('focusin', (e) => {
+            const item = e.target.closest(this.itemSelector);
+            if (item && item.dataset.id !== this.activeId) this.setActive(item.dataset.id);
+        });
+    }
+
+    items() {
+        return [...this.container.querySelectorAll(this.itemSelector)];
+    }
+
+    // Re-apply the Tab stop after the items were re-rendered; `id` picks a new active item
+    refresh(id = this.activeId) {
+        const items = this.items();
+        const active = items.find(item => item.dataset.id === String(id)) || items[0];
+        this.setActive(active ? active.dataset.id : null);
+    }
+
+    // Only the active item, and the controls inside it, are in the Tab order
+    setActive(id) {
+        this.activeId = id === null ? null : String(id);
+        this.items().forEach(item => {
+            const active = item.dataset.id === this.activeId;
+            item.tabIndex = active ? 0 : -1;
+            item.querySelectorAll(ITEM_CONTROLS).forEach(control => {
+                control.tabIndex = active ? 0 : -1;
+            });
+        });
+    }
+
+    // Focus an item by id (the first one when it isn't shown); false when there are none
+    focus(id = this.activeId) {
+        this.refresh(id);
+        const item = this.items().find(entry => entry.dataset.id === this.activeId);
+        if (!item) return false;
+        item.focus();
+        return true;
+    }
+
+    // Items per row, read from the layout
+    columns() {
+        const items = this.items();
+        if (items.length === 0) return 1;
+        return items.filter(item => item.offsetTop === items[0].offsetTop).length || 1;
+    }
+
+    handleKeydown(e) {
+        const item = e.target.closest(this.itemSelector);
+        // Keys pressed on a button or checkbox inside the item keep their own meaning
+        if (!item || e.target !== item || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        const items = this.items();
+        const index = items.indexOf(item);
+        const columns = this.columns();
+        const moves = {
+            ArrowRight: index + 1,
+            ArrowLeft: index - 1,
+            ArrowDown: index + columns,
+            ArrowUp: index - columns,
+            Home: 0,
+            End: items.length - 1
+        };
+
+        if (e.key in moves) {
+            e.preventDefault();
+            const next = items[Math.max(0, Math.min(items.length - 1, moves[e.key]))];
+            this.focus(next.dataset.id);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.onActivate(item.dataset.id);
+        } else if (e.key === 'Delete') {
+            e.preventDefault();
+            this.onDelete(item.dataset.id);
+        }
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LiveRegion, Dialog, RovingFocus, dismissWhenIdle };
+}
@@ -0,0 +1,108 @@
+// --- DOM Capstone: Character Attributes and Item Effects ---
+
+// Core attributes, in display order; names come from the message catalogs (see Attributes.label)
+const ATTRIBUTES = [
+    { key: 'health', emoji: '❤️' },
+    { key: 'strength', emoji: '💪' },
+    { key: 'defense', emoji: '🛡️' },
+    { key: 'magic', emoji: '✨' }
+];
+
+// Largest bonus or penalty a single item can carry per attribute
+const MAX_MODIFIER = 100;
+
+class Attributes {
+    // An attribute's name in the current language
+    static label(key) {
+        return I18n.t(`attribute.${key}`);
+    }
+
+    // Fresh copy of the starting attributes for a character type (see TypeRegistry)
+    static defaultsFor(type) {
+        return { ...TypeRegistry.characterType(type).attributes };
+    }
+
+    // A character's own attributes, before any items
+    static base(character) {
+        return { ...Attributes.defaultsFor(character.type), ...(character.attributes || {}) };
+    }
+
+    // Base attributes plus the modifiers of every equipped item
+    static effective(character) {
+        const totals = Attributes.base(character);
+        character.bag
+            .filter(item => item.equipped && Attributes.isEquippable(item))
+            .forEach(item => {
+                ATTRIBUTES.forEach(({ key }) => {
+                    totals[key] += Attributes.modifier(item, key);
+                });
+            });
+        ATTRIBUTES.forEach(({ key }) => {
+            totals[key] = Math.max(0, totals[key]);
+        });
+        return totals;
+    }
+
+    // Item types give their effects while equipped, or once when used up
+    static isEquippable(item) {
+        return TypeRegistry.itemType(item.type).use === 'equip';
+    }
+
+    static isConsumable(item) {
+        return TypeRegistry.itemType(item.type).use === 'consume';
+    }
+
+    // One attribute's modifier on an item (0 when it has none)
+    static modifier(item, key) {
+        const value = item.modifiers ? Number(item.modifiers[key]) : 0;
+        return Number.isFinite(value) ? value : 0;
+    }
+
+    // Short text such as "+5 Strength, -2 Magic"; empty when the item has no effects
+    static describeModifiers(item) {
+        return ATTRIBUTES
+            .filter(({ key }) => Attributes.modifier(item, key) !== 0)
+            .map(({ key }) => {
+                const value = Attributes.modifier(item, key);
+                return I18n.t('attribute.modifier', { value: `${value > 0 ? '+' : ''}${I18n.formatNumber(value)}`, attribute: Attributes.label(key) });
+            })
+            .join(', ');
+    }
+
+    // Read modifier inputs named "mod-<attribute>" from form data, dropping zeros
+    static readModifiers(formData) {
+        const modifiers = {};
+        ATTRIBUTES.forEach(({ key }) => {
+            const value = Number(formData.get(`mod-${key}`) || 0);
+            if (value !== 0) modifiers[key] = value;
+        });
+        return modifiers;
+    }
+
+    // Use one of a consumable item: its modifiers are added to the base attributes
+    // for good and the stack shrinks by one. Returns an updated copy of the character.
+    static consume(character, itemId) {
+        const next = JSON.parse(JSON.stringify(character));
+        const index = next.bag.findIndex(item => sameId(item.id, itemId));
+        const item = next.bag[index];
+        if (!item || !Attributes.isConsumable(item)) return null;
+
+        const attributes = Attributes.base(next);
+        ATTRIBUTES.forEach(({ key }) => {
+            attributes[key] = Math.max(0, attributes[key] + Attributes.modifier(item, key));
+        });
+        next.attributes = attributes;
+
+        if (itemQuantity(item) > 1) {
+            item.quantity = itemQuantity(item) - 1;
+        } else {
+            next.bag.splice(index, 1);
+        }
+        return next;
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Attributes, ATTRIBUTES, MAX_MODIFIER };
+}
@@ -0,0 +1,180 @@
+// --- DOM Capstone: Item Catalog ---
+
+// Local Storage Keys
+const CATALOG_KEY = 'dragonRuneCatalog';
+
+// Marks files written by the catalog export
+const CATALOG_FORMAT = 'dragonRuneCatalog';
+
+// Starting templates, used until the catalog is changed
+const DEFAULT_TEMPLATES = [
+    { id: 'rune-of-power', type: 'Rune', name: 'Rune of Power', description: 'Increases magical abilities', weight: 0.5, modifiers: { magic: 5 } },
+    { id: 'flame-sword', type: 'Weapon', name: 'Flame Sword', description: 'A sword that burns with eternal fire', weight: 5, modifiers: { strength: 6 } },
+    { id: 'health-elixir', type: 'Potion', name: 'Health Elixir', description: 'Restores vitality and energy', weight: 1, modifiers: { health: 20 } },
+    { id: 'ancient-coin', type: 'Treasure', name: 'Ancient Coin', description: 'A coin from a forgotten empire', weight: 0.1, modifiers: {} },
+    { id: 'dragon-scale-mail', type: 'Armor', name: 'Dragon Scale Mail', description: 'Armor made from dragon scales', weight: 15, modifiers: { defense: 8 } },
+    { id: 'rune-of-wisdom', type: 'Rune', name: 'Rune of Wisdom', description: 'Enhances knowledge and insight', weight: 0.5, modifiers: { magic: 3, defense: 1 } },
+    { id: 'ice-bow', type: 'Weapon', name: 'Ice Bow', description: 'Shoots arrows of pure ice', weight: 3, modifiers: { strength: 4, magic: 1 } },
+    { id: 'mana-brew', type: 'Potion', name: 'Mana Brew', description: 'Restores magical energy', weight: 1, modifiers: { magic: 2 } }
+];
+
+// Thrown when a catalog file can't be used at all
+class CatalogImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CatalogImportError';
+    }
+}
+
+// Reusable item templates: type, name, description, weight and effects
+class ItemCatalog {
+    static all() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CATALOG_KEY));
+            if (Array.isArray(stored)) return stored;
+        } catch (error) {
+            console.error('Error loading catalog:', error);
+        }
+        return DEFAULT_TEMPLATES.map(template => ({ ...template, modifiers: { ...template.modifiers } }));
+    }
+
+    static save(templates) {
+        localStorage.setItem(CATALOG_KEY, JSON.stringify(templates));
+    }
+
+    // Templates whose name or description contains `text`, optionally of one type
+    static search(text = '', type = '') {
+        const needle = text.trim().toLowerCase();
+        return this.all().filter(template =>
+            (!type || template.type === type) &&
+            (!needle || `${template.name} ${template.description}`.toLowerCase().includes(needle)));
+    }
+
+    static random() {
+        const templates = this.all();
+        return templates.length ? templates[Math.floor(Math.random() * templates.length)] : null;
+    }
+
+    // Template for a bag item: everything but its quantity, state and dates
+    static fromItem(item) {
+        return {
+            id: this.generateId(),
+            type: item.type,
+            name: item.name,
+            description: item.description || '',
+            weight: Encumbrance.itemWeight(item),
+            modifiers: { ...(item.modifiers || {}) }
+        };
+    }
+
+    // Bag item (one of it) made from a template
+    static toItem(template) {
+        return {
+            id: this.generateId(),
+            type: template.type,
+            name: template.name,
+            description: template.description || '',
+            quantity: 1,
+            weight: Encumbrance.itemWeight(template),
+            equipped: false,
+            modifiers: { ...(template.modifiers || {}) },
+            addedAt: new Date().toISOString()
+        };
+    }
+
+    // Add a template, replacing one with the same name; returns true when it replaced one
+    static saveTemplate(template) {
+        const templates = this.all();
+        const index = templates.findIndex(held => held.name.toLowerCase() === template.name.toLowerCase());
+        if (index === -1) {
+            templates.push(template);
+        } else {
+            templates[index] = { ...template, id: templates[index].id };
+        }
+        this.save(templates);
+        return index !== -1;
+    }
+
+    static removeTemplate(id) {
+        this.save(this.all().filter(template => !sameId(template.id, id)));
+    }
+
+    // Problem with a template, or null; uses the item rules for a single item
+    static templateError(template) {
+        return validators.itemError({ ...template, quantity: 1 });
+    }
+
+    // Download the catalog as a .json file
+    static exportCatalog() {
+        const text = JSON.stringify({
+            format: CATALOG_FORMAT,
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            templates: this.all()
+        }, null, 2);
+        RosterTransfer.download('dragon-rune-catalog.json', text, 'application/json');
+    }
+
+    // Read templates from an export file (or a bare array of them)
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new CatalogImportError(I18n.t('import.invalidJson'));
+        }
+
+        const templates = Array.isArray(data) ? data : data && data.templates;
+        if (!Array.isArray(templates)) {
+            throw new CatalogImportError(I18n.t('catalog.noCatalog'));
+        }
+
+        return templates
+            .filter(template => template && typeof template === 'object')
+            .map(template => ItemCatalog.clean(template));
+    }
+
+    // Trim text fields the same way the item form does
+    static clean(template) {
+        const text = (value) => (value === undefined || value === null ? '' : String(value)).trim();
+        return {
+            ...template,
+            id: template.id === undefined || template.id === null ? ItemCatalog.generateId() : template.id,
+            type: text(template.type),
+            name: text(template.name),
+            description: text(template.description),
+            modifiers: template.modifiers || {}
+        };
+    }
+
+    // Merge imported templates by name; returns { added, replaced, invalid }
+    static importTemplates(templates) {
+        const counts = { added: 0, replaced: 0, invalid: 0 };
+        templates.forEach(template => {
+            if (this.templateError(template)) {
+                counts.invalid++;
+                return;
+            }
+            const replaced = this.saveTemplate({ ...template, weight: Encumbrance.itemWeight(template) });
+            counts[replaced ? 'replaced' : 'added']++;
+        });
+        return counts;
+    }
+
+    // Call `listener()` whenever another tab changes the catalog
+    static subscribe(listener) {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== CATALOG_KEY && event.key !== null) return;
+            listener();
+        });
+    }
+
+    static generateId() {
+        return `${Date.now()}${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItemCatalog, CatalogImportError };
+}
@@ -0,0 +1,113 @@
+// --- DOM Capstone: SVG Charts ---
+
+// Colors handed out to chart series in order
+const CHART_COLORS = ['#ffcc02', '#ff7043', '#42a5f5', '#66bb6a', '#ab47bc', '#26c6da', '#ec407a', '#8d6e63'];
+
+// Longest label drawn next to a bar before it is shortened (the full text is in its tooltip)
+const CHART_LABEL_LENGTH = 14;
+
+// Small dependency-free charts. Every chart takes `data` as [{ label, value }] and
+// returns an <svg> that scales to its container; labels are always inserted as text.
+class Charts {
+    // Horizontal bars, one row per entry
+    static bar(data, { title, unit = '' } = {}) {
+        const rowHeight = 26;
+        const labelWidth = 110;
+        const barWidth = 230;
+        const max = Math.max(1, ...data.map(entry => entry.value));
+        const height = Math.max(1, data.length) * rowHeight;
+
+        return render.svg('svg', { viewBox: `0 0 400 ${height}`, className: 'chart chart-bar', role: 'img', 'aria-label': title },
+            render.svg('title', {}, title),
+            data.map((entry, index) => {
+                const y = index * rowHeight;
+                const width = (entry.value / max) * barWidth;
+                return render.svg('g', {},
+                    render.svg('title', {}, `${entry.label}: ${entry.value}${unit}`),
+                    render.svg('text', { x: labelWidth - 8, y: y + rowHeight / 2, className: 'chart-label', 'text-anchor': 'end', 'dominant-baseline': 'middle' },
+                        this.shorten(entry.label)),
+                    render.svg('rect', { x: labelWidth, y: y + 4, width: Math.max(width, entry.value > 0 ? 2 : 0), height: rowHeight - 8, rx: 3, fill: this.color(entry, index) }),
+                    render.svg('text', { x: labelWidth + width + 6, y: y + rowHeight / 2, className: 'chart-value', 'dominant-baseline': 'middle' },
+                        `${entry.value}${unit}`)
+                );
+            })
+        );
+    }
+
+    // Share of a whole as a ring; pair with `legend` to name the slices
+    static donut(data, { title } = {}) {
+        const total = data.reduce((sum, entry) => sum + entry.value, 0);
+        // r = 100 / 2π, so the circumference (and every dash length) is in percent
+        const radius = 15.915;
+        let offset = 25;
+
+        const slices = data.map((entry, index) => {
+            const share = total > 0 ? (entry.value / total) * 100 : 0;
+            const slice = render.svg('circle', {
+                cx: 21, cy: 21, r: radius,
+                fill: 'none',
+                stroke: this.color(entry, index),
+                'stroke-width': 6,
+                'stroke-dasharray': `${share} ${100 - share}`,
+                'stroke-dashoffset': offset
+            }, render.svg('title', {}, `${entry.label}: ${entry.value} (${Math.round(share)}%)`));
+            offset -= share;
+            return slice;
+        });
+
+        return render.svg('svg', { viewBox: '0 0 42 42', className: 'chart chart-donut', role: 'img', 'aria-label': title },
+            render.svg('title', {}, title),
+            render.svg('circle', { cx: 21, cy: 21, r: radius, fill: 'none', className: 'chart-track', 'stroke-width': 6 }),
+            slices,
+            render.svg('text', { x: 21, y: 21, className: 'chart-total', 'text-anchor': 'middle', 'dominant-baseline': 'middle' }, total)
+        );
+    }
+
+    // Vertical columns in order, e.g. a timeline; only some labels are drawn when crowded
+    static columns(data, { title } = {}) {
+        const chartHeight = 120;
+        const labelHeight = 20;
+        const slot = 400 / Math.max(1, data.length);
+        const max = Math.max(1, ...data.map(entry => entry.value));
+        const labelEvery = Math.ceil(data.length / 6);
+
+        return render.svg('svg', { viewBox: `0 0 400 ${chartHeight + labelHeight}`, className: 'chart chart-columns', role: 'img', 'aria-label': title },
+            render.svg('title', {}, title),
+            render.svg('line', { x1: 0, y1: chartHeight, x2: 400, y2: chartHeight, className: 'chart-axis' }),
+            data.map((entry, index) => {
+                const height = (entry.value / max) * (chartHeight - 14);
+                const x = index * slot;
+                return render.svg('g', {},
+                    render.svg('title', {}, `${entry.label}: ${entry.value}`),
+                    render.svg('rect', { x: x + slot * 0.15, y: chartHeight - height, width: slot * 0.7, height, rx: 2, fill: this.color(entry, 0) }),
+                    entry.value > 0 && render.svg('text', { x: x + slot / 2, y: chartHeight - height - 3, className: 'chart-value', 'text-anchor': 'middle' }, entry.value),
+                    index % labelEvery === 0 && render.svg('text', { x: x + slot / 2, y: chartHeight + 14, className: 'chart-label', 'text-anchor': 'middle' }, entry.label)
+                );
+            })
+        );
+    }
+
+    // Color key for a chart drawn from the same data
+    static legend(data) {
+        return render.element('ul', { className: 'chart-legend' },
+            data.map((entry, index) => render.element('li', {},
+                render.element('span', { className: 'chart-swatch', style: `background: ${this.color(entry, index)}` }),
+                `${entry.label} (${entry.value})`
+            ))
+        );
+    }
+
+    static color(entry, index) {
+        return entry.color || CHART_COLORS[index % CHART_COLORS.length];
+    }
+
+    static shorten(label) {
+        const text = String(label);
+        return text.length > CHART_LABEL_LENGTH ? `${text.slice(0, CHART_LABEL_LENGTH - 1)}…` : text;
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Charts, CHART_COLORS };
+}
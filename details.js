@@ -5,17 +5,52 @@ const characterInfo = document.getElementById('characterInfo');
 const itemForm = document.getElementById('itemForm');
 const bagItems = document.getElementById('bagItems');
 const itemCount = document.getElementById('itemCount');
-
-// Local Storage Keys
-const CHARACTERS_KEY = 'dragonRuneCharacters';
-const FALLBACK_IMAGE = 'assets/images/ravenis.png';
+const bagCapacity = document.getElementById('bagCapacity');
+const capacityFill = document.getElementById('capacityFill');
+const capacityText = document.getElementById('capacityText');
+const bagStats = document.getElementById('bagStats');
+const itemFormTitle = document.getElementById('itemFormTitle');
+const itemSubmitBtn = document.getElementById('itemSubmitBtn');
+const cancelItemEditBtn = document.getElementById('cancelItemEditBtn');
+const tradeBtn = document.getElementById('tradeBtn');
+const exportMenu = document.getElementById('exportMenu');
+const sharePreview = document.getElementById('sharePreview');
+const addSharedBtn = document.getElementById('addSharedBtn');
+const givePanel = document.getElementById('givePanel');
+const giveTitle = document.getElementById('giveTitle');
+const giveRecipient = document.getElementById('giveRecipient');
+const giveQuantity = document.getElementById('giveQuantity');
+const confirmGiveBtn = document.getElementById('confirmGiveBtn');
+const cancelGiveBtn = document.getElementById('cancelGiveBtn');
+const tradePanel = document.getElementById('tradePanel');
+const tradePartner = document.getElementById('tradePartner');
+const tradeOwnTitle = document.getElementById('tradeOwnTitle');
+const tradePartnerTitle = document.getElementById('tradePartnerTitle');
+const tradeOwnItems = document.getElementById('tradeOwnItems');
+const tradePartnerItems = document.getElementById('tradePartnerItems');
+const confirmTradeBtn = document.getElementById('confirmTradeBtn');
+const cancelTradeBtn = document.getElementById('cancelTradeBtn');
+const catalogSearch = document.getElementById('catalogSearch');
+const catalogType = document.getElementById('catalogType');
+const catalogList = document.getElementById('catalogList');
+const suggestItemBtn = document.getElementById('suggestItemBtn');
+const exportCatalogBtn = document.getElementById('exportCatalogBtn');
+const importCatalogBtn = document.getElementById('importCatalogBtn');
+const importCatalogFile = document.getElementById('importCatalogFile');
+const relationshipsSection = document.getElementById('relationshipsSection');
+const relationshipList = document.getElementById('relationshipList');
+const relationshipForm = document.getElementById('relationshipForm');
 
 // Character Detail Manager
 class CharacterDetailManager {
     constructor() {
-        this.characterIndex = null;
+        this.characterId = null;
         this.character = null;
         this.characters = [];
+        this.editingItemId = null;
+        this.givingItemId = null;
+        // True while showing a character from a share link that isn't in the roster
+        this.preview = false;
         
         this.initializeDetail();
     }
@@ -23,11 +58,35 @@ class CharacterDetailManager {
     // Initialize the detail page
     async initializeDetail() {
         try {
-            // Get character index from sessionStorage
-            this.characterIndex = sessionStorage.getItem('selectedCharacterIndex');
+            // Open the roster database (migrating localStorage data on first use)
+            await CharacterRepository.init();
+
+            CharacterExport.attachMenu(exportMenu, () => [this.character], {
+                showMessage: (message, type) => this.showMessage(message, type),
+                emptyMessage: 'export.noCharacter'
+            });
+            I18n.subscribe(() => this.refreshLanguage());
+
+            // A pasted share link only changes the fragment, so reload to open it
+            window.addEventListener('hashchange', () => {
+                if (ShareLink.fromHash(window.location.hash) !== null) window.location.reload();
+            });
+
+            // Shared characters (detail.html#share=...) open as a read-only preview
+            const shared = ShareLink.fromHash(window.location.hash);
+            if (shared !== null) {
+                await this.openSharePreview(shared);
+                return;
+            }
+
+            // Get character id from the URL (detail.html?id=...)
+            this.characterId = new URLSearchParams(window.location.search).get('id');
+
+            // Older links only left an array index in sessionStorage
+            const legacyIndex = sessionStorage.getItem('selectedCharacterIndex');
             
-            if (this.characterIndex === null) {
-                this.showError('No character selected. Redirecting to gallery...');
+            if (this.characterId === null && legacyIndex === null) {
+                this.showError(I18n.t('detail.noneSelected'));
                 setTimeout(() => window.location.href = 'index.html', 2000);
                 return;
             }
@@ -36,101 +95,462 @@ class CharacterDetailManager {
             this.loadCharacters();
             
             // Get specific character
-            this.character = this.characters[parseInt(this.characterIndex)];
+            if (this.characterId !== null) {
+                this.character = this.characters.find(char => sameId(char.id, this.characterId));
+            } else {
+                this.character = this.resolveLegacyCharacter(legacyIndex);
+            }
             
             if (!this.character) {
-                this.showError('Character not found. Redirecting to gallery...');
+                this.showError(I18n.t('detail.notFound'));
                 setTimeout(() => window.location.href = 'index.html', 2000);
                 return;
             }
 
-            // Initialize page
-            this.renderCharacterInfo();
-            this.renderBag();
-            this.initializeEventListeners();
-            
-            console.log('✨ Character detail loaded:', this.character.name);
+            this.showCharacter();
             
         } catch (error) {
             console.error('Error initializing character detail:', error);
-            this.showError('Error loading character. Please try again.');
+            this.showError(I18n.t('detail.loadError'));
+        }
+    }
+
+    // Initialize page for a roster character
+    showCharacter() {
+        this.renderItemTypeOptions();
+        this.renderCharacterInfo();
+        this.renderRelationships();
+        this.renderBag();
+        this.renderCatalog();
+        this.initializeEventListeners();
+        this.focusHeading();
+
+        console.log('✨ Character detail loaded:', this.character.name);
+    }
+
+    // Start keyboard and screen-reader users at the character's name
+    focusHeading() {
+        characterInfo.querySelector('h2').focus();
+    }
+
+    // Show a shared character read-only, with a button to add it to the roster
+    async openSharePreview(payload) {
+        try {
+            this.character = await ShareLink.decode(payload);
+        } catch (error) {
+            console.error('Error opening share link:', error);
+            this.showError(error instanceof ShareLinkError ? error.message : I18n.t('share.openError'));
+            return;
+        }
+
+        this.preview = true;
+        this.loadCharacters();
+        document.body.classList.add('share-preview');
+        sharePreview.style.display = 'flex';
+        // Links to the sender's characters aren't shared
+        relationshipsSection.style.display = 'none';
+        addSharedBtn.addEventListener('click', () => this.addSharedCharacter());
+
+        this.renderCharacterInfo();
+        this.renderBag();
+        this.focusHeading();
+        this.showTitle();
+    }
+
+    // Add the previewed character under `name`; a taken name offers the next free one
+    addSharedCharacter(name = this.character.name) {
+        if (!this.preview) return;
+
+        this.loadCharacters();
+        const record = {
+            ...this.character,
+            id: RosterTransfer.freeId(null, this.characters),
+            name,
+            createdAt: new Date().toISOString()
+        };
+
+        const error = validators.characterError(record, this.characters);
+        if (error) {
+            const taken = this.characters.some(char => char.name.toLowerCase() === name.toLowerCase());
+            const free = RosterTransfer.freeName(name, this.characters);
+            this.showMessage(error, 'error', taken ? [{ label: I18n.t('share.addAs', { name: free }), onClick: () => this.addSharedCharacter(free) }] : []);
+            return;
+        }
+
+        if (!this.saveCharacters([record])) {
+            return;
         }
+        CommandHistory.record(I18n.t('history.add', { name: record.name }), [CommandHistory.change(null, record)]);
+
+        // Leave the preview: the page now shows the roster copy
+        this.preview = false;
+        this.characterId = String(record.id);
+        this.character = this.characters.find(char => sameId(char.id, record.id));
+        history.replaceState(null, '', `detail.html?id=${encodeURIComponent(this.characterId)}`);
+        document.body.classList.remove('share-preview');
+        sharePreview.style.display = 'none';
+        relationshipsSection.style.display = '';
+        this.showCharacter();
+        this.showMessage(I18n.t('share.joined', { name: record.name }), 'success', this.undoAction());
     }
 
-    // Load characters from localStorage
+    // Copy a link that previews this character (and its bag) for someone else
+    async shareCharacter() {
+        try {
+            const url = await ShareLink.url(this.character);
+            const note = ShareLink.dropsPortrait(this.character) ? ` ${I18n.t('share.portraitNote')}` : '';
+            try {
+                await navigator.clipboard.writeText(url);
+                this.showMessage(`${I18n.t('share.copied')}${note}`);
+            } catch (error) {
+                // No clipboard access (e.g. plain http): let the user copy it by hand
+                await Dialog.showText({ title: I18n.t('share.title'), message: `${I18n.t('share.copyPrompt')}${note}`, text: url });
+            }
+        } catch (error) {
+            console.error('Error creating share link:', error);
+            this.showMessage(I18n.t('share.createError'), 'error');
+        }
+    }
+
+    // Look up a character by its old sessionStorage index and switch the URL to its id
+    resolveLegacyCharacter(legacyIndex) {
+        sessionStorage.removeItem('selectedCharacterIndex');
+
+        const character = this.characters[parseInt(legacyIndex)];
+        if (!character) return null;
+
+        this.characterId = String(character.id);
+        history.replaceState(null, '', `detail.html?id=${encodeURIComponent(this.characterId)}`);
+        return character;
+    }
+
+    // Write this character back into the roster by id, leaving other characters as stored;
+    // `before` is the snapshot taken ahead of the change, recorded for undo under `label`
+    storeCharacter(label, before) {
+        if (this.saveCharacters([this.character])) {
+            CommandHistory.record(label, [CommandHistory.change(before, this.character)]);
+        }
+    }
+
+    // Copy of the character as it is now, taken before changing it in place
+    snapshotCharacter() {
+        return JSON.parse(JSON.stringify(this.character));
+    }
+
+    // Load characters through the shared repository
     loadCharacters() {
         try {
-            const stored = localStorage.getItem(CHARACTERS_KEY);
-            this.characters = stored ? JSON.parse(stored) : [];
+            this.characters = CharacterRepository.loadAll();
         } catch (error) {
             console.error('Error loading characters:', error);
+            if (error instanceof CorruptDataError) {
+                this.showMessage(error.message, 'error');
+            }
             this.characters = [];
         }
     }
 
-    // Save characters to localStorage
-    saveCharacters() {
+    // Save changed characters, merging with whatever other tabs stored meanwhile
+    saveCharacters(records) {
         try {
-            localStorage.setItem(CHARACTERS_KEY, JSON.stringify(this.characters));
+            this.characters = CharacterRepository.saveRecords(records);
+            return true;
         } catch (error) {
             console.error('Error saving characters:', error);
-            this.showMessage('Error saving changes!', 'error');
+            this.showMessage(I18n.t(StorageQuota.isQuotaError(error) ? 'storage.full' : 'detail.saveError'), 'error');
+            return false;
+        }
+    }
+
+    // Undo the latest change in this session's history
+    undo() {
+        this.stepHistory('undo');
+    }
+
+    // Redo the latest undone change
+    redo() {
+        this.stepHistory('redo');
+    }
+
+    // Run one undo/redo step and offer the opposite one in the message
+    stepHistory(direction) {
+        // A shared preview isn't in the roster, so the roster's history doesn't apply to it
+        if (this.preview) return;
+
+        try {
+            const result = direction === 'undo' ? CommandHistory.undo() : CommandHistory.redo();
+            if (!result) {
+                this.showMessage(I18n.t(direction === 'undo' ? 'history.nothingToUndo' : 'history.nothingToRedo'), 'error');
+                return;
+            }
+
+            this.refreshCharacters(result.characters, I18n.t('detail.gone'));
+            const opposite = direction === 'undo'
+                ? { label: I18n.t('history.redo'), onClick: () => this.redo() }
+                : { label: I18n.t('history.undo'), onClick: () => this.undo() };
+            this.showMessage(I18n.t(direction === 'undo' ? 'history.undone' : 'history.redone', { label: result.label }), 'success', [opposite]);
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            this.showMessage(error instanceof HistoryConflictError ? error.message : I18n.t(`history.${direction}Error`), 'error');
         }
     }
 
+    // Undo button for success messages
+    undoAction() {
+        return [{ label: I18n.t('history.undo'), onClick: () => this.undo() }];
+    }
+
+    // Re-render after the roster changed outside this page's own actions (other tabs, undo/redo)
+    refreshCharacters(characters, goneMessage = I18n.t('detail.deletedElsewhere')) {
+        this.characters = characters;
+        this.character = characters.find(char => sameId(char.id, this.characterId));
+
+        if (!this.character) {
+            this.showError(goneMessage);
+            setTimeout(() => window.location.href = 'index.html', 2000);
+            return;
+        }
+
+        if (this.editingItemId !== null && !this.character.bag.some(item => sameId(item.id, this.editingItemId))) {
+            this.resetItemForm();
+        }
+
+        // Bags may have changed under an open give/trade
+        this.closeTransferPanels();
+
+        this.renderCharacterInfo();
+        this.renderRelationships();
+        this.renderBag();
+    }
+
     // Initialize event listeners
     initializeEventListeners() {
+        CharacterRepository.subscribe((characters) => this.refreshCharacters(characters));
+        CharacterRepository.onWarning((message) => this.showMessage(message, 'error'));
+        TypeRegistry.subscribe(() => {
+            this.renderItemTypeOptions();
+            this.renderCharacterInfo();
+            this.renderBag();
+            this.renderCatalog();
+        });
+        ItemCatalog.subscribe(() => this.renderCatalog());
+
+        // Relationships
+        relationshipForm.addEventListener('submit', (e) => this.handleAddRelationship(e));
+        relationshipList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-character-id]');
+            if (button) this.removeRelationship(button.dataset.characterId);
+        });
+
         // Item form submission
         itemForm.addEventListener('submit', (e) => this.handleAddItem(e));
+        cancelItemEditBtn.addEventListener('click', () => this.resetItemForm());
+
+        // Item actions (rendered per item)
+        bagItems.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const index = Number(button.closest('.bag-item').getAttribute('data-index'));
+            if (button.dataset.action === 'edit') this.startItemEdit(index);
+            if (button.dataset.action === 'give') this.openGivePanel(index);
+            if (button.dataset.action === 'template') this.saveAsTemplate(index);
+            if (button.dataset.action === 'equip') this.toggleEquip(index);
+            if (button.dataset.action === 'use') this.useItem(index);
+            if (button.dataset.action === 'remove') this.removeItem(index);
+        });
+
+        // Give and trade
+        confirmGiveBtn.addEventListener('click', () => this.confirmGive());
+        cancelGiveBtn.addEventListener('click', () => this.closeTransferPanels());
+        tradeBtn.addEventListener('click', () => this.openTradePanel());
+        tradePartner.addEventListener('change', () => this.renderTradeItems());
+        confirmTradeBtn.addEventListener('click', () => this.confirmTrade());
+        cancelTradeBtn.addEventListener('click', () => this.closeTransferPanels());
+
+        // Item catalog
+        catalogSearch.addEventListener('input', () => this.renderCatalog());
+        catalogType.addEventListener('change', () => this.renderCatalog());
+        suggestItemBtn.addEventListener('click', () => this.suggestItem());
+        exportCatalogBtn.addEventListener('click', () => ItemCatalog.exportCatalog());
+        importCatalogBtn.addEventListener('click', () => importCatalogFile.click());
+        importCatalogFile.addEventListener('change', () => {
+            const file = importCatalogFile.files[0];
+            importCatalogFile.value = '';
+            if (file) this.handleCatalogImport(file);
+        });
         
         // Form reset on escape
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                itemForm.reset();
+                this.resetItemForm();
             }
         });
     }
 
+    // Redraw everything built in script after the language changed
+    refreshLanguage() {
+        if (!this.character) return;
+
+        this.renderItemTypeOptions();
+        this.renderCharacterInfo();
+        if (!this.preview) this.renderRelationships();
+        this.renderBag();
+        this.renderCatalog();
+        this.showItemFormMode();
+        if (tradePanel.style.display !== 'none') this.renderTradeItems();
+        if (givePanel.style.display !== 'none') this.renderGiveTitle();
+    }
+
     // Render character information
     renderCharacterInfo() {
-        const createdDate = this.character.createdAt 
-            ? new Date(this.character.createdAt).toLocaleDateString()
-            : 'Unknown';
+        const createdDate = I18n.formatDate(this.character.createdAt);
 
-        // Handle image source
-        const imageSrc = this.character.imageUrl || FALLBACK_IMAGE;
+        // Base attributes next to the totals with equipped items
+        const base = Attributes.base(this.character);
+        const effective = Attributes.effective(this.character);
+        const attributeRows = ATTRIBUTES.map(({ key, emoji }) => {
+            const bonus = effective[key] - base[key];
+            return render.element('div', { className: 'attribute' },
+                render.element('span', { className: 'attribute-label' }, `${emoji} ${Attributes.label(key)}`),
+                render.element('span', { className: 'attribute-value' }, effective[key]),
+                render.element('span', { className: 'attribute-base' }, `${I18n.t('detail.base', { value: base[key] })}${bonus ? ` (${bonus > 0 ? '+' : ''}${bonus})` : ''}`)
+            );
+        });
 
-        characterInfo.innerHTML = `
-            <div class="character-detail">
-                <img src="${imageSrc}" alt="${this.character.name}" class="character-detail-image" onerror="this.onerror=null;this.src='${FALLBACK_IMAGE}'">
-                
-                <div class="character-info">
-                    <h2>${this.character.name}</h2>
-                    <div class="character-type-detail">
-                        ${this.getTypeEmoji(this.character.type)} ${this.character.type}
-                    </div>
-                    <div class="character-description-detail">
-                        ${this.character.description}
-                    </div>
-                    <div class="character-meta">
-                        <p><strong>📅 Created:</strong> ${createdDate}</p>
-                        <p><strong>🎒 Items in bag:</strong> ${this.character.bag ? this.character.bag.length : 0}</p>
-                    </div>
-                </div>
-            </div>
-        `;
-
-        // Update page title
-        document.title = `🐲 ${this.character.name} - Character Details`;
+        // Built from nodes so names and descriptions are always plain text
+        characterInfo.replaceChildren(
+            render.element('div', { className: 'character-detail' },
+                render.image(this.character.imageUrl, { alt: this.character.name, className: 'character-detail-image' }),
+                render.element('div', { className: 'character-info' },
+                    render.element('h2', { tabindex: '-1' }, this.character.name),
+                    render.element('div', { className: 'character-type-detail' },
+                        `${this.getTypeEmoji(this.character.type)} ${TypeRegistry.characterType(this.character.type).label}`),
+                    render.element('div', { className: 'character-description-detail' }, this.character.description),
+                    render.element('div', { className: 'character-meta' },
+                        render.element('p', {}, render.element('strong', {}, I18n.t('detail.created')), ` ${createdDate}`),
+                        render.element('p', {}, render.element('strong', {}, I18n.t('detail.itemsInBag')), ` ${I18n.formatNumber(bagCount(this.character.bag))}`),
+                        !this.preview && this.renderPartyLinks()
+                    ),
+                    render.element('div', { className: 'character-attributes' }, attributeRows),
+                    !this.preview && render.element('div', { className: 'character-actions' },
+                        render.element('button', {
+                            type: 'button',
+                            id: 'editCharacterBtn',
+                            className: 'btn-secondary',
+                            onClick: () => this.editCharacter()
+                        }, I18n.t('detail.editCharacter')),
+                        render.element('button', {
+                            type: 'button',
+                            id: 'shareCharacterBtn',
+                            className: 'btn-secondary',
+                            onClick: () => this.shareCharacter()
+                        }, I18n.t('detail.share'))
+                    )
+                )
+            )
+        );
+
+        this.showTitle();
+    }
+
+    // Page title naming the character (and whether it's a shared preview)
+    showTitle() {
+        document.title = I18n.t(this.preview ? 'detail.sharedPageTitle' : 'detail.pageTitle', { name: this.character.name });
+    }
+
+    // Links to the party pages of the parties this character is in
+    renderPartyLinks() {
+        const parties = PartyRegistry.partiesOf(this.character);
+        return parties.length > 0 && render.element('p', {},
+            render.element('strong', {}, I18n.t('detail.parties')), ' ',
+            parties.map((party, index) => [
+                index > 0 && ', ',
+                render.element('a', { className: 'party-link', href: `party.html?id=${encodeURIComponent(party.id)}` }, party.name)
+            ])
+        );
+    }
+
+    // List the character's relationships and offer everyone else as a new one
+    renderRelationships() {
+        const relationships = Relationships.of(this.character, this.characters);
+        relationshipList.replaceChildren(...(relationships.length === 0
+            ? [render.element('li', { className: 'relationship-empty' }, I18n.t('relationship.none', { name: this.character.name }))]
+            : relationships.map(({ type, character }) => render.element('li', { className: 'relationship' },
+                render.element('span', {},
+                    `${type.emoji} ${type.label}: `,
+                    render.element('a', { className: 'party-link', href: `detail.html?id=${encodeURIComponent(character.id)}` }, character.name)
+                ),
+                render.element('button', {
+                    type: 'button',
+                    className: 'btn-small btn-remove',
+                    dataset: { characterId: character.id },
+                    title: I18n.t('relationship.removeTitle', { name: character.name })
+                }, I18n.t('relationship.remove'))
+            ))));
+
+        render.fillSelect(relationshipForm.elements.type, Relationships.types().map(type => ({ value: type.id, label: `${type.emoji} ${type.label}` })));
+        render.fillSelect(relationshipForm.elements.characterId, this.characters
+            .filter(char => !sameId(char.id, this.character.id))
+            .map(char => ({ value: String(char.id), label: `${this.getTypeEmoji(char.type)} ${char.name}` })));
+    }
+
+    handleAddRelationship(event) {
+        event.preventDefault();
+
+        const formData = new FormData(relationshipForm);
+        const other = this.characters.find(char => sameId(char.id, formData.get('characterId')));
+        if (!other) {
+            this.showMessage(I18n.t('relationship.chooseCharacter'), 'error');
+            return;
+        }
+
+        try {
+            const type = Relationships.type(formData.get('type'));
+            const { a, b } = Relationships.link(this.character, other, type.id, this.characters);
+            const params = { other: other.name, name: this.character.name, relation: type.label.toLocaleLowerCase(I18n.locale()) };
+            if (this.storeRelationship(a, b, I18n.t('history.relate', params))) {
+                relationshipForm.reset();
+                this.showMessage(`${type.emoji} ${I18n.t('relationship.added', params)}`, 'success', this.undoAction());
+            }
+        } catch (error) {
+            console.error('Error adding relationship:', error);
+            this.showMessage(error instanceof RelationshipError ? error.message : I18n.t('relationship.addError'), 'error');
+        }
+    }
+
+    removeRelationship(characterId) {
+        const other = this.characters.find(char => sameId(char.id, characterId));
+        if (!other) return;
+
+        const { a, b } = Relationships.unlink(this.character, other);
+        if (this.storeRelationship(a, b, I18n.t('history.unrelate', { other: other.name }))) {
+            this.showMessage(I18n.t('relationship.removed', { name: this.character.name, other: other.name }), 'success', this.undoAction());
+        }
+    }
+
+    // Save both sides of a relationship change in a single write
+    storeRelationship(a, b, label) {
+        const other = this.characters.find(char => sameId(char.id, b.id));
+        const changes = [CommandHistory.change(this.character, a), CommandHistory.change(other, b)];
+        if (!this.saveCharacters([a, b])) return false;
+        CommandHistory.record(label, changes);
+
+        this.character = this.characters.find(char => sameId(char.id, this.characterId));
+        this.renderRelationships();
+        return true;
+    }
+
+    // Open the gallery form in edit mode for this character
+    editCharacter() {
+        const params = new URLSearchParams(sessionStorage.getItem(GALLERY_QUERY_KEY) || '');
+        params.set('edit', this.characterId);
+        window.location.href = `index.html?${params.toString()}`;
     }
 
     // Get emoji for character type
     getTypeEmoji(type) {
-        const emojis = {
-            'Dragon': '🐲',
-            'Human': '👤'
-        };
-        return emojis[type] || '❓';
+        return TypeRegistry.characterType(type).emoji;
     }
 
     // Handle adding new item
@@ -139,39 +559,67 @@ class CharacterDetailManager {
 
         // Get form data
         const formData = new FormData(itemForm);
+        const weight = formData.get('weight');
         const itemData = {
             id: this.generateItemId(),
             type: formData.get('type'),
             name: formData.get('name').trim(),
             description: formData.get('description').trim() || '',
+            quantity: Number(formData.get('quantity') || 1),
+            // Left blank, the item weighs the default for its type
+            weight: weight === '' || weight === null ? Encumbrance.defaultWeight(formData.get('type')) : Number(weight),
+            equipped: false,
+            modifiers: Attributes.readModifiers(formData),
             addedAt: new Date().toISOString()
         };
 
-        // Validate item data
-        if (!this.validateItemData(itemData)) {
+        if (this.editingItemId !== null) {
+            // Validate against the other items in the bag
+            if (!this.validateItemData(itemData, this.editingItemId)) {
+                return;
+            }
+            this.updateItem(this.editingItemId, itemData);
             return;
         }
 
-        // Add item to character's bag
-        this.addItemToBag(itemData);
+        if (this.putInBag(itemData)) {
+            this.resetItemForm();
+        }
     }
 
-    // Validate item data
-    validateItemData(data) {
-        if (!data.type) {
-            this.showMessage('Please select an item type!', 'error');
+    // Add a new item, or more of it when an item with this name is already in the bag;
+    // returns true when the bag changed
+    putInBag(itemData) {
+        const stack = this.character.bag.find(item => item.name.toLowerCase() === itemData.name.toLowerCase());
+        if (stack) {
+            return this.addToStack(stack, itemData);
+        }
+
+        // Validate item data
+        if (!this.validateItemData(itemData)) {
             return false;
         }
 
-        if (!data.name || data.name.length < 2) {
-            this.showMessage('Item name must be at least 2 characters!', 'error');
+        // Add item to character's bag
+        return this.addItemToBag(itemData);
+    }
+
+    // Validate item data (skipping the item with `ignoreId` in the duplicate check)
+    validateItemData(data, ignoreId = null) {
+        const error = validators.itemError(data, this.character.bag, ignoreId);
+        if (error) {
+            this.showMessage(error, 'error');
             return false;
         }
 
-        // Check for duplicate item names in bag
-        if (this.character.bag && this.character.bag.some(item => 
-            item.name.toLowerCase() === data.name.toLowerCase())) {
-            this.showMessage('An item with this name already exists in the bag!', 'error');
+        return true;
+    }
+
+    // Refuse a bag change that would leave the character carrying too much
+    fitsCapacity(bag) {
+        const error = Encumbrance.overloadError(this.character, { ...this.character, bag });
+        if (error) {
+            this.showMessage(`⚖️ ${error}`, 'error');
             return false;
         }
 
@@ -180,50 +628,302 @@ class CharacterDetailManager {
 
     // Add item to character's bag
     addItemToBag(itemData) {
+        if (!this.fitsCapacity([...this.character.bag, itemData])) {
+            return false;
+        }
+
         try {
-            // Initialize bag if it doesn't exist
-            if (!this.character.bag) {
-                this.character.bag = [];
-            }
+            const before = this.snapshotCharacter();
 
             // Add item
             this.character.bag.push(itemData);
             
-            // Update characters array
-            this.characters[parseInt(this.characterIndex)] = this.character;
-            
-            // Save to localStorage
-            this.saveCharacters();
+            // Save by id
+            this.storeCharacter(I18n.t('history.add', { name: itemData.name }), before);
             
             // Update display
             this.renderBag();
-            
-            // Reset form
-            itemForm.reset();
+            this.renderCharacterInfo();
             
             // Show success message
-            this.showMessage(`✨ ${itemData.name} has been added to ${this.character.name}'s bag!`, 'success');
+            this.showMessage(I18n.t('bag.added', { item: itemData.name, name: this.character.name }), 'success', this.undoAction());
             
             console.log('Item added:', itemData);
+            return true;
             
         } catch (error) {
             console.error('Error adding item:', error);
-            this.showMessage('Error adding item to bag!', 'error');
+            this.showMessage(I18n.t('bag.addError'), 'error');
+            return false;
+        }
+    }
+
+    // Add more of an item that is already in the bag
+    addToStack(stack, itemData) {
+        const error = validators.stackError(stack, itemData);
+        if (error) {
+            this.showMessage(error, 'error');
+            return false;
+        }
+
+        const total = itemQuantity(stack) + itemData.quantity;
+        if (!this.fitsCapacity(this.character.bag.map(item => (item === stack ? { ...stack, quantity: total } : item)))) {
+            return false;
+        }
+
+        try {
+            const before = this.snapshotCharacter();
+            stack.quantity = total;
+            this.storeCharacter(I18n.t('history.addStack', { quantity: itemData.quantity, name: stack.name }), before);
+
+            this.renderBag();
+            this.renderCharacterInfo();
+            this.showMessage(I18n.t('bag.stacked', { quantity: itemData.quantity, item: stack.name, total }), 'success', this.undoAction());
+            return true;
+        } catch (error) {
+            console.error('Error stacking item:', error);
+            this.showMessage(I18n.t('bag.addError'), 'error');
+            return false;
+        }
+    }
+
+    // Replace an item's details, keeping its id and added date
+    updateItem(id, itemData) {
+        try {
+            const index = this.character.bag.findIndex(item => sameId(item.id, id));
+            if (index === -1) {
+                this.showMessage(I18n.t('bag.itemGone'), 'error');
+                this.resetItemForm();
+                return;
+            }
+
+            const existing = this.character.bag[index];
+            const updated = {
+                ...existing,
+                type: itemData.type,
+                name: itemData.name,
+                description: itemData.description,
+                quantity: itemData.quantity,
+                weight: itemData.weight,
+                modifiers: itemData.modifiers,
+                // Only equippable types can stay equipped
+                equipped: !!existing.equipped && Attributes.isEquippable(itemData),
+                updatedAt: new Date().toISOString()
+            };
+            if (!this.fitsCapacity(this.character.bag.map((item, i) => (i === index ? updated : item)))) {
+                return;
+            }
+
+            const before = this.snapshotCharacter();
+            this.character.bag[index] = updated;
+            this.storeCharacter(I18n.t('history.edit', { name: existing.name }), before);
+
+            this.renderBag();
+            this.renderCharacterInfo();
+            this.resetItemForm();
+            this.showMessage(I18n.t('bag.updated', { item: itemData.name }), 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error updating item:', error);
+            this.showMessage(I18n.t('bag.updateError'), 'error');
+        }
+    }
+
+    // Switch the item form into edit mode for one bag item
+    startItemEdit(index) {
+        const item = this.character.bag[index];
+        if (!item) return;
+
+        this.editingItemId = item.id;
+        itemForm.reset();
+        this.renderItemTypeOptions();
+        itemForm.elements.type.value = item.type || '';
+        itemForm.elements.name.value = item.name || '';
+        itemForm.elements.description.value = item.description || '';
+        itemForm.elements.quantity.value = itemQuantity(item);
+        itemForm.elements.weight.value = Encumbrance.itemWeight(item);
+        ATTRIBUTES.forEach(({ key }) => {
+            itemForm.elements[`mod-${key}`].value = Attributes.modifier(item, key);
+        });
+
+        this.showItemFormMode();
+
+        itemForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        itemForm.elements.name.focus();
+    }
+
+    // Fill the item type select from the registry; a removed type stays selectable
+    // while the item being edited still uses it
+    renderItemTypeOptions() {
+        const types = TypeRegistry.itemTypes();
+        const editing = this.character.bag.find(item => sameId(item.id, this.editingItemId));
+        if (editing && !types.some(type => type.id === editing.type)) {
+            types.push(TypeRegistry.itemType(editing.type));
+        }
+
+        render.fillSelect(itemForm.elements.type, types.map(type => ({
+            value: type.id,
+            label: `${type.emoji} ${type.label}${type.description ? ` - ${type.description}` : ''}`
+        })));
+    }
+
+    // Reset the item form (also leaves edit mode)
+    resetItemForm() {
+        itemForm.reset();
+        this.editingItemId = null;
+        this.renderItemTypeOptions();
+        this.showItemFormMode();
+    }
+
+    // Title and buttons for adding an item, or for editing one
+    showItemFormMode() {
+        const item = this.character.bag.find(held => sameId(held.id, this.editingItemId));
+        itemFormTitle.textContent = item ? I18n.t('bag.editTitle', { item: item.name }) : I18n.t('bag.addTitle');
+        itemSubmitBtn.textContent = I18n.t(item ? 'bag.saveItem' : 'bag.addToBag');
+        cancelItemEditBtn.style.display = item ? 'inline-block' : 'none';
+    }
+
+    // List the catalog templates that match the search and type filter
+    renderCatalog() {
+        const templates = ItemCatalog.all();
+
+        // Registered types, plus removed ones that templates still use
+        const types = TypeRegistry.itemTypes();
+        templates.forEach(template => {
+            if (!types.some(type => type.id === template.type)) types.push(TypeRegistry.itemType(template.type));
+        });
+        render.fillSelect(catalogType, types.map(type => ({ value: type.id, label: `${type.emoji} ${type.label}` })));
+
+        const matches = ItemCatalog.search(catalogSearch.value, catalogType.value);
+        if (matches.length === 0) {
+            catalogList.replaceChildren(render.element('li', { className: 'catalog-empty' },
+                I18n.t(templates.length ? 'catalog.noMatches' : 'catalog.emptyHint')));
+            return;
+        }
+
+        catalogList.replaceChildren(...matches.map(template => this.createCatalogEntry(template)));
+    }
+
+    createCatalogEntry(template) {
+        const effects = Attributes.describeModifiers(template);
+
+        return render.element('li', { className: 'catalog-entry' },
+            render.element('div', { className: 'catalog-entry-info' },
+                render.element('strong', {}, `${this.getItemEmoji(template.type)} ${template.name}`),
+                render.element('span', { className: 'item-type' }, TypeRegistry.itemType(template.type).label),
+                render.element('span', { className: 'item-weight' }, `⚖️ ${Encumbrance.formatWeight(Encumbrance.itemWeight(template))}`),
+                template.description && render.element('div', { className: 'item-description' }, template.description),
+                effects && render.element('div', { className: 'item-effects' }, effects)
+            ),
+            render.element('div', { className: 'catalog-entry-actions' },
+                render.element('button', { type: 'button', className: 'btn-small btn-edit-item', onClick: () => this.addFromTemplate(template.id) }, I18n.t('catalog.add')),
+                render.element('button', { type: 'button', className: 'btn-small btn-remove', onClick: () => this.removeTemplate(template) }, I18n.t('catalog.remove'))
+            )
+        );
+    }
+
+    // One-click add: one of the template's item, stacked onto a bag item with the same name
+    addFromTemplate(id) {
+        const template = ItemCatalog.all().find(entry => sameId(entry.id, id));
+        if (!template) {
+            this.showMessage(I18n.t('catalog.templateGone'), 'error');
+            this.renderCatalog();
+            return;
+        }
+
+        const error = ItemCatalog.templateError(template);
+        if (error) {
+            this.showMessage(error, 'error');
+            return;
+        }
+
+        this.putInBag(ItemCatalog.toItem(template));
+    }
+
+    // Save a bag item to the catalog; a template with the same name is replaced
+    saveAsTemplate(index) {
+        const item = this.character.bag[index];
+        if (!item) return;
+
+        try {
+            const replaced = ItemCatalog.saveTemplate(ItemCatalog.fromItem(item));
+            this.renderCatalog();
+            this.showMessage(I18n.t(replaced ? 'catalog.updated' : 'catalog.saved', { item: item.name }));
+        } catch (error) {
+            console.error('Error saving template:', error);
+            this.showMessage(I18n.t('catalog.saveError'), 'error');
+        }
+    }
+
+    async removeTemplate(template) {
+        const confirmed = await Dialog.confirm({
+            title: I18n.t('catalog.removeTitle'),
+            message: I18n.t('catalog.removeConfirm', { item: template.name }),
+            confirmLabel: I18n.t('common.remove'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            ItemCatalog.removeTemplate(template.id);
+            this.renderCatalog();
+            this.showMessage(I18n.t('catalog.removed', { item: template.name }));
+        } catch (error) {
+            console.error('Error removing template:', error);
+            this.showMessage(I18n.t('catalog.removeError'), 'error');
+        }
+    }
+
+    // Fill the item form with a random template, ready to adjust and add
+    suggestItem() {
+        const template = detailUtils.getRandomItemSuggestion();
+        if (!template) {
+            this.showMessage(I18n.t('catalog.empty'), 'error');
+            return;
+        }
+
+        this.resetItemForm();
+        itemForm.elements.type.value = template.type;
+        itemForm.elements.name.value = template.name;
+        itemForm.elements.description.value = template.description || '';
+        itemForm.elements.weight.value = Encumbrance.itemWeight(template);
+        ATTRIBUTES.forEach(({ key }) => {
+            itemForm.elements[`mod-${key}`].value = Attributes.modifier(template, key);
+        });
+
+        itemForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        itemForm.elements.name.focus();
+        this.showMessage(I18n.t('catalog.suggestion', { item: template.name }));
+    }
+
+    // Merge templates from a catalog file, matching them by name
+    async handleCatalogImport(file) {
+        try {
+            const counts = ItemCatalog.importTemplates(ItemCatalog.parse(await file.text()));
+            this.renderCatalog();
+
+            const summary = I18n.t(counts.invalid ? 'catalog.importedWithInvalid' : 'catalog.imported', counts);
+            this.showMessage(summary, counts.added || counts.replaced ? 'success' : 'error');
+        } catch (error) {
+            console.error('Error reading catalog import:', error);
+            this.showMessage(error instanceof CatalogImportError ? error.message : I18n.t('import.readError'), 'error');
         }
     }
 
     // Render bag contents
     renderBag() {
-        const bagArray = this.character.bag || [];
-        const count = bagArray.length;
+        const bagArray = this.character.bag;
+        const count = bagCount(bagArray);
         
-        // Update item count
-        itemCount.textContent = `${count} item${count !== 1 ? 's' : ''}`;
+        // Update item count (stacks count every item they hold)
+        itemCount.textContent = I18n.t('bag.count', { count });
+
+        this.renderCapacity();
+        this.renderBagStats();
         
         // Clear bag container
         bagItems.innerHTML = '';
         
-        if (count === 0) {
+        if (bagArray.length === 0) {
             this.renderEmptyBag();
             return;
         }
@@ -235,41 +935,71 @@ class CharacterDetailManager {
         });
     }
 
+    // Fill the capacity meter; an overloaded bag is flagged as encumbered
+    renderCapacity() {
+        const stats = BagStats.calculateStats(this.character.bag, Encumbrance.capacity(this.character));
+        const used = stats.capacity > 0 ? Math.min(100, (stats.totalWeight / stats.capacity) * 100) : 100;
+
+        capacityFill.style.width = `${used}%`;
+        bagCapacity.classList.toggle('encumbered', stats.encumbered);
+        bagCapacity.classList.toggle('nearly-full', !stats.encumbered && used >= 80);
+        capacityText.textContent = I18n.t(stats.encumbered ? 'bag.encumbered' : 'bag.capacity', {
+            weight: Encumbrance.formatWeight(stats.totalWeight),
+            capacity: Encumbrance.formatWeight(stats.capacity),
+            free: Encumbrance.formatWeight(stats.remainingCapacity)
+        });
+    }
+
+    // Summary and type chart for the bag
+    renderBagStats() {
+        const stats = BagStats.calculateStats(this.character.bag, Encumbrance.capacity(this.character));
+        bagStats.replaceChildren(BagStats.displayStats(stats));
+    }
+
     // Render empty bag state
     renderEmptyBag() {
-        const emptyDiv = document.createElement('div');
-        emptyDiv.className = 'empty-bag';
-        emptyDiv.innerHTML = `
-            <div class="empty-icon">🎒</div>
-            <p>Bag is empty</p>
-            <span>Add your first item above!</span>
-        `;
+        const emptyDiv = render.element('div', { className: 'empty-bag' },
+            render.element('div', { className: 'empty-icon' }, '🎒'),
+            render.element('p', {}, I18n.t('bag.emptyTitle')),
+            render.element('span', {}, I18n.t('bag.emptyHint'))
+        );
         bagItems.appendChild(emptyDiv);
     }
 
     // Create bag item element
     createBagItem(item, index) {
-        const itemDiv = document.createElement('div');
-        itemDiv.className = 'bag-item';
-        itemDiv.setAttribute('data-index', index);
-
-        const addedDate = item.addedAt 
-            ? new Date(item.addedAt).toLocaleDateString()
-            : 'Unknown';
-
-        itemDiv.innerHTML = `
-            <div class="item-info">
-                <div class="item-name">
-                    ${this.getItemEmoji(item.type)} ${item.name}
-                </div>
-                <div class="item-meta">
-                    <span class="item-type">${item.type}</span>
-                    <span class="item-date">Added: ${addedDate}</span>
-                </div>
-                ${item.description ? `<div class="item-description">${item.description}</div>` : ''}
-            </div>
-            <div class="item-actions"></div>
-        `;
+        const addedDate = I18n.formatDate(item.addedAt);
+
+        const quantity = itemQuantity(item);
+        const effects = Attributes.describeModifiers(item);
+        const action = (name, className, label) =>
+            render.element('button', { type: 'button', className: `btn-small ${className}`, dataset: { action: name } }, label);
+
+        // Built from nodes so item names and descriptions are always plain text
+        const itemDiv = render.element('div', { className: `bag-item${item.equipped ? ' equipped' : ''}`, dataset: { index } },
+            render.element('div', { className: 'item-info' },
+                render.element('div', { className: 'item-name' },
+                    `${this.getItemEmoji(item.type)} ${item.name} `,
+                    quantity > 1 && render.element('span', { className: 'item-quantity' }, `×${quantity}`),
+                    item.equipped && render.element('span', { className: 'item-equipped' }, I18n.t('bag.equipped'))
+                ),
+                render.element('div', { className: 'item-meta' },
+                    render.element('span', { className: 'item-type' }, TypeRegistry.itemType(item.type).label),
+                    render.element('span', { className: 'item-weight' }, `⚖️ ${Encumbrance.formatWeight(Encumbrance.stackWeight(item))}`),
+                    render.element('span', { className: 'item-date' }, I18n.t('bag.addedOn', { date: addedDate }))
+                ),
+                item.description && render.element('div', { className: 'item-description' }, item.description),
+                effects && render.element('div', { className: 'item-effects' }, effects)
+            ),
+            !this.preview && render.element('div', { className: 'item-actions' },
+                Attributes.isEquippable(item) && action('equip', 'btn-edit-item', I18n.t(item.equipped ? 'bag.unequip' : 'bag.equip')),
+                Attributes.isConsumable(item) && action('use', 'btn-edit-item', I18n.t('bag.use')),
+                action('edit', 'btn-edit-item', I18n.t('bag.edit')),
+                action('give', 'btn-edit-item', I18n.t('bag.give')),
+                action('template', 'btn-edit-item', I18n.t('bag.saveTemplate')),
+                action('remove', 'btn-remove', I18n.t('bag.remove'))
+            )
+        );
 
         // Add animation class for new items
         itemDiv.classList.add('new-item');
@@ -279,30 +1009,79 @@ class CharacterDetailManager {
 
     // Get emoji for item type
     getItemEmoji(type) {
-        const emojis = {
-            'Rune': '🔮',
-            'Weapon': '⚔️',
-            'Potion': '🧪',
-            'Treasure': '💰',
-            'Armor': '🛡️'
-        };
-        return emojis[type] || '📦';
+        return TypeRegistry.itemType(type).emoji;
+    }
+
+    // Equip or unequip an item whose type is equippable
+    toggleEquip(index) {
+        const item = this.character.bag[index];
+        if (!item || !Attributes.isEquippable(item)) return;
+
+        try {
+            const before = this.snapshotCharacter();
+            item.equipped = !item.equipped;
+            this.storeCharacter(I18n.t(item.equipped ? 'history.equip' : 'history.unequip', { name: item.name }), before);
+
+            this.renderBag();
+            this.renderCharacterInfo();
+            this.showMessage(I18n.t(item.equipped ? 'bag.equippedItem' : 'bag.unequippedItem', { item: item.name }), 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error equipping item:', error);
+            this.showMessage(I18n.t('bag.equipError'), 'error');
+        }
+    }
+
+    // Use up one of a usable item (e.g. a potion): its effects apply to the base attributes
+    useItem(index) {
+        const item = this.character.bag[index];
+        if (!item) return;
+
+        try {
+            const used = Attributes.consume(this.character, item.id);
+            if (!used) return;
+
+            const before = this.snapshotCharacter();
+            this.character = used;
+            this.storeCharacter(I18n.t('history.use', { name: item.name }), before);
+
+            if (sameId(this.editingItemId, item.id) && !used.bag.some(held => sameId(held.id, item.id))) {
+                this.resetItemForm();
+            }
+            this.renderBag();
+            this.renderCharacterInfo();
+
+            const effects = Attributes.describeModifiers(item);
+            this.showMessage(I18n.t(effects ? 'bag.usedWithEffects' : 'bag.used', { name: this.character.name, item: item.name, effects }), 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error using item:', error);
+            this.showMessage(I18n.t('bag.useError'), 'error');
+        }
     }
 
     // Remove item from bag
-    removeItem(index) {
+    async removeItem(index) {
         try {
             const item = this.character.bag[index];
-            
-            if (confirm(`Are you sure you want to remove "${item.name}" from ${this.character.name}'s bag?`)) {
+            const quantity = itemQuantity(item);
+            const label = quantity > 1 ? `"${item.name}" (×${quantity})` : `"${item.name}"`;
+
+            const confirmed = await Dialog.confirm({
+                title: I18n.t('bag.removeTitle'),
+                message: I18n.t('bag.removeConfirm', { item: label, name: this.character.name }),
+                confirmLabel: I18n.t('common.remove'),
+                danger: true
+            });
+            // The bag may have changed while the dialog was open
+            if (confirmed && this.character.bag[index] === item) {
+                const before = this.snapshotCharacter();
+
                 // Remove item
                 this.character.bag.splice(index, 1);
                 
-                // Update characters array
-                this.characters[parseInt(this.characterIndex)] = this.character;
-                
-                // Save to localStorage
-                this.saveCharacters();
+                // Save by id
+                this.storeCharacter(I18n.t('history.remove', { name: item.name }), before);
+
+                if (sameId(this.editingItemId, item.id)) this.resetItemForm();
                 
                 // Update display
                 this.renderBag();
@@ -310,14 +1089,201 @@ class CharacterDetailManager {
                 // Update character info (to reflect new item count)
                 this.renderCharacterInfo();
                 
-                this.showMessage(`${item.name} has been removed from the bag.`, 'success');
+                this.showMessage(I18n.t('bag.removed', { item: item.name }), 'success', this.undoAction());
+                this.focusBagItem(index);
                 
                 console.log('Item removed:', item);
             }
         } catch (error) {
             console.error('Error removing item:', error);
-            this.showMessage('Error removing item!', 'error');
+            this.showMessage(I18n.t('bag.removeError'), 'error');
+        }
+    }
+
+    // After a removal, focus the item that took its place (or the one before it);
+    // an empty bag sends focus to the add-item form
+    focusBagItem(index) {
+        const rows = bagItems.querySelectorAll('.bag-item');
+        const row = rows[Math.min(index, rows.length - 1)];
+        const target = row ? row.querySelector('.btn-remove') : document.getElementById('itemName');
+        target.focus();
+    }
+
+    // Other characters, by name, for the give/trade pickers
+    otherCharacters() {
+        return this.characters
+            .filter(char => !sameId(char.id, this.characterId))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // Fill a <select> with the other characters
+    fillCharacterSelect(select) {
+        const others = this.otherCharacters();
+        select.innerHTML = '';
+        others.forEach(char => {
+            const option = document.createElement('option');
+            option.value = char.id;
+            option.textContent = `${this.getTypeEmoji(char.type)} ${char.name}`;
+            select.appendChild(option);
+        });
+        return others.length;
+    }
+
+    // Show the give panel for one bag item
+    openGivePanel(index) {
+        const item = this.character.bag[index];
+        if (!item) return;
+
+        this.closeTransferPanels();
+        if (!this.fillCharacterSelect(giveRecipient)) {
+            this.showMessage(I18n.t('trade.noRecipient'), 'error');
+            return;
+        }
+
+        const held = itemQuantity(item);
+        this.givingItemId = item.id;
+        this.renderGiveTitle();
+        giveQuantity.max = held;
+        giveQuantity.value = held;
+        giveQuantity.disabled = held === 1;
+        givePanel.style.display = 'block';
+        giveRecipient.focus();
+    }
+
+    renderGiveTitle() {
+        const item = this.character.bag.find(held => sameId(held.id, this.givingItemId));
+        if (item) giveTitle.textContent = I18n.t('trade.giveTitle', { item: item.name });
+    }
+
+    // Hand the selected item (or part of its stack) to the chosen character
+    confirmGive() {
+        const item = this.character.bag.find(held => sameId(held.id, this.givingItemId));
+        const recipient = this.characters.find(char => sameId(char.id, giveRecipient.value));
+        if (!item || !recipient) {
+            this.closeTransferPanels();
+            return;
+        }
+
+        const quantity = Number(giveQuantity.value);
+        this.transferItems(
+            recipient,
+            [{ itemId: item.id, quantity }],
+            [],
+            I18n.t('history.give', { quantity, item: item.name, name: recipient.name }),
+            I18n.t('trade.received', { quantity, item: item.name, name: recipient.name })
+        );
+    }
+
+    // Show the trade panel with both bags side by side
+    openTradePanel() {
+        this.closeTransferPanels();
+        if (!this.fillCharacterSelect(tradePartner)) {
+            this.showMessage(I18n.t('trade.noPartner'), 'error');
+            return;
+        }
+
+        this.renderTradeItems();
+        tradePanel.style.display = 'block';
+        tradePartner.focus();
+    }
+
+    // List both bags with a checkbox and quantity per item
+    renderTradeItems() {
+        const partner = this.characters.find(char => sameId(char.id, tradePartner.value));
+        if (!partner) return;
+
+        tradeOwnTitle.textContent = I18n.t('trade.gives', { name: this.character.name });
+        tradePartnerTitle.textContent = I18n.t('trade.gives', { name: partner.name });
+        this.renderTradeSide(tradeOwnItems, this.character.bag);
+        this.renderTradeSide(tradePartnerItems, partner.bag);
+    }
+
+    // One side of the trade
+    renderTradeSide(container, bag) {
+        container.innerHTML = '';
+
+        if (bag.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'trade-empty';
+            empty.textContent = I18n.t('trade.nothingToOffer');
+            container.appendChild(empty);
+            return;
         }
+
+        bag.forEach(item => {
+            const held = itemQuantity(item);
+            const row = document.createElement('label');
+            row.className = 'trade-item';
+            row.setAttribute('data-item-id', item.id);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+
+            const name = document.createElement('span');
+            name.textContent = `${this.getItemEmoji(item.type)} ${item.name}${held > 1 ? ` (×${held})` : ''}`;
+
+            const quantity = document.createElement('input');
+            quantity.type = 'number';
+            quantity.min = 1;
+            quantity.max = held;
+            quantity.value = held;
+            quantity.disabled = held === 1;
+            quantity.setAttribute('aria-label', I18n.t('trade.quantityOf', { item: item.name }));
+
+            row.append(checkbox, name, quantity);
+            container.appendChild(row);
+        });
+    }
+
+    // Selected { itemId, quantity } pairs on one side of the trade
+    readTradeSide(container) {
+        return Array.from(container.querySelectorAll('.trade-item'))
+            .filter(row => row.querySelector('input[type="checkbox"]').checked)
+            .map(row => ({
+                itemId: row.getAttribute('data-item-id'),
+                quantity: Number(row.querySelector('input[type="number"]').value)
+            }));
+    }
+
+    // Swap the selected items between both bags
+    confirmTrade() {
+        const partner = this.characters.find(char => sameId(char.id, tradePartner.value));
+        if (!partner) return;
+
+        this.transferItems(
+            partner,
+            this.readTradeSide(tradeOwnItems),
+            this.readTradeSide(tradePartnerItems),
+            I18n.t('history.trade', { name: partner.name }),
+            I18n.t('trade.complete', { name: partner.name })
+        );
+    }
+
+    // Move items both ways and save both characters in a single write
+    transferItems(partner, ownGives, partnerGives, label, successMessage) {
+        try {
+            const { a, b } = ItemTransfer.trade(this.character, partner, ownGives, partnerGives);
+            const changes = [CommandHistory.change(this.character, a), CommandHistory.change(partner, b)];
+
+            if (!this.saveCharacters([a, b])) return;
+            CommandHistory.record(label, changes);
+
+            this.character = this.characters.find(char => sameId(char.id, this.characterId));
+            this.closeTransferPanels();
+            this.renderBag();
+            this.renderCharacterInfo();
+            this.showMessage(successMessage, 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error transferring items:', error);
+            this.showMessage(error instanceof TransferError ? error.message : I18n.t('trade.error'), 'error');
+        }
+    }
+
+    // Hide the give and trade panels
+    closeTransferPanels() {
+        this.givingItemId = null;
+        givePanel.style.display = 'none';
+        tradePanel.style.display = 'none';
     }
 
     // Generate unique item ID
@@ -325,8 +1291,8 @@ class CharacterDetailManager {
         return Date.now() + Math.random().toString(36).substr(2, 9);
     }
 
-    // Show message to user
-    showMessage(message, type = 'success') {
+    // Show message to user, optionally with action buttons ({ label, onClick })
+    showMessage(message, type = 'success', actions = []) {
         // Remove existing messages
         const existingMessages = document.querySelectorAll('.success-message, .error-message');
         existingMessages.forEach(msg => msg.remove());
@@ -336,51 +1302,72 @@ class CharacterDetailManager {
         messageDiv.className = `${type}-message`;
         messageDiv.textContent = message;
 
-        // Insert after item form
+        // Optional action buttons (e.g. Undo) inside the message
+        actions.forEach(({ label, onClick }) => {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'btn-small btn-message-action';
+            actionBtn.textContent = label;
+            actionBtn.addEventListener('click', () => {
+                messageDiv.remove();
+                onClick();
+            });
+            messageDiv.appendChild(actionBtn);
+        });
+
+        // Insert after item form, and read it out for screen readers
         itemForm.parentNode.insertBefore(messageDiv, itemForm.nextSibling);
+        LiveRegion.announce(message, type);
 
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (messageDiv.parentNode) {
-                messageDiv.remove();
-            }
-        }, 5000);
+        // Auto-remove after 5 seconds (10 when there is something to click)
+        dismissWhenIdle(messageDiv, actions.length ? 10000 : 5000);
     }
 
     // Show error message
     showError(message) {
-        characterInfo.innerHTML = `
-            <div class="error-state">
-                <h2>❌ Error</h2>
-                <p>${message}</p>
-                <a href="index.html" class="btn-primary">← Back to Gallery</a>
-            </div>
-        `;
+        characterInfo.replaceChildren(
+            render.element('div', { className: 'error-state' },
+                render.element('h2', {}, I18n.t('common.error')),
+                render.element('p', {}, message),
+                render.element('a', { href: 'index.html', className: 'btn-primary' }, I18n.t('common.backToGallery'))
+            )
+        );
     }
 }
 
 // Bag Statistics
 class BagStats {
-    static calculateStats(bag) {
+    // `capacity` is what the bag's owner can carry (see Encumbrance.capacity)
+    static calculateStats(bag, capacity = Infinity) {
+        const totalWeight = Encumbrance.bagWeight(bag);
+        const weightStats = {
+            totalWeight,
+            capacity,
+            remainingCapacity: Math.max(0, Math.round((capacity - totalWeight) * 10) / 10),
+            encumbered: totalWeight > capacity
+        };
+
         if (!bag || bag.length === 0) {
             return {
                 total: 0,
                 byType: {},
                 mostRecent: null,
-                oldest: null
+                oldest: null,
+                ...weightStats
             };
         }
 
         const stats = {
-            total: bag.length,
+            total: bagCount(bag),
             byType: {},
             mostRecent: null,
-            oldest: null
+            oldest: null,
+            ...weightStats
         };
 
         // Count by type
         bag.forEach(item => {
-            stats.byType[item.type] = (stats.byType[item.type] || 0) + 1;
+            stats.byType[item.type] = (stats.byType[item.type] || 0) + itemQuantity(item);
         });
 
         // Find most recent and oldest
@@ -396,71 +1383,38 @@ class BagStats {
         return stats;
     }
 
+    // Summary panel with an item-type chart, built from nodes so item names stay plain text
     static displayStats(stats) {
-        const statsHtml = `
-            <div class="bag-stats">
-                <h4>📊 Bag Statistics</h4>
-                <p><strong>Total Items:</strong> ${stats.total}</p>
-                ${Object.keys(stats.byType).length > 0 ? `
-                    <p><strong>By Type:</strong> ${Object.entries(stats.byType)
-                        .map(([type, count]) => `${type}: ${count}`)
-                        .join(', ')}</p>
-                ` : ''}
-                ${stats.mostRecent ? `
-                    <p><strong>Most Recent:</strong> ${stats.mostRecent.name}</p>
-                ` : ''}
-            </div>
-        `;
-        return statsHtml;
+        const figure = (label, value) => render.element('p', {}, render.element('strong', {}, `${label}:`), ` ${value}`);
+        const byType = Object.entries(stats.byType).map(([id, count]) => {
+            const type = TypeRegistry.itemType(id);
+            return { label: `${type.emoji} ${type.label}`, value: count };
+        });
+
+        return render.element('div', { className: 'bag-stats' },
+            render.element('h4', {}, I18n.t('bagStats.title')),
+            render.element('div', { className: 'bag-stats-figures' },
+                figure(I18n.t('bagStats.totalItems'), I18n.formatNumber(stats.total)),
+                figure(I18n.t('bagStats.totalWeight'), Encumbrance.formatWeight(stats.totalWeight)),
+                Number.isFinite(stats.capacity) &&
+                    figure(I18n.t('bagStats.remaining'), `${Encumbrance.formatWeight(stats.remainingCapacity)}${stats.encumbered ? ` ${I18n.t('bagStats.encumbered')}` : ''}`),
+                stats.mostRecent && figure(I18n.t('bagStats.mostRecent'), stats.mostRecent.name),
+                stats.oldest && stats.oldest !== stats.mostRecent && figure(I18n.t('bagStats.oldest'), stats.oldest.name)
+            ),
+            byType.length > 0 && render.element('div', { className: 'chart-with-legend' },
+                Charts.donut(byType, { title: I18n.t('bagStats.byTypeChart') }),
+                Charts.legend(byType))
+        );
     }
 }
 
 // Utility functions for detail page
 const detailUtils = {
-    // Export bag contents as text
-    exportBag: (character) => {
-        const bagText = `
-${character.name}'s Bag Contents
-=================================
-Character: ${character.name} (${character.type})
-Total Items: ${character.bag ? character.bag.length : 0}
-
-Items:
-${character.bag && character.bag.length > 0 
-    ? character.bag.map((item, index) => 
-        `${index + 1}. ${item.name} (${item.type})${item.description ? ' - ' + item.description : ''}`
-    ).join('\n')
-    : 'No items in bag'
-}
+    // Export bag contents as CSV (the export menu offers the other formats)
+    exportBag: (character) => CharacterExport.run('csv', [character]),
 
-Generated: ${new Date().toLocaleString()}
-        `.trim();
-
-        // Create downloadable file
-        const blob = new Blob([bagText], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `${character.name}_bag.txt`;
-        a.click();
-        URL.revokeObjectURL(url);
-    },
-
-    // Get random item suggestion
-    getRandomItemSuggestion: () => {
-        const suggestions = [
-            { type: 'Rune', name: 'Rune of Power', description: 'Increases magical abilities' },
-            { type: 'Weapon', name: 'Flame Sword', description: 'A sword that burns with eternal fire' },
-            { type: 'Potion', name: 'Health Elixir', description: 'Restores vitality and energy' },
-            { type: 'Treasure', name: 'Ancient Coin', description: 'A coin from a forgotten empire' },
-            { type: 'Armor', name: 'Dragon Scale Mail', description: 'Armor made from dragon scales' },
-            { type: 'Rune', name: 'Rune of Wisdom', description: 'Enhances knowledge and insight' },
-            { type: 'Weapon', name: 'Ice Bow', description: 'Shoots arrows of pure ice' },
-            { type: 'Potion', name: 'Mana Brew', description: 'Restores magical energy' }
-        ];
-        
-        return suggestions[Math.floor(Math.random() * suggestions.length)];
-    }
+    // Get random item suggestion from the catalog
+    getRandomItemSuggestion: () => ItemCatalog.random()
 };
 
 // Global variable for access from onclick handlers
@@ -471,6 +1425,9 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('🐲 Character Detail page initializing...');
     
     characterDetailManager = new CharacterDetailManager();
+
+    // Return to the gallery as it was left
+    document.querySelectorAll('.back-link').forEach(link => link.setAttribute('href', galleryUrl()));
     
     // Add keyboard shortcuts
     document.addEventListener('keydown', (e) => {
@@ -483,7 +1440,19 @@ document.addEventListener('DOMContentLoaded', () => {
         // Ctrl/Cmd + G to go back to gallery
         if ((e.ctrlKey || e.metaKey) && e.key === 'g') {
             e.preventDefault();
-            window.location.href = 'index.html';
+            window.location.href = galleryUrl();
+        }
+
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z to redo (text fields keep their own undo)
+        const active = document.activeElement;
+        const inTextField = active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA');
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !inTextField) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                characterDetailManager.redo();
+            } else {
+                characterDetailManager.undo();
+            }
         }
     });
     
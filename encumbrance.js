@@ -0,0 +1,61 @@
+// --- DOM Capstone: Item Weight and Carrying Capacity ---
+
+// Default item weights and base capacities come from each type in the TypeRegistry
+
+// Extra carrying capacity for every point of strength (kg)
+const CAPACITY_PER_STRENGTH = 2;
+
+class Encumbrance {
+    // Weight of one item of this type when the item doesn't set its own
+    static defaultWeight(type) {
+        return TypeRegistry.itemType(type).weight;
+    }
+
+    // Weight of a single item in a bag entry
+    static itemWeight(item) {
+        const weight = Number(item.weight);
+        return Number.isFinite(weight) && weight >= 0 ? weight : Encumbrance.defaultWeight(item.type);
+    }
+
+    // Weight of a bag entry, counting every item in the stack
+    static stackWeight(item) {
+        return Encumbrance.itemWeight(item) * itemQuantity(item);
+    }
+
+    // Total weight of a bag, rounded to avoid float noise like 2.3000000000000003
+    static bagWeight(bag) {
+        const total = (bag || []).reduce((sum, item) => sum + Encumbrance.stackWeight(item), 0);
+        return Math.round(total * 10) / 10;
+    }
+
+    // How much a character can carry: type base plus strength, including equipped items
+    static capacity(character) {
+        const base = TypeRegistry.characterType(character.type).capacity;
+        return base + Attributes.effective(character).strength * CAPACITY_PER_STRENGTH;
+    }
+
+    static isEncumbered(character) {
+        return Encumbrance.bagWeight(character.bag) > Encumbrance.capacity(character);
+    }
+
+    // Error message when `after` carries more than it can and more than `before` did.
+    // Lightening an already overloaded bag is still allowed so it can be fixed.
+    static overloadError(before, after) {
+        const weight = Encumbrance.bagWeight(after.bag);
+        const capacity = Encumbrance.capacity(after);
+        if (weight <= capacity || weight <= Encumbrance.bagWeight(before.bag)) {
+            return null;
+        }
+        return I18n.t('encumbrance.overload', { name: after.name, capacity: Encumbrance.formatWeight(capacity), weight: Encumbrance.formatWeight(weight) });
+    }
+
+    // "12.5 kg" ("12,5 kg" in languages with a decimal comma)
+    static formatWeight(weight) {
+        return I18n.t('units.kg', { weight: Math.round(weight * 10) / 10 });
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Encumbrance };
+}
@@ -0,0 +1,246 @@
+// --- DOM Capstone: Character Sheet Export ---
+
+// Downloadable formats offered by the export menus (which also offer 'print')
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mime: 'text/csv' },
+    markdown: { extension: 'md', mime: 'text/markdown' },
+    json: { extension: 'json', mime: 'application/json' }
+};
+
+// Longest wait for sheet portraits before printing anyway (ms)
+const PRINT_IMAGE_TIMEOUT = 3000;
+
+// Turns one or more characters into CSV, Markdown, JSON or a printable sheet
+class CharacterExport {
+    // Download (or print) `characters` in `format`; resolves to the number of
+    // uploaded portraits a JSON file had to leave out
+    static async run(format, characters) {
+        if (format === 'print') {
+            await CharacterExport.print(characters);
+            return 0;
+        }
+
+        const { extension, mime } = EXPORT_FORMATS[format];
+        // JSON files can be imported elsewhere, so they carry uploaded portraits like the roster export
+        const { portraits, missing } = format === 'json' ? await RosterTransfer.portraitsFor(characters) : { portraits: {}, missing: 0 };
+        const json = (list) => RosterTransfer.serialize(list, portraits);
+        const text = { csv: CharacterExport.csv, markdown: CharacterExport.markdown, json }[format](characters);
+        RosterTransfer.download(`${CharacterExport.fileName(characters, format)}.${extension}`, text, mime);
+        return missing;
+    }
+
+    // "obon-bag" for one character, "dragon-rune-characters-2026-10-18" for several
+    static fileName(characters, format) {
+        if (characters.length !== 1) {
+            return `dragon-rune-characters-${new Date().toISOString().slice(0, 10)}`;
+        }
+        const slug = characters[0].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'character';
+        return format === 'csv' ? `${slug}-bag` : format === 'markdown' ? `${slug}-sheet` : slug;
+    }
+
+    // One row per bag entry, with the owner in the first column
+    static csv(characters) {
+        const header = ['character', 'type', 'item', 'description', 'quantity', 'weight', 'equipped']
+            .map(column => I18n.t(`export.csv.${column}`))
+            .concat(ATTRIBUTES.map(({ key }) => Attributes.label(key)), I18n.t('export.csv.added'));
+        const rows = characters.flatMap(character => character.bag.map(item => [
+            character.name,
+            item.type,
+            item.name,
+            item.description || '',
+            itemQuantity(item),
+            Encumbrance.itemWeight(item),
+            I18n.t(item.equipped ? 'export.csv.yes' : 'export.csv.no'),
+            ...ATTRIBUTES.map(({ key }) => Attributes.modifier(item, key)),
+            item.addedAt || ''
+        ]));
+
+        return [header, ...rows].map(row => row.map(CharacterExport.csvField).join(',')).join('\r\n');
+    }
+
+    // Quote fields that need it; text starting like a formula is defused for spreadsheets
+    static csvField(value) {
+        if (typeof value === 'number') return String(value);
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // A character sheet per character, separated by rules
+    static markdown(characters) {
+        return characters.map(character => CharacterExport.markdownSheet(character)).join('\n\n---\n\n');
+    }
+
+    static markdownSheet(character) {
+        const md = CharacterExport.markdownText;
+        const type = TypeRegistry.characterType(character.type);
+        const base = Attributes.base(character);
+        const effective = Attributes.effective(character);
+
+        const lines = [
+            `# ${md(character.name)}`,
+            '',
+            `**${I18n.t('sheet.type')}** ${type.emoji} ${md(type.label)}  `,
+            `**${I18n.t('sheet.created')}** ${I18n.formatDate(character.createdAt)}`,
+            '',
+            `> ${md(character.description)}`,
+            '',
+            `## ${I18n.t('sheet.attributes')}`,
+            '',
+            `| ${I18n.t('sheet.attribute')} | ${I18n.t('sheet.base')} | ${I18n.t('sheet.withEquipment')} |`,
+            '| --- | ---: | ---: |',
+            ...ATTRIBUTES.map(({ key, emoji }) => `| ${emoji} ${Attributes.label(key)} | ${base[key]} | ${effective[key]} |`),
+            ''
+        ];
+
+        const relationships = CharacterExport.relationships(character);
+        if (relationships.length > 0) {
+            lines.push(`## ${I18n.t('sheet.relationships')}`, '', ...relationships.map(({ type, character: other }) => `- ${type.emoji} ${type.label}: ${md(other.name)}`), '');
+        }
+
+        lines.push(`## ${CharacterExport.inventoryTitle(character)}`);
+
+        const groups = CharacterExport.groupByType(character.bag);
+        if (groups.length === 0) {
+            lines.push('', `_${I18n.t('sheet.emptyBag')}_`);
+        }
+        groups.forEach(({ type: itemType, items }) => {
+            lines.push('', `### ${itemType.emoji} ${md(itemType.label)}`, '');
+            items.forEach(item => {
+                const notes = [`⚖️ ${Encumbrance.formatWeight(Encumbrance.stackWeight(item))}`, Attributes.describeModifiers(item), item.equipped && I18n.t('sheet.equipped')];
+                const quantity = itemQuantity(item) > 1 ? ` ×${itemQuantity(item)}` : '';
+                const description = item.description ? ` — ${md(item.description)}` : '';
+                lines.push(`- **${md(item.name)}**${quantity}${description} (${notes.filter(Boolean).join('; ')})`);
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    // "Inventory — 3 items, 4.5 kg of 200 kg"
+    static inventoryTitle(character) {
+        return I18n.t('sheet.inventory', {
+            count: bagCount(character.bag),
+            weight: Encumbrance.formatWeight(Encumbrance.bagWeight(character.bag)),
+            capacity: Encumbrance.formatWeight(Encumbrance.capacity(character))
+        });
+    }
+
+    // Relationships with characters still in the roster (exported or not)
+    static relationships(character) {
+        return Relationships.of(character, CharacterRepository.loadAll());
+    }
+
+    // Escape characters Markdown would treat as formatting
+    static markdownText(text) {
+        return String(text || '').replace(/([\\`*_[\]#|<>~])/g, '\\$1').replace(/\r?\n/g, ' ');
+    }
+
+    // Bag entries grouped by item type, in registry order (unknown types last)
+    static groupByType(bag) {
+        const order = TypeRegistry.itemTypes().map(type => type.id);
+        const ids = [...new Set(bag.map(item => item.type))]
+            .sort((a, b) => (order.indexOf(a) + 1 || Infinity) - (order.indexOf(b) + 1 || Infinity));
+        return ids.map(id => ({ type: TypeRegistry.itemType(id), items: bag.filter(item => item.type === id) }));
+    }
+
+    // Lay the sheets out in a print-only container and open the print dialog
+    static async print(characters) {
+        const sheets = await Promise.all(characters.map(character => CharacterExport.printSheet(character)));
+        const container = render.element('div', { id: 'printSheet', className: 'print-sheet' }, sheets);
+        document.body.appendChild(container);
+        document.body.classList.add('printing');
+
+        // Portraits must finish loading or they print blank (but don't wait forever)
+        const loaded = Promise.all([...container.querySelectorAll('img')].map(img => (img.complete ? null : new Promise(resolve => {
+            img.addEventListener('load', resolve);
+            img.addEventListener('error', resolve);
+        }))));
+        await Promise.race([loaded, new Promise(resolve => setTimeout(resolve, PRINT_IMAGE_TIMEOUT))]);
+
+        try {
+            window.print();
+        } finally {
+            document.body.classList.remove('printing');
+            container.remove();
+        }
+    }
+
+    static async printSheet(character) {
+        const type = TypeRegistry.characterType(character.type);
+        const base = Attributes.base(character);
+        const effective = Attributes.effective(character);
+        const portrait = render.element('img', { className: 'sheet-portrait', alt: character.name });
+        portrait.addEventListener('error', () => {
+            if (!portrait.src.endsWith(FALLBACK_IMAGE)) portrait.src = FALLBACK_IMAGE;
+        });
+        portrait.src = await PortraitStore.resolve(character.imageUrl);
+
+        const groups = CharacterExport.groupByType(character.bag);
+        const relationships = CharacterExport.relationships(character);
+        return render.element('article', { className: 'sheet' },
+            render.element('header', { className: 'sheet-header' },
+                portrait,
+                render.element('div', {},
+                    render.element('h1', {}, character.name),
+                    render.element('p', { className: 'sheet-type' }, `${type.emoji} ${type.label}`),
+                    render.element('p', { className: 'sheet-description' }, character.description)
+                )
+            ),
+            render.element('h2', {}, I18n.t('sheet.attributes')),
+            render.element('table', { className: 'sheet-table' },
+                render.element('thead', {}, render.element('tr', {},
+                    render.element('th', {}, I18n.t('sheet.attribute')), render.element('th', {}, I18n.t('sheet.base')), render.element('th', {}, I18n.t('sheet.withEquipment')))),
+                render.element('tbody', {}, ATTRIBUTES.map(({ key, emoji }) => render.element('tr', {},
+                    render.element('td', {}, `${emoji} ${Attributes.label(key)}`), render.element('td', {}, base[key]), render.element('td', {}, effective[key]))))
+            ),
+            relationships.length > 0 && [
+                render.element('h2', {}, I18n.t('sheet.relationships')),
+                render.element('ul', {}, relationships.map(({ type, character: other }) => render.element('li', {}, `${type.emoji} ${type.label}: ${other.name}`)))
+            ],
+            render.element('h2', {}, CharacterExport.inventoryTitle(character)),
+            groups.length === 0 && render.element('p', {}, I18n.t('sheet.emptyBag')),
+            groups.map(({ type: itemType, items }) => render.element('section', { className: 'sheet-group' },
+                render.element('h3', {}, `${itemType.emoji} ${itemType.label}`),
+                render.element('ul', {}, items.map(item => render.element('li', {},
+                    render.element('strong', {}, item.name),
+                    itemQuantity(item) > 1 && ` ×${itemQuantity(item)}`,
+                    item.equipped && ` (${I18n.t('sheet.equipped')})`,
+                    item.description && ` — ${item.description}`,
+                    render.element('span', { className: 'sheet-item-meta' },
+                        ` ⚖️ ${Encumbrance.formatWeight(Encumbrance.stackWeight(item))}`,
+                        Attributes.describeModifiers(item) && ` · ${Attributes.describeModifiers(item)}`)
+                )))
+            ))
+        );
+    }
+
+    // Wire an export menu: its [data-format] buttons export `getCharacters()`;
+    // an empty list shows the `emptyMessage` message through `showMessage` instead
+    static attachMenu(menu, getCharacters, { showMessage, emptyMessage }) {
+        menu.addEventListener('click', async (e) => {
+            const button = e.target.closest('button[data-format]');
+            if (!button) return;
+
+            menu.open = false;
+            const characters = getCharacters();
+            if (characters.length === 0) {
+                showMessage(I18n.t(emptyMessage), 'error');
+                return;
+            }
+
+            try {
+                const missing = await CharacterExport.run(button.dataset.format, characters);
+                if (missing > 0) showMessage(I18n.t('export.portraitsMissing', { count: missing }), 'error');
+            } catch (error) {
+                console.error('Error exporting characters:', error);
+                showMessage(I18n.t('export.error'), 'error');
+            }
+        });
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CharacterExport, EXPORT_FORMATS };
+}
@@ -5,53 +5,405 @@ const characterForm = document.getElementById('characterForm');
 const characterGallery = document.getElementById('characterGallery');
 const characterCount = document.getElementById('characterCount');
 const clearAllBtn = document.getElementById('clearAllBtn');
+const formTitle = document.getElementById('formTitle');
+const submitBtn = document.getElementById('submitBtn');
+const cancelEditBtn = document.getElementById('cancelEditBtn');
+const exportRosterBtn = document.getElementById('exportRosterBtn');
+const importRosterBtn = document.getElementById('importRosterBtn');
+const importRosterFile = document.getElementById('importRosterFile');
+const importPreview = document.getElementById('importPreview');
+const importStrategy = document.getElementById('importStrategy');
+const importSummary = document.getElementById('importSummary');
+const importDetails = document.getElementById('importDetails');
+const applyImportBtn = document.getElementById('applyImportBtn');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const searchInput = document.getElementById('searchInput');
+const typeFilter = document.getElementById('typeFilter');
+const itemFilter = document.getElementById('itemFilter');
+const sortSelect = document.getElementById('sortSelect');
+const imageUrlInput = document.getElementById('imageUrl');
+const portraitPreview = document.getElementById('portraitPreview');
+const portraitDropZone = document.getElementById('portraitDropZone');
+const portraitUploadBtn = document.getElementById('portraitUploadBtn');
+const portraitFile = document.getElementById('portraitFile');
+const presetLibrary = document.getElementById('presetLibrary');
+const generatorSeed = document.getElementById('generatorSeed');
+const generateBag = document.getElementById('generateBag');
+const generateBtn = document.getElementById('generateBtn');
+const generatedBag = document.getElementById('generatedBag');
+const selectionBar = document.getElementById('selectionBar');
+const selectionCount = document.getElementById('selectionCount');
+const selectAllBtn = document.getElementById('selectAllBtn');
+const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+const selectionExportMenu = document.getElementById('selectionExportMenu');
+const partyFilter = document.getElementById('partyFilter');
+const partyChoices = document.getElementById('partyChoices');
+const selectionParty = document.getElementById('selectionParty');
+const addToPartyBtn = document.getElementById('addToPartyBtn');
+const removeFromPartyBtn = document.getElementById('removeFromPartyBtn');
 
-// Local Storage Keys
-const CHARACTERS_KEY = 'dragonRuneCharacters';
-const FALLBACK_IMAGE = 'assets/images/ravenis.png';
+// Session Storage Keys
+// Card to focus when coming back from a character's detail page
+const GALLERY_FOCUS_KEY = 'galleryFocus';
+
+// Most characters listed in the dashboard's items-per-character chart
+const STATS_TOP_CHARACTERS = 10;
 
 // Character management
 class CharacterManager {
     constructor() {
         this.characters = this.loadCharacters();
+        this.editingId = null;
+        this.pendingImport = null;
+        this.generatedBag = [];
+        // Ids (as strings) of the characters ticked for export
+        this.selectedIds = new Set();
+        this.query = GalleryQuery.fromSearch(window.location.search);
+        // Arrow keys move between cards, Enter opens one and Delete removes it
+        this.grid = new RovingFocus(characterGallery, {
+            itemSelector: '.character-card',
+            onActivate: (id) => this.viewCharacter(id),
+            onDelete: (id) => this.confirmDelete(id)
+        });
+        this.renderPresetLibrary();
+        this.renderTypeOptions();
+        this.typeSettings = new TypeSettings({
+            onChange: () => this.refreshTypes(),
+            usage: (kind, id) => this.typeUsage(kind, id),
+            showMessage: (message, type) => this.showMessage(message, type)
+        });
+        this.partyPanel = new PartyPanel({
+            onChange: () => this.refreshParties(),
+            usage: (id) => PartyRegistry.members(id, this.characters).length,
+            onShow: (id) => this.showParty(id),
+            showMessage: (message, type) => this.showMessage(message, type)
+        });
+        this.dropMissingParty();
+        this.renderPartyOptions();
         this.initializeEventListeners();
+        this.syncQueryControls();
         this.renderGallery();
+        StatsDisplay.updateStats(this.characters);
+        if (!this.resumePendingEdit()) this.resumeFocus();
+        this.saveQuery();
+        this.prunePortraits();
     }
 
-    // Load characters from localStorage
+    // Load characters through the shared repository
     loadCharacters() {
         try {
-            const stored = localStorage.getItem(CHARACTERS_KEY);
-            return stored ? JSON.parse(stored) : [];
+            return CharacterRepository.loadAll();
         } catch (error) {
             console.error('Error loading characters:', error);
+            if (error instanceof CorruptDataError) {
+                this.showMessage(error.message, 'error');
+            }
             return [];
         }
     }
 
-    // Save characters to localStorage
-    saveCharacters() {
+    // Save changed characters, merging with whatever other tabs stored meanwhile;
+    // the change is recorded for undo under `label`
+    saveCharacters(records, label) {
+        const before = records.map(record => this.characters.find(char => sameId(char.id, record.id)) || null);
         try {
-            localStorage.setItem(CHARACTERS_KEY, JSON.stringify(this.characters));
+            this.characters = CharacterRepository.saveRecords(records);
+            CommandHistory.record(label, records.map((record, i) => CommandHistory.change(before[i], record)));
+            StatsDisplay.updateStats(this.characters);
+            this.partyPanel.render();
         } catch (error) {
             console.error('Error saving characters:', error);
-            this.showMessage('Error saving characters!', 'error');
+            this.showMessage(I18n.t(StorageQuota.isQuotaError(error) ? 'storage.full' : 'gallery.saveError'), 'error');
+        }
+    }
+
+    // Delete characters by id without touching other tabs' changes; recorded for undo under `label`.
+    // Relationships pointing at them are removed in the same step.
+    deleteCharacters(ids, label) {
+        const removed = this.characters.filter(char => ids.some(id => sameId(id, char.id)));
+        const detached = Relationships.detach(this.characters, ids);
+        const before = detached.map(record => this.characters.find(char => sameId(char.id, record.id)));
+        try {
+            this.characters = CharacterRepository.removeRecords(ids);
+            if (detached.length > 0) {
+                this.characters = CharacterRepository.saveRecords(detached);
+            }
+            CommandHistory.record(label, [
+                ...removed.map(char => CommandHistory.change(char, null)),
+                ...detached.map((record, i) => CommandHistory.change(before[i], record))
+            ]);
+            StatsDisplay.updateStats(this.characters);
+            this.partyPanel.render();
+        } catch (error) {
+            console.error('Error deleting characters:', error);
+            this.showMessage(I18n.t('gallery.deleteError'), 'error');
+        }
+    }
+
+    // Undo the latest change in this session's history
+    undo() {
+        this.stepHistory('undo');
+    }
+
+    // Redo the latest undone change
+    redo() {
+        this.stepHistory('redo');
+    }
+
+    // Run one undo/redo step and offer the opposite one in the message
+    stepHistory(direction) {
+        try {
+            const result = direction === 'undo' ? CommandHistory.undo() : CommandHistory.redo();
+            if (!result) {
+                this.showMessage(I18n.t(direction === 'undo' ? 'history.nothingToUndo' : 'history.nothingToRedo'), 'error');
+                return;
+            }
+
+            this.refreshCharacters(result.characters);
+            const opposite = direction === 'undo'
+                ? { label: I18n.t('history.redo'), onClick: () => this.redo() }
+                : { label: I18n.t('history.undo'), onClick: () => this.undo() };
+            this.showMessage(I18n.t(direction === 'undo' ? 'history.undone' : 'history.redone', { label: result.label }), 'success', [opposite]);
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            this.showMessage(error instanceof HistoryConflictError ? error.message : I18n.t(`history.${direction}Error`), 'error');
+        }
+    }
+
+    // Undo button for success messages
+    undoAction() {
+        return [{ label: I18n.t('history.undo'), onClick: () => this.undo() }];
+    }
+
+    // Re-render after the roster changed outside this page's own actions (other tabs, undo/redo)
+    refreshCharacters(characters) {
+        this.characters = characters;
+
+        if (this.editingId !== null && this.findCharacterIndex(this.editingId) === -1) {
+            this.resetForm();
+            this.showMessage(I18n.t('gallery.editedGone'), 'error');
         }
+
+        this.renderGallery();
+        this.renderImportPreview();
+        StatsDisplay.updateStats(this.characters);
+        this.partyPanel.render();
     }
 
     // Initialize event listeners
     initializeEventListeners() {
+        CharacterRepository.subscribe((characters) => this.refreshCharacters(characters));
+        CharacterRepository.onWarning((message) => this.showMessage(message, 'error'));
+        TypeRegistry.subscribe(() => this.typeSettings.changed());
+        PartyRegistry.subscribe(() => this.partyPanel.changed());
+        I18n.subscribe(() => this.refreshLanguage());
+
         characterForm.addEventListener('submit', (e) => this.handleFormSubmit(e));
         clearAllBtn.addEventListener('click', () => this.clearAllCharacters());
+        cancelEditBtn.addEventListener('click', () => this.resetForm());
+        generateBtn.addEventListener('click', () => this.generateCharacter());
+
+        // Roster import/export
+        exportRosterBtn.addEventListener('click', () => this.exportRoster());
+        importRosterBtn.addEventListener('click', () => importRosterFile.click());
+        importRosterFile.addEventListener('change', () => {
+            const file = importRosterFile.files[0];
+            importRosterFile.value = '';
+            if (file) this.handleImportFile(file);
+        });
+        importStrategy.addEventListener('change', () => this.renderImportPreview());
+
+        // Multi-select export and party assignment
+        selectAllBtn.addEventListener('click', () => this.selectVisible());
+        clearSelectionBtn.addEventListener('click', () => this.setSelection([]));
+        addToPartyBtn.addEventListener('click', () => this.assignSelected(true));
+        removeFromPartyBtn.addEventListener('click', () => this.assignSelected(false));
+        CharacterExport.attachMenu(selectionExportMenu, () => this.selectedCharacters(), {
+            showMessage: (message, type) => this.showMessage(message, type),
+            emptyMessage: 'gallery.selectToExport'
+        });
 
-        // Local images only; no custom URL field
+        // Search, filter and sort
+        searchInput.addEventListener('input', () => this.updateQuery());
+        [typeFilter, itemFilter, partyFilter, sortSelect].forEach(control => {
+            control.addEventListener('change', () => this.updateQuery());
+        });
+        applyImportBtn.addEventListener('click', () => this.applyImport());
+        cancelImportBtn.addEventListener('click', () => this.cancelImport());
+
+        // Portraits: file picker, drag-and-drop or the preset library
+        portraitUploadBtn.addEventListener('click', () => portraitFile.click());
+        portraitFile.addEventListener('change', () => {
+            const file = portraitFile.files[0];
+            portraitFile.value = '';
+            if (file) this.handlePortraitFile(file);
+        });
+        portraitDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            portraitDropZone.classList.add('drag-over');
+        });
+        portraitDropZone.addEventListener('dragleave', () => portraitDropZone.classList.remove('drag-over'));
+        portraitDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            portraitDropZone.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) this.handlePortraitFile(file);
+        });
+        presetLibrary.addEventListener('click', (e) => {
+            const preset = e.target.closest('[data-image]');
+            if (preset) this.setPortrait(preset.dataset.image);
+        });
+    }
+
+    // Fill the type selects from the registry. Types that were removed stay selectable
+    // while the edited character or the current filter still uses them.
+    renderTypeOptions() {
+        const editing = this.editingId !== null ? this.characters[this.findCharacterIndex(this.editingId)] : null;
+        const withLegacy = (types, id, lookup) => (id && !types.some(type => type.id === id) ? [...types, lookup(id)] : types);
+        const characterTypes = TypeRegistry.characterTypes();
+        const itemTypes = TypeRegistry.itemTypes();
+        const characterType = (id) => TypeRegistry.characterType(id);
+        const itemType = (id) => TypeRegistry.itemType(id);
+
+        render.fillSelect(characterForm.elements.type, withLegacy(characterTypes, editing && editing.type, characterType)
+            .map(type => ({ value: type.id, label: `${type.emoji} ${type.label}${type.description ? ` - ${type.description}` : ''}` })));
+        render.fillSelect(typeFilter, withLegacy(characterTypes, this.query.type, characterType)
+            .map(type => ({ value: type.id, label: `${type.emoji} ${type.label}` })));
+        render.fillSelect(itemFilter, withLegacy(itemTypes, this.query.item, itemType)
+            .map(type => ({ value: type.id, label: `${type.emoji} ${type.label}` })));
+    }
+
+    // Redraw everything built in script after the language changed
+    refreshLanguage() {
+        this.renderPresetLibrary();
+        this.setPortrait(imageUrlInput.value);
+        this.renderTypeOptions();
+        this.renderPartyOptions();
+        this.syncQueryControls();
+        this.setGeneratedBag(this.generatedBag);
+        this.showFormMode();
+        this.renderGallery();
+        this.renderImportPreview();
+        StatsDisplay.updateStats(this.characters);
+        this.typeSettings.refreshLanguage();
+        this.partyPanel.refreshLanguage();
+    }
+
+    // Re-render everything that shows types after the registry changed
+    refreshTypes() {
+        this.renderTypeOptions();
+        this.syncQueryControls();
+        this.renderGallery();
+        StatsDisplay.updateStats(this.characters);
+    }
+
+    // Fill the party filter, the selection bar's party select and the form's party
+    // checkboxes, keeping whatever is ticked while editing
+    renderPartyOptions() {
+        const parties = PartyRegistry.all();
+        const options = parties.map(party => ({ value: String(party.id), label: `🛡️ ${party.name}` }));
+        render.fillSelect(partyFilter, options);
+        render.fillSelect(selectionParty, options);
+
+        const checked = new FormData(characterForm).getAll('parties');
+        partyChoices.replaceChildren(...(parties.length === 0
+            ? [render.element('span', { className: 'form-note' }, I18n.t('gallery.noPartiesYet'))]
+            : parties.map(party => {
+                // Set as a property so resetting the form still clears it
+                const input = render.element('input', { type: 'checkbox', name: 'parties', value: party.id });
+                input.checked = checked.includes(String(party.id));
+                return render.element('label', { className: 'party-choice' }, input, ` ${party.name}`);
+            })));
+    }
+
+    // Re-render everything that shows parties after one was created, renamed or deleted
+    refreshParties() {
+        this.dropMissingParty();
+        this.renderPartyOptions();
+        this.syncQueryControls();
+        this.renderGallery();
+        this.saveQuery();
+    }
+
+    // A deleted party can't be filtered by any more
+    dropMissingParty() {
+        if (this.query.party && !PartyRegistry.find(this.query.party)) {
+            this.query = { ...this.query, party: '' };
+        }
+    }
+
+    // Filter the gallery down to one party's members
+    showParty(id) {
+        partyFilter.value = String(id);
+        this.updateQuery();
+        characterGallery.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // How many characters (or carried items) use a type
+    typeUsage(kind, id) {
+        if (kind === 'item') {
+            return this.characters.reduce((sum, char) => sum + bagCount(char.bag.filter(item => item.type === id)), 0);
+        }
+        return this.characters.filter(char => char.type === id).length;
+    }
+
+    // Fill the built-in portrait library
+    renderPresetLibrary() {
+        presetLibrary.replaceChildren(...PRESET_PORTRAITS.map(({ file, emoji, name, kind }) => {
+            const label = `${emoji} ${name} - ${I18n.t(`portrait.${kind}`)}`;
+            return render.element('button', { type: 'button', className: 'preset-portrait', dataset: { image: `${IMAGE_DIR}${file}` }, title: label },
+                render.image(`${IMAGE_DIR}${file}`, { alt: label }));
+        }));
+    }
+
+    // Select the form's portrait; '' clears it
+    setPortrait(imageUrl) {
+        imageUrlInput.value = imageUrl || '';
+        presetLibrary.querySelectorAll('[data-image]').forEach(preset => {
+            preset.classList.toggle('selected', preset.dataset.image === imageUrl);
+        });
+
+        if (!imageUrl) {
+            portraitPreview.style.display = 'none';
+            portraitPreview.removeAttribute('src');
+            return;
+        }
+        PortraitStore.show(portraitPreview, imageUrl);
+        portraitPreview.style.display = 'block';
+    }
+
+    // Resize and store an uploaded portrait, then select it
+    async handlePortraitFile(file) {
+        try {
+            portraitDropZone.classList.add('uploading');
+            this.setPortrait(await PortraitStore.save(file));
+        } catch (error) {
+            console.error('Error saving portrait:', error);
+            this.showMessage(error instanceof PortraitError ? error.message : I18n.t('portrait.saveError'), 'error');
+        } finally {
+            portraitDropZone.classList.remove('uploading');
+        }
+    }
+
+    // Drop stored portraits no character (or undo step) uses any more
+    prunePortraits() {
+        const history = CommandHistory.load();
+        const records = [...history.undo, ...history.redo]
+            .flatMap(entry => entry.changes)
+            .flatMap(change => [change.before, change.after])
+            .filter(Boolean);
+        const imageUrls = [...this.characters, ...records].map(char => char.imageUrl);
+
+        PortraitStore.prune(imageUrls).catch(error => {
+            console.error('Error cleaning up portraits:', error);
+        });
     }
 
     // Handle form submission
     handleFormSubmit(event) {
         event.preventDefault();
 
-        // Get form data (local images only)
+        // Get form data (a library image path or an uploaded portrait reference)
         const formData = new FormData(characterForm);
         const imageFile = (formData.get('imageUrl') || '').toString().trim();
         const characterData = {
@@ -59,13 +411,20 @@ class CharacterManager {
             type: formData.get('type'),
             name: formData.get('name').trim(),
             description: formData.get('description').trim(),
-            imageUrl: imageFile ? `assets/images/${imageFile}` : '',
-            bag: [],
+            imageUrl: normalizeImagePath(imageFile),
+            attributes: Attributes.defaultsFor(formData.get('type')),
+            bag: this.generatedBag,
+            parties: formData.getAll('parties'),
             createdAt: new Date().toISOString()
         };
 
-        // Validate data
-        if (!this.validateCharacterData(characterData)) {
+        // Validate data (skip the edited character in the duplicate check)
+        if (!this.validateCharacterData(characterData, this.editingId)) {
+            return;
+        }
+
+        if (this.editingId !== null) {
+            this.updateCharacter(this.editingId, characterData);
             return;
         }
 
@@ -73,31 +432,44 @@ class CharacterManager {
         this.addCharacter(characterData);
     }
 
-    // Validate character data
-    validateCharacterData(data) {
-        if (!data.type) {
-            this.showMessage('Please select a character type!', 'error');
-            return false;
-        }
+    // Fill the form with a random character of the chosen type (any type when none is chosen)
+    generateCharacter() {
+        const { character, seed } = CharacterGenerator.generate({
+            seed: generatorSeed.value,
+            type: characterForm.elements.type.value,
+            characters: this.characters,
+            ignoreId: this.editingId,
+            // Edits keep the character's own bag
+            withBag: generateBag.checked && this.editingId === null
+        });
 
-        if (!data.name || data.name.length < 2) {
-            this.showMessage('Character name must be at least 2 characters!', 'error');
-            return false;
+        if (!this.validateCharacterData(character, this.editingId)) {
+            return;
         }
 
-        if (!data.description || data.description.length < 5) {
-            this.showMessage('Please provide a description (at least 5 characters)!', 'error');
-            return false;
-        }
+        characterForm.elements.type.value = character.type;
+        characterForm.elements.name.value = character.name;
+        characterForm.elements.description.value = character.description;
+        this.setPortrait(character.imageUrl);
+        this.setGeneratedBag(character.bag);
 
-        if (!data.imageUrl) {
-            this.showMessage('Please select an image from assets/images!', 'error');
-            return false;
-        }
+        this.showMessage(I18n.t('generator.generated', { name: character.name, seed }));
+    }
 
-        // Check for duplicate names
-        if (this.characters.some(char => char.name.toLowerCase() === data.name.toLowerCase())) {
-            this.showMessage('A character with this name already exists!', 'error');
+    // Remember a rolled starting bag for the next created character and list it under the form
+    setGeneratedBag(bag) {
+        this.generatedBag = bag;
+        generatedBag.textContent = bag.length
+            ? I18n.t('generator.startingBag', { items: bag.map(item => `${TypeRegistry.itemType(item.type).emoji} ${item.name}`).join(', ') })
+            : '';
+        generatedBag.style.display = bag.length ? 'block' : 'none';
+    }
+
+    // Validate character data
+    validateCharacterData(data, ignoreId = null) {
+        const error = validators.characterError(data, this.characters, ignoreId);
+        if (error) {
+            this.showMessage(error, 'error');
             return false;
         }
 
@@ -107,30 +479,137 @@ class CharacterManager {
     // Add new character
     addCharacter(characterData) {
         try {
-            this.characters.push(characterData);
-            this.saveCharacters();
+            this.saveCharacters([characterData], I18n.t('history.create', { name: characterData.name }));
             this.renderGallery();
             this.resetForm();
-            this.showMessage(`✨ ${characterData.name} has been created successfully!`, 'success');
+            this.showMessage(I18n.t('gallery.created', { name: characterData.name }), 'success', this.undoAction());
+            this.grid.focus(characterData.id);
         } catch (error) {
             console.error('Error adding character:', error);
-            this.showMessage('Error creating character!', 'error');
+            this.showMessage(I18n.t('gallery.createError'), 'error');
+        }
+    }
+
+    // Update an existing character, keeping its id, bag and creation date; a new type
+    // brings that type's starting attributes (and with them its carrying capacity)
+    updateCharacter(id, characterData) {
+        try {
+            const index = this.findCharacterIndex(id);
+            if (index === -1) {
+                this.showMessage(I18n.t('gallery.characterGone'), 'error');
+                this.resetForm();
+                return;
+            }
+
+            const existing = this.characters[index];
+            this.saveCharacters([{
+                ...existing,
+                type: characterData.type,
+                name: characterData.name,
+                description: characterData.description,
+                imageUrl: characterData.imageUrl,
+                attributes: characterData.type === existing.type ? existing.attributes : characterData.attributes,
+                parties: characterData.parties,
+                updatedAt: new Date().toISOString()
+            }], I18n.t('history.edit', { name: existing.name }));
+            this.renderGallery();
+            this.resetForm();
+            this.showMessage(I18n.t('gallery.updated', { name: characterData.name }), 'success', this.undoAction());
+            this.grid.focus(existing.id);
+        } catch (error) {
+            console.error('Error updating character:', error);
+            this.showMessage(I18n.t('gallery.updateError'), 'error');
         }
     }
 
-    // Reset form
+    // Switch the form into edit mode for an existing character
+    startEdit(id) {
+        const character = this.characters[this.findCharacterIndex(id)];
+        if (!character) return;
+
+        this.editingId = character.id;
+        characterForm.reset();
+        this.setGeneratedBag([]);
+        this.renderTypeOptions();
+        characterForm.elements.type.value = character.type || '';
+        characterForm.elements.name.value = character.name || '';
+        characterForm.elements.description.value = character.description || '';
+        this.setPortrait(character.imageUrl);
+        partyChoices.querySelectorAll('input[name="parties"]').forEach(input => {
+            input.checked = (character.parties || []).some(id => sameId(id, input.value));
+        });
+
+        this.showFormMode();
+
+        characterForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        characterForm.elements.name.focus();
+    }
+
+    // Pick up an edit requested from the detail page (index.html?edit=<id>);
+    // returns whether there was one
+    resumePendingEdit() {
+        const params = new URLSearchParams(window.location.search);
+        const pending = params.get('edit');
+        if (pending === null) return false;
+
+        // Drop the param so a reload doesn't re-enter edit mode
+        params.delete('edit');
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}`);
+
+        this.startEdit(pending);
+        return true;
+    }
+
+    // Focus the card of the character last opened, after coming back from its page
+    resumeFocus() {
+        const id = sessionStorage.getItem(GALLERY_FOCUS_KEY);
+        if (id === null) return;
+
+        sessionStorage.removeItem(GALLERY_FOCUS_KEY);
+        this.grid.focus(id);
+    }
+
+    // Find a character's array position by id
+    findCharacterIndex(id) {
+        return this.characters.findIndex(char => sameId(char.id, id));
+    }
+
+    // Reset form (also leaves edit mode)
     resetForm() {
         characterForm.reset();
+        this.setPortrait('');
+        this.setGeneratedBag([]);
+        this.editingId = null;
+        this.renderTypeOptions();
+        this.showFormMode();
+    }
+
+    // Title and buttons for creating a character, or for editing one
+    showFormMode() {
+        const editing = this.editingId !== null ? this.characters[this.findCharacterIndex(this.editingId)] : null;
+        formTitle.textContent = editing ? I18n.t('gallery.editTitle', { name: editing.name }) : I18n.t('gallery.createTitle');
+        submitBtn.textContent = I18n.t(editing ? 'gallery.saveChanges' : 'gallery.createCharacter');
+        cancelEditBtn.style.display = editing ? 'inline-block' : 'none';
     }
 
     // Render character gallery
     renderGallery() {
-        // Update character count
+        // Update character count ("N of M" while filtering)
         const count = this.characters.length;
-        characterCount.textContent = `${count} character${count !== 1 ? 's' : ''}`;
+        const visible = GalleryQuery.apply(this.characters, this.query);
+        characterCount.textContent = GalleryQuery.isActive(this.query)
+            ? I18n.t('gallery.countFiltered', { visible: visible.length, count })
+            : I18n.t('gallery.count', { count });
         
-        // Show/hide clear all button
+        // Show/hide clear all and export buttons
         clearAllBtn.style.display = count > 0 ? 'block' : 'none';
+        exportRosterBtn.style.display = count > 0 ? 'block' : 'none';
+
+        this.renderSelectionBar();
+
+        // Re-rendering replaces the cards, so remember whether one had focus
+        const hadFocus = characterGallery.contains(document.activeElement);
 
         // Clear gallery
         characterGallery.innerHTML = '';
@@ -140,120 +619,376 @@ class CharacterManager {
             return;
         }
 
+        if (visible.length === 0) {
+            this.renderNoMatches();
+            return;
+        }
+
         // Render character cards
-        this.characters.forEach((character, index) => {
-            const card = this.createCharacterCard(character, index);
+        visible.forEach(character => {
+            const card = this.createCharacterCard(character);
             characterGallery.appendChild(card);
         });
+
+        this.grid.refresh();
+        if (hadFocus) this.grid.focus();
+    }
+
+    // Tick characters for export; ids no longer in the roster are dropped
+    setSelection(ids) {
+        this.selectedIds = new Set(ids.map(String).filter(id => this.findCharacterIndex(id) !== -1));
+        characterGallery.querySelectorAll('.character-card').forEach(card => {
+            const selected = this.selectedIds.has(card.dataset.id);
+            card.classList.toggle('selected', selected);
+            card.querySelector('.card-select input').checked = selected;
+        });
+        this.renderSelectionBar();
+    }
+
+    toggleSelected(id, selected) {
+        const ids = [...this.selectedIds].filter(held => held !== String(id));
+        this.setSelection(selected ? [...ids, id] : ids);
+    }
+
+    // Select every character the current search and filters show
+    selectVisible() {
+        this.setSelection([...this.selectedIds, ...GalleryQuery.apply(this.characters, this.query).map(char => char.id)]);
+    }
+
+    selectedCharacters() {
+        return this.characters.filter(char => this.selectedIds.has(String(char.id)));
+    }
+
+    renderSelectionBar() {
+        this.selectedIds = new Set([...this.selectedIds].filter(id => this.findCharacterIndex(id) !== -1));
+        selectionBar.style.display = this.characters.length > 0 ? 'flex' : 'none';
+        selectionCount.textContent = I18n.t('gallery.selected', { count: this.selectedIds.size });
+        clearSelectionBtn.disabled = this.selectedIds.size === 0;
+    }
+
+    // Add the selected characters to the chosen party, or take them out of it
+    assignSelected(member) {
+        const party = PartyRegistry.find(selectionParty.value);
+        if (!party) {
+            this.showMessage(I18n.t('gallery.chooseParty'), 'error');
+            return;
+        }
+
+        const selected = this.selectedCharacters();
+        if (selected.length === 0) {
+            this.showMessage(I18n.t(member ? 'gallery.selectToAdd' : 'gallery.selectToRemove'), 'error');
+            return;
+        }
+
+        const inParty = (char) => PartyRegistry.partiesOf(char).some(entry => sameId(entry.id, party.id));
+        const changed = selected.filter(char => inParty(char) !== member);
+        if (changed.length === 0) {
+            this.showMessage(I18n.t(member ? 'gallery.allInParty' : 'gallery.noneInParty', { party: party.name }), 'error');
+            return;
+        }
+
+        const params = { count: changed.length, party: party.name };
+        this.saveCharacters(changed.map(char => PartyRegistry.withMembership(char, party.id, member)),
+            I18n.t(member ? 'history.addToParty' : 'history.removeFromParty', params));
+        this.renderGallery();
+        this.showMessage(I18n.t(member ? 'gallery.addedToParty' : 'gallery.removedFromParty', params), 'success', this.undoAction());
+    }
+
+    // Render the state where filters hide every character
+    renderNoMatches() {
+        const emptyDiv = render.element('div', { className: 'empty-gallery' },
+            render.element('div', { className: 'empty-icon' }, '🔍'),
+            render.element('h3', {}, I18n.t('gallery.noMatchesTitle')),
+            render.element('p', {}, I18n.t('gallery.noMatchesHint'))
+        );
+
+        const resetBtn = document.createElement('button');
+        resetBtn.type = 'button';
+        resetBtn.className = 'btn-secondary';
+        resetBtn.textContent = I18n.t('gallery.clearFilters');
+        resetBtn.style.marginTop = '15px';
+        resetBtn.addEventListener('click', () => this.clearQuery());
+        emptyDiv.appendChild(resetBtn);
+
+        characterGallery.appendChild(emptyDiv);
+    }
+
+    // Read the toolbar into the current query, re-render and mirror it in the URL
+    updateQuery() {
+        this.query = {
+            q: searchInput.value.trim(),
+            type: typeFilter.value,
+            item: itemFilter.value,
+            party: partyFilter.value,
+            sort: sortSelect.value
+        };
+        this.renderGallery();
+        this.saveQuery();
+    }
+
+    // Reset search, filters and sort
+    clearQuery() {
+        this.query = GalleryQuery.fromSearch('');
+        this.syncQueryControls();
+        this.renderGallery();
+        this.saveQuery();
+    }
+
+    // Show the current query in the toolbar
+    syncQueryControls() {
+        searchInput.value = this.query.q;
+        typeFilter.value = this.query.type;
+        itemFilter.value = this.query.item;
+        partyFilter.value = this.query.party;
+        sortSelect.value = this.query.sort;
+    }
+
+    // Keep the query in the URL, and remember it for the detail page's back link
+    saveQuery() {
+        const search = GalleryQuery.toSearch(this.query);
+        history.replaceState(null, '', `${window.location.pathname}${search}`);
+        sessionStorage.setItem(GALLERY_QUERY_KEY, search);
     }
 
     // Render empty gallery state
     renderEmptyGallery() {
-        const emptyDiv = document.createElement('div');
-        emptyDiv.className = 'empty-gallery';
-        emptyDiv.innerHTML = `
-            <div class="empty-icon">🎭</div>
-            <h3>No Characters Yet</h3>
-            <p>Create your first character using the form above!</p>
-        `;
+        const emptyDiv = render.element('div', { className: 'empty-gallery' },
+            render.element('div', { className: 'empty-icon' }, '🎭'),
+            render.element('h3', {}, I18n.t('gallery.emptyTitle')),
+            render.element('p', {}, I18n.t('gallery.emptyHint'))
+        );
         characterGallery.appendChild(emptyDiv);
     }
 
     // Create character card element
-    createCharacterCard(character, index) {
-        const card = document.createElement('div');
-        card.className = 'character-card';
-        card.setAttribute('data-index', index);
-
-        // Handle image source with local fallback and prefix if needed
-        let imageSrc = character.imageUrl || '';
-        if (imageSrc && !imageSrc.includes('/')) {
-            imageSrc = `assets/images/${imageSrc}`;
-        }
-        if (!imageSrc) imageSrc = FALLBACK_IMAGE;
-
-        card.innerHTML = `
-            <img src="${imageSrc}" alt="${character.name}" class="character-image" onerror="this.onerror=null;this.src='${FALLBACK_IMAGE}'">
-            <div class="character-name">${character.name}</div>
-            <div class="character-type">${this.getTypeEmoji(character.type)} ${character.type}</div>
-            <div class="character-description">${character.description}</div>
-        `;
+    createCharacterCard(character) {
+        // Built from nodes so names and descriptions are always plain text
+        const selected = this.selectedIds.has(String(character.id));
+        const card = render.element('div', {
+            className: `character-card${selected ? ' selected' : ''}`,
+            dataset: { id: character.id },
+            role: 'listitem',
+            'aria-label': `${character.name}, ${TypeRegistry.characterType(character.type).label}`
+        },
+            render.element('label', { className: 'card-select', title: I18n.t('gallery.selectTitle', { name: character.name }) },
+                render.element('input', {
+                    type: 'checkbox',
+                    checked: selected,
+                    onChange: (e) => this.toggleSelected(character.id, e.target.checked)
+                }),
+                ` ${I18n.t('gallery.select')}`
+            ),
+            render.image(character.imageUrl, { alt: character.name, className: 'character-image' }),
+            render.element('div', { className: 'character-name' }, character.name),
+            render.element('div', { className: 'character-type' }, `${this.getTypeEmoji(character.type)} ${TypeRegistry.characterType(character.type).label}`),
+            render.element('div', { className: 'character-description' }, character.description),
+            this.createBondBadge(character),
+            this.createPartyChips(character)
+        );
 
-        // Add click handler (excluding delete)
+        // Add click handler (excluding card buttons)
         card.addEventListener('click', (ev) => {
             const target = ev.target;
-            if (target && target.classList.contains('btn-delete')) return;
-            this.viewCharacter(index);
+            if (target && target.closest('button, .card-select')) return;
+            this.viewCharacter(character.id);
         });
 
+        const actions = document.createElement('div');
+        actions.className = 'card-actions';
+
+        // Per-card edit button
+        const editBtn = document.createElement('button');
+        editBtn.className = 'btn-secondary btn-edit';
+        editBtn.type = 'button';
+        editBtn.textContent = I18n.t('gallery.edit');
+        editBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.startEdit(character.id);
+        });
+        actions.appendChild(editBtn);
+
         // Per-card delete button
         const delBtn = document.createElement('button');
         delBtn.className = 'btn-danger btn-delete';
         delBtn.type = 'button';
-        delBtn.textContent = 'Delete';
-        delBtn.style.marginTop = '12px';
+        delBtn.textContent = I18n.t('gallery.delete');
         delBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            if (confirm(`Delete ${character.name}? This cannot be undone.`)) {
-                this.characters.splice(index, 1);
-                this.saveCharacters();
-                // Clear invalid selected index
-                const sel = sessionStorage.getItem('selectedCharacterIndex');
-                if (sel !== null) {
-                    const n = Number(sel);
-                    if (!Number.isInteger(n) || n >= this.characters.length) {
-                        sessionStorage.removeItem('selectedCharacterIndex');
-                    }
-                }
-                this.renderGallery();
-                this.showMessage('Character deleted.', 'success');
-            }
+            this.confirmDelete(character.id);
         });
-        card.appendChild(delBtn);
+        actions.appendChild(delBtn);
+        card.appendChild(actions);
 
         return card;
     }
 
+    // Bonded dragon–rider pairs are marked on both cards
+    createBondBadge(character) {
+        const partner = Relationships.bondedPartner(character, this.characters);
+        return partner && render.element('div', { className: 'bond-badge', title: I18n.t('relationship.bondedTitle', { name: character.name, partner: partner.name }) },
+            I18n.t('relationship.bondedWith', { partner: partner.name }));
+    }
+
+    // The parties a character belongs to, as small labels
+    createPartyChips(character) {
+        const parties = PartyRegistry.partiesOf(character);
+        return parties.length > 0 && render.element('div', { className: 'card-parties' },
+            parties.map(party => render.element('span', { className: 'party-chip' }, `🛡️ ${party.name}`)));
+    }
+
+    // Ask before deleting a character, then focus the card that takes its place
+    async confirmDelete(id) {
+        const character = this.characters[this.findCharacterIndex(id)];
+        if (!character) return;
+
+        const confirmed = await Dialog.confirm({
+            title: I18n.t('gallery.deleteTitle'),
+            message: I18n.t('gallery.deleteConfirm', { name: character.name }),
+            confirmLabel: I18n.t('gallery.delete'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        const visible = GalleryQuery.apply(this.characters, this.query);
+        const index = visible.findIndex(char => sameId(char.id, character.id));
+        const next = visible[index + 1] || visible[index - 1];
+
+        this.deleteCharacters([character.id], I18n.t('history.delete', { name: character.name }));
+        if (sameId(this.editingId, character.id)) this.resetForm();
+        this.renderGallery();
+        this.showMessage(I18n.t('gallery.deleted'), 'success', this.undoAction());
+
+        // With no cards left, go back to the form to create one
+        if (!next || !this.grid.focus(next.id)) characterForm.elements.name.focus();
+    }
+
     // Get emoji for character type
     getTypeEmoji(type) {
-        const emojis = {
-            'Dragon': '🐲',
-            'Human': '👤'
-        };
-        return emojis[type] || '❓';
+        return TypeRegistry.characterType(type).emoji;
     }
 
     // View character details
-    viewCharacter(index) {
+    viewCharacter(id) {
         try {
-            // Store character index in sessionStorage
-            sessionStorage.setItem('selectedCharacterIndex', index.toString());
-            
-            // Redirect to detail page
-            window.location.href = 'detail.html';
+            // Route by stable id so the page can be bookmarked and shared
+            sessionStorage.setItem(GALLERY_FOCUS_KEY, String(id));
+            window.location.href = `detail.html?id=${encodeURIComponent(id)}`;
         } catch (error) {
             console.error('Error navigating to character detail:', error);
-            this.showMessage('Error opening character details!', 'error');
+            this.showMessage(I18n.t('gallery.openError'), 'error');
+        }
+    }
+
+    // Download the whole roster, warning when uploaded portraits couldn't go with it
+    async exportRoster() {
+        try {
+            const missing = await RosterTransfer.exportRoster(this.characters);
+            if (missing > 0) this.showMessage(I18n.t('export.portraitsMissing', { count: missing }), 'error');
+        } catch (error) {
+            console.error('Error exporting roster:', error);
+            this.showMessage(I18n.t('export.error'), 'error');
+        }
+    }
+
+    // Read an import file and show what it would change
+    async handleImportFile(file) {
+        try {
+            const text = await file.text();
+            this.pendingImport = RosterTransfer.parse(text);
+            importStrategy.value = 'skip';
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('Error reading roster import:', error);
+            this.cancelImport();
+            this.showMessage(error instanceof RosterImportError ? error.message : I18n.t('import.readError'), 'error');
+        }
+    }
+
+    // Render the summary of a pending import for the chosen strategy
+    renderImportPreview() {
+        if (!this.pendingImport) return;
+
+        const { entries } = RosterTransfer.plan(this.pendingImport.characters, this.characters, importStrategy.value);
+        const counts = { add: 0, overwrite: 0, rename: 0, skip: 0, reject: 0 };
+        entries.forEach(entry => counts[entry.action]++);
+
+        importSummary.textContent = I18n.t('import.summary', { count: entries.length, ...counts });
+
+        importDetails.innerHTML = '';
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = `import-${entry.action}`;
+            const label = I18n.t(`import.${entry.action}`);
+            let text = `${label}: ${entry.record.name || I18n.t('import.unnamed')}`;
+            if (entry.action === 'rename') text = `${label}: ${entry.original.name} → ${entry.record.name}`;
+            if (entry.action === 'skip') text += ` ${I18n.t('import.alreadyInRoster')}`;
+            if (entry.action === 'reject') text += ` — ${entry.reason}`;
+            li.textContent = text;
+            importDetails.appendChild(li);
+        });
+
+        applyImportBtn.disabled = counts.add + counts.overwrite + counts.rename === 0;
+        importPreview.style.display = 'block';
+        importPreview.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // Apply the pending import with the chosen strategy
+    async applyImport() {
+        if (!this.pendingImport) return;
+
+        applyImportBtn.disabled = true;
+        try {
+            // Portraits first, so the imported characters show them straight away
+            await RosterTransfer.restorePortraits(this.pendingImport.portraits);
+            const { entries, changed } = RosterTransfer.plan(this.pendingImport.characters, this.characters, importStrategy.value);
+            const applied = entries.filter(entry => ['add', 'overwrite', 'rename'].includes(entry.action)).length;
+
+            // Imported characters, plus roster characters that gained or lost a partner
+            this.saveCharacters(changed, I18n.t('history.import'));
+            if (this.editingId !== null) this.resetForm();
+            this.cancelImport();
+            this.renderGallery();
+            this.showMessage(I18n.t('import.imported', { count: applied }), 'success', this.undoAction());
+        } catch (error) {
+            console.error('Error applying roster import:', error);
+            applyImportBtn.disabled = false;
+            this.showMessage(I18n.t('import.error'), 'error');
         }
     }
 
+    // Discard a pending import
+    cancelImport() {
+        this.pendingImport = null;
+        importDetails.innerHTML = '';
+        importSummary.textContent = '';
+        importPreview.style.display = 'none';
+    }
+
     // Clear all characters
-    clearAllCharacters() {
-        if (confirm('⚠️ Are you sure you want to delete all characters? This action cannot be undone!')) {
-            try {
-                this.characters = [];
-                this.saveCharacters();
-                this.renderGallery();
-                this.showMessage('All characters have been deleted.', 'success');
-            } catch (error) {
-                console.error('Error clearing characters:', error);
-                this.showMessage('Error deleting characters!', 'error');
-            }
+    async clearAllCharacters() {
+        const confirmed = await Dialog.confirm({
+            title: I18n.t('gallery.clearAllTitle'),
+            message: I18n.t('gallery.clearAllConfirm', { count: this.characters.length }),
+            confirmLabel: I18n.t('gallery.deleteAll'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            // Only the characters shown here; anything another tab just added survives
+            this.deleteCharacters(this.characters.map(char => char.id), I18n.t('history.clearAll'));
+            this.resetForm();
+            this.renderGallery();
+            this.showMessage(I18n.t('gallery.allDeleted'), 'success', this.undoAction());
+            characterForm.elements.name.focus();
+        } catch (error) {
+            console.error('Error clearing characters:', error);
+            this.showMessage(I18n.t('gallery.deleteError'), 'error');
         }
     }
 
-    // Show message to user
-    showMessage(message, type = 'success') {
+    // Show message to user, optionally with action buttons ({ label, onClick })
+    showMessage(message, type = 'success', actions = []) {
         // Remove existing messages
         const existingMessages = document.querySelectorAll('.success-message, .error-message');
         existingMessages.forEach(msg => msg.remove());
@@ -263,60 +998,209 @@ class CharacterManager {
         messageDiv.className = `${type}-message`;
         messageDiv.textContent = message;
 
-        // Insert after form
+        // Optional action buttons (e.g. Undo) inside the message
+        actions.forEach(({ label, onClick }) => {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'btn-small btn-message-action';
+            actionBtn.textContent = label;
+            actionBtn.addEventListener('click', () => {
+                messageDiv.remove();
+                onClick();
+            });
+            messageDiv.appendChild(actionBtn);
+        });
+
+        // Insert after form, and read it out for screen readers
         characterForm.parentNode.insertBefore(messageDiv, characterForm.nextSibling);
+        LiveRegion.announce(message, type);
 
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (messageDiv.parentNode) {
-                messageDiv.remove();
-            }
-        }, 5000);
+        // Auto-remove after 5 seconds (10 when there is something to click)
+        dismissWhenIdle(messageDiv, actions.length ? 10000 : 5000);
+    }
+}
+
+// Gallery search, filter and sort, round-tripped through the URL query
+class GalleryQuery {
+    // Read a query from a location.search string
+    static fromSearch(search) {
+        const params = new URLSearchParams(search);
+        return {
+            q: (params.get('q') || '').trim(),
+            type: params.get('type') || '',
+            item: params.get('item') || '',
+            party: params.get('party') || '',
+            sort: params.get('sort') || ''
+        };
+    }
+
+    // Write a query as a location.search string, leaving out empty parts
+    static toSearch(query) {
+        const params = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        const search = params.toString();
+        return search ? `?${search}` : '';
+    }
+
+    // Whether anything would be filtered out
+    static isActive(query) {
+        return !!(query.q || query.type || query.item || query.party);
+    }
+
+    // Filter and sort characters without changing the stored order
+    static apply(characters, query) {
+        const text = query.q.toLowerCase();
+        const filtered = characters.filter(char => {
+            if (text && !`${char.name} ${char.description}`.toLowerCase().includes(text)) return false;
+            if (query.type && char.type !== query.type) return false;
+            if (query.item && !char.bag.some(item => item.type === query.item)) return false;
+            if (query.party && !(char.parties || []).some(id => sameId(id, query.party))) return false;
+            return true;
+        });
+
+        const created = (char) => new Date(char.createdAt || 0).getTime();
+        const sorters = {
+            name: (a, b) => a.name.localeCompare(b.name),
+            newest: (a, b) => created(b) - created(a),
+            oldest: (a, b) => created(a) - created(b),
+            bag: (a, b) => bagCount(b.bag) - bagCount(a.bag)
+        };
+        return sorters[query.sort] ? filtered.sort(sorters[query.sort]) : filtered;
     }
 }
 
 // Character Statistics Display
 class StatsDisplay {
-    static updateStats() {
-        const characters = JSON.parse(localStorage.getItem(CHARACTERS_KEY) || '[]');
-        
-        // Count by type
-        const stats = {
+    // Roster-wide numbers behind the dashboard
+    static calculateStats(characters) {
+        // Count by registered type, plus any legacy types still in the roster
+        const typeIds = TypeRegistry.characterTypes().map(type => type.id);
+        characters.forEach(c => {
+            if (!typeIds.includes(c.type)) typeIds.push(c.type);
+        });
+
+        // Carried items by item type, across every bag
+        const itemCounts = {};
+        characters.forEach(c => c.bag.forEach(item => {
+            itemCounts[item.type] = (itemCounts[item.type] || 0) + itemQuantity(item);
+        }));
+
+        return {
             total: characters.length,
-            dragons: characters.filter(c => c.type === 'Dragon').length,
-            humans: characters.filter(c => c.type === 'Human').length,
-            totalItems: characters.reduce((sum, c) => sum + (c.bag ? c.bag.length : 0), 0)
+            byType: typeIds.map(id => ({ type: TypeRegistry.characterType(id), count: characters.filter(c => c.type === id).length })),
+            totalItems: characters.reduce((sum, c) => sum + bagCount(c.bag), 0),
+            itemsPerCharacter: characters
+                .map(c => ({ name: c.name, count: bagCount(c.bag) }))
+                .sort((a, b) => b.count - a.count),
+            itemTypes: Object.entries(itemCounts).map(([id, count]) => ({ type: TypeRegistry.itemType(id), count })),
+            timeline: StatsDisplay.timeline(characters)
         };
+    }
+
+    // Characters created per day, month or year (whichever fits the roster's age), gaps included
+    static timeline(characters) {
+        const dates = characters
+            .map(c => new Date(c.createdAt))
+            .filter(date => !Number.isNaN(date.getTime()))
+            .sort((a, b) => a - b);
+        if (dates.length === 0) return [];
+
+        const first = dates[0];
+        const last = dates[dates.length - 1];
+        const months = (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth();
+        const unit = months === 0 ? 'day' : months < 24 ? 'month' : 'year';
+
+        const startOf = (date) => (unit === 'day'
+            ? new Date(date.getFullYear(), date.getMonth(), date.getDate())
+            : new Date(date.getFullYear(), unit === 'month' ? date.getMonth() : 0, 1));
+        const next = (date) => (unit === 'day'
+            ? new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+            : unit === 'month' ? new Date(date.getFullYear(), date.getMonth() + 1, 1) : new Date(date.getFullYear() + 1, 0, 1));
+        const format = { day: { month: 'short', day: 'numeric' }, month: { month: 'short', year: '2-digit' }, year: { year: 'numeric' } }[unit];
+
+        const buckets = [];
+        for (let start = startOf(first); start <= last; start = next(start)) {
+            const end = next(start);
+            buckets.push({
+                label: I18n.formatDate(start, format),
+                value: dates.filter(date => date >= start && date < end).length
+            });
+        }
+        return buckets;
+    }
+
+    // Redraw the dashboard; pages pass their current roster, otherwise it is loaded
+    static updateStats(characters = null) {
+        if (!characters) {
+            try {
+                characters = CharacterRepository.loadAll();
+            } catch (error) {
+                console.error('Error loading stats:', error);
+                characters = [];
+            }
+        }
 
         // Update display if stats element exists
         const statsElement = document.getElementById('galleryStats');
-        if (statsElement) {
-            statsElement.innerHTML = `
-                📊 Gallery Stats: ${stats.total} characters | 
-                🐲 ${stats.dragons} Dragons | 
-                👤 ${stats.humans} Humans | 
-                🎒 ${stats.totalItems} total items
-            `;
+        if (!statsElement) return;
+
+        const stats = StatsDisplay.calculateStats(characters);
+        const summary = render.element('p', { className: 'stats-summary' }, [
+            I18n.t('stats.characters', { count: stats.total }),
+            ...stats.byType.map(({ type, count }) => `${type.emoji} ${I18n.formatNumber(count)} ${type.label}`),
+            I18n.t('stats.items', { count: stats.totalItems })
+        ].join(' | '));
+
+        if (stats.total === 0) {
+            statsElement.replaceChildren(summary, render.element('p', { className: 'stats-empty' }, I18n.t('stats.empty')));
+            return;
         }
+
+        statsElement.replaceChildren(summary, StatsDisplay.renderCharts(stats));
+    }
+
+    static renderCharts(stats) {
+        const card = (title, ...content) => render.element('div', { className: 'chart-card' }, render.element('h3', {}, title), ...content);
+        const topCharacters = stats.itemsPerCharacter.slice(0, STATS_TOP_CHARACTERS);
+        const itemTypes = stats.itemTypes.map(({ type, count }) => ({ label: `${type.emoji} ${type.label}`, value: count }));
+
+        return render.element('div', { className: 'stats-charts' },
+            card(I18n.t('stats.byTypeTitle'),
+                Charts.bar(stats.byType.map(({ type, count }) => ({ label: `${type.emoji} ${type.label}`, value: count })), { title: I18n.t('stats.byTypeChart') })),
+            card(I18n.t('stats.perCharacterTitle'),
+                Charts.bar(topCharacters.map(({ name, count }) => ({ label: name, value: count })), { title: I18n.t('stats.perCharacterChart') }),
+                stats.itemsPerCharacter.length > topCharacters.length &&
+                    render.element('p', { className: 'chart-note' }, I18n.t('stats.top', { shown: topCharacters.length, count: stats.itemsPerCharacter.length }))),
+            card(I18n.t('stats.itemTypesTitle'),
+                itemTypes.length > 0
+                    ? render.element('div', { className: 'chart-with-legend' }, Charts.donut(itemTypes, { title: I18n.t('stats.itemTypesChart') }), Charts.legend(itemTypes))
+                    : render.element('p', { className: 'stats-empty' }, I18n.t('stats.noItems'))),
+            card(I18n.t('stats.timelineTitle'),
+                stats.timeline.length > 0
+                    ? Charts.columns(stats.timeline, { title: I18n.t('stats.timelineChart') })
+                    : render.element('p', { className: 'stats-empty' }, I18n.t('stats.noDates')))
+        );
     }
 }
 
+// Whether an element handles its own typing shortcuts
+const isTextField = (element) => !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA');
+
 // Utility Functions
 const utils = {
     // Generate unique ID
     generateId: () => Date.now() + Math.random().toString(36).substr(2, 9),
     
-    // Format date
-    formatDate: (dateString) => {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    },
+    // Format date (and time) in the current language
+    formatDate: (dateString) => I18n.formatDate(dateString, {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    }),
     
     // Validate image URL
     validateImageUrl: (url) => {
@@ -335,15 +1219,15 @@ const utils = {
 };
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log('🐲 Character Gallery initialized!');
+
+    // Open the roster database (migrating localStorage data on first use)
+    await CharacterRepository.init();
     
     // Create character manager instance
     const characterManager = new CharacterManager();
     
-    // Update stats display
-    StatsDisplay.updateStats();
-    
     // Add keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         // Ctrl/Cmd + N to focus on name input
@@ -352,10 +1236,20 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('characterName').focus();
         }
         
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z to redo (text fields keep their own undo)
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTextField(document.activeElement)) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                characterManager.redo();
+            } else {
+                characterManager.undo();
+            }
+        }
+
         // Escape to clear form
         if (e.key === 'Escape') {
-            if (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA') {
-                characterForm.reset();
+            if (isTextField(document.activeElement)) {
+                characterManager.resetForm();
             }
         }
     });
@@ -365,5 +1259,5 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Export for testing (if needed)
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { CharacterManager, StatsDisplay, utils };
+    module.exports = { CharacterManager, GalleryQuery, StatsDisplay, utils };
 }
\ No newline at end of file
@@ -0,0 +1,112 @@
+// --- DOM Capstone: Random Character Generator ---
+
+// Names for character types that don't define their own; the epithets and the
+// description phrases are in the message catalogs (generator.*)
+const GENERIC_NAMES = ['Arin', 'Bryn', 'Cael', 'Dara', 'Eryn', 'Fenn', 'Galen', 'Hale'];
+
+// Name attempts before a collision is settled with a numeral ("Vyrax Stormwing II")
+const MAX_NAME_ATTEMPTS = 20;
+
+// Most items rolled into a starting bag
+const MAX_STARTING_ITEMS = 3;
+
+class CharacterGenerator {
+    // Roll a character. `seed` makes the result reproducible (blank picks one at random
+    // and returns it), `type` fixes the type, `characters`/`ignoreId` are used for the
+    // duplicate-name check and `withBag` rolls a starting bag from the item catalog.
+    // Returns { character, seed }.
+    static generate({ seed = '', type = '', characters = [], ignoreId = null, withBag = false } = {}) {
+        const usedSeed = String(seed).trim() || Math.random().toString(36).substr(2, 8);
+        const random = this.random(usedSeed);
+        const pick = (list) => list[Math.floor(random() * list.length)];
+
+        // The type is always drawn, so a seed rolls the same character whether the
+        // type was picked by hand or left to an earlier roll
+        const drawnType = pick(TypeRegistry.characterTypes()).id;
+        const typeId = type || drawnType;
+        const entry = TypeRegistry.characterType(typeId);
+        const { names, epithets } = this.tables(entry);
+
+        const character = {
+            id: Date.now(),
+            type: typeId,
+            name: this.uniqueName(() => `${pick(names)} ${pick(epithets)}`, characters, ignoreId),
+            description: I18n.t('generator.description', {
+                opening: pick(I18n.list('generator.openings')),
+                type: entry.label.toLocaleLowerCase(I18n.locale()),
+                hook: pick(I18n.list('generator.hooks'))
+            }),
+            imageUrl: `${IMAGE_DIR}${pick(PRESET_PORTRAITS).file}`,
+            attributes: Attributes.defaultsFor(typeId),
+            bag: [],
+            createdAt: new Date().toISOString()
+        };
+        if (withBag) {
+            character.bag = this.startingBag(character, random);
+        }
+
+        return { character, seed: usedSeed };
+    }
+
+    // Name and epithet tables for a type; built-in types saved before the generator
+    // existed use the built-in tables, anything else without tables the generic ones
+    static tables(type) {
+        const builtIn = TypeRegistry.builtIn('character', type.id) || {};
+        const table = (key, fallback) => [type[key], builtIn[key], fallback].find(list => Array.isArray(list) && list.length > 0);
+        return { names: table('names', GENERIC_NAMES), epithets: table('epithets', I18n.list('generator.epithets')) };
+    }
+
+    // Draw names until one isn't taken, then number the last one
+    static uniqueName(draw, characters, ignoreId) {
+        const taken = (name) => characters.some(char => !sameId(char.id, ignoreId) && char.name.toLowerCase() === name.toLowerCase());
+
+        let name = draw();
+        for (let attempt = 1; attempt < MAX_NAME_ATTEMPTS && taken(name); attempt++) {
+            name = draw();
+        }
+
+        const base = name;
+        const numerals = ['II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X'];
+        for (let index = 0; taken(name); index++) {
+            name = `${base} ${index < numerals.length ? numerals[index] : index + 2}`;
+        }
+        return name;
+    }
+
+    // Up to MAX_STARTING_ITEMS different catalog items the character can carry
+    static startingBag(character, random) {
+        const templates = ItemCatalog.all().filter(template => !ItemCatalog.templateError(template));
+        const count = Math.floor(random() * (MAX_STARTING_ITEMS + 1));
+        const bag = [];
+
+        for (let roll = 0; roll < count && templates.length > 0; roll++) {
+            const [template] = templates.splice(Math.floor(random() * templates.length), 1);
+            const item = ItemCatalog.toItem(template);
+            if (!Encumbrance.overloadError({ ...character, bag }, { ...character, bag: [...bag, item] })) {
+                bag.push(item);
+            }
+        }
+        return bag;
+    }
+
+    // Seeded random numbers in [0, 1): the same seed always gives the same sequence
+    // (string hash into a mulberry32 generator)
+    static random(seed) {
+        let state = 0;
+        for (const char of String(seed)) {
+            state = Math.imul(state ^ char.codePointAt(0), 2654435761);
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let value = Math.imul(state ^ (state >>> 15), 1 | state);
+            value = (value + Math.imul(value ^ (value >>> 7), 61 | value)) ^ value;
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CharacterGenerator };
+}
@@ -0,0 +1,129 @@
+// --- DOM Capstone: Undo/Redo History ---
+
+// Session Storage Keys
+const HISTORY_KEY = 'dragonRuneHistory';
+
+// Oldest entries are dropped past this many
+const HISTORY_LIMIT = 50;
+
+// Thrown when a character changed after the history entry was recorded
+class HistoryConflictError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HistoryConflictError';
+    }
+}
+
+// Records roster changes as before/after snapshots of whole characters.
+// Kept in sessionStorage so both pages share it and it survives a reload.
+class CommandHistory {
+    // Snapshot one character change; `null` means the character doesn't exist on that side
+    static change(before, after) {
+        const copy = (record) => (record ? JSON.parse(JSON.stringify(record)) : null);
+        return {
+            id: (before || after).id,
+            before: copy(before),
+            after: copy(after)
+        };
+    }
+
+    // Add an entry for a finished operation; clears anything that could be redone
+    static record(label, changes) {
+        if (!changes.length) return;
+
+        const state = this.load();
+        state.undo.push({ label, changes });
+        state.undo = state.undo.slice(-HISTORY_LIMIT);
+        state.redo = [];
+        this.save(state);
+    }
+
+    // Revert the latest entry; returns { label, characters } or null when there is nothing to undo
+    static undo() {
+        return this.step('undo', 'redo', 'before', 'after');
+    }
+
+    // Re-apply the latest undone entry; returns { label, characters } or null
+    static redo() {
+        return this.step('redo', 'undo', 'after', 'before');
+    }
+
+    // Move one entry from `from` to `to`, writing each character's `target` snapshot
+    static step(from, to, target, expected) {
+        const state = this.load();
+        const entry = state[from][state[from].length - 1];
+        if (!entry) return null;
+
+        let characters;
+        try {
+            characters = CharacterRepository.update(current => {
+                // Refuse if someone changed these characters since
+                const stale = entry.changes.some(change => {
+                    const stored = current.find(char => sameId(char.id, change.id)) || null;
+                    return JSON.stringify(stored) !== JSON.stringify(change[expected]);
+                });
+                if (stale) {
+                    throw new HistoryConflictError(I18n.t(`history.${from}Conflict`, { label: entry.label }));
+                }
+
+                let updated = current;
+                entry.changes.forEach(change => {
+                    const index = updated.findIndex(char => sameId(char.id, change.id));
+                    if (change[target] === null) {
+                        updated = updated.filter(char => !sameId(char.id, change.id));
+                    } else if (index === -1) {
+                        updated.push(change[target]);
+                    } else {
+                        updated[index] = change[target];
+                    }
+                });
+                return updated;
+            });
+        } catch (error) {
+            // A conflicting entry can never apply, so drop it
+            if (error instanceof HistoryConflictError) {
+                state[from].pop();
+                this.save(state);
+            }
+            throw error;
+        }
+
+        state[from].pop();
+        state[to].push(entry);
+        this.save(state);
+        return { label: entry.label, characters };
+    }
+
+    static load() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(HISTORY_KEY));
+            if (stored && Array.isArray(stored.undo) && Array.isArray(stored.redo)) {
+                return stored;
+            }
+        } catch (error) {
+            console.error('Error loading history:', error);
+        }
+        return { undo: [], redo: [] };
+    }
+
+    static save(state) {
+        try {
+            sessionStorage.setItem(HISTORY_KEY, JSON.stringify(state));
+        } catch (error) {
+            // Out of space: keep only the most recent entry
+            console.error('Error saving history:', error);
+            state.undo = state.undo.slice(-1);
+            state.redo = [];
+            try {
+                sessionStorage.setItem(HISTORY_KEY, JSON.stringify(state));
+            } catch (retryError) {
+                sessionStorage.removeItem(HISTORY_KEY);
+            }
+        }
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CommandHistory, HistoryConflictError };
+}
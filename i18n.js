@@ -0,0 +1,164 @@
+// --- DOM Capstone: Localization ---
+
+// Local Storage Keys
+const LOCALE_KEY = 'dragonRuneLocale';
+
+// Messages missing from a catalog fall back to this one
+const DEFAULT_LOCALE = 'en';
+
+// Message catalogs (locales/*.js) and the language they're shown in.
+// A message is a string with {placeholders}, an object of plural forms
+// ({ one, other, ... }) chosen by its `count` through Intl.PluralRules, or a
+// list of phrases (read with I18n.list).
+class I18n {
+    // Called by each catalog file; `name` is the language's own name for the switcher
+    static register(locale, { name, messages }) {
+        this.catalogs[locale] = { name, messages };
+    }
+
+    // [{ value, label }] for every registered language
+    static languages() {
+        return Object.entries(this.catalogs).map(([value, { name }]) => ({ value, label: name }));
+    }
+
+    // Current language: the remembered choice, else the browser's, else English
+    static locale() {
+        if (!this.current) {
+            this.current = this.resolve([localStorage.getItem(LOCALE_KEY), ...(navigator.languages || [navigator.language])]);
+        }
+        return this.current;
+    }
+
+    // First registered language among `candidates` ("fr-CA" matches "fr")
+    static resolve(candidates) {
+        const match = candidates
+            .filter(Boolean)
+            .map(candidate => candidate.toLowerCase())
+            .map(candidate => (this.catalogs[candidate] ? candidate : candidate.split('-')[0]))
+            .find(candidate => this.catalogs[candidate]);
+        return match || DEFAULT_LOCALE;
+    }
+
+    // Translate `key`, filling in {placeholders} from `params`; numbers are written
+    // the local way. Unknown keys come back as-is so they're easy to spot.
+    static t(key, params = {}) {
+        const locale = this.locale();
+        const message = this.lookup(locale, key);
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        const text = typeof message === 'object' ? this.plural(locale, message, params.count) : message;
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            return typeof params[name] === 'number' ? this.formatNumber(params[name]) : String(params[name]);
+        });
+    }
+
+    // A list message (such as a generator table) as a new array; [] when it's missing
+    static list(key) {
+        const message = this.lookup(this.locale(), key);
+        if (!Array.isArray(message)) {
+            console.warn(`Missing message: ${key}`);
+            return [];
+        }
+        return message.slice();
+    }
+
+    static lookup(locale, key) {
+        const catalog = this.catalogs[locale];
+        if (catalog && key in catalog.messages) return catalog.messages[key];
+        const fallback = this.catalogs[DEFAULT_LOCALE];
+        return fallback ? fallback.messages[key] : undefined;
+    }
+
+    // Pick the plural form for `count`; languages without a form use `other`
+    static plural(locale, forms, count) {
+        const category = new Intl.PluralRules(locale).select(Number(count) || 0);
+        return forms[category] !== undefined ? forms[category] : forms.other;
+    }
+
+    static formatNumber(value) {
+        return new Intl.NumberFormat(this.locale(), { maximumFractionDigits: 2 }).format(value);
+    }
+
+    // Date (or ISO string) in the current language; `fallback` when there is none
+    static formatDate(value, options = { year: 'numeric', month: 'short', day: 'numeric' }, fallback = I18n.t('common.unknown')) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (!value || Number.isNaN(date.getTime())) return fallback;
+        return new Intl.DateTimeFormat(this.locale(), options).format(date);
+    }
+
+    // Switch language, remember it and re-translate the page
+    static setLocale(locale) {
+        this.current = this.resolve([locale]);
+        localStorage.setItem(LOCALE_KEY, this.current);
+        this.apply();
+    }
+
+    // Show the page in the current language and let the page redraw what it built
+    static apply() {
+        document.documentElement.lang = this.locale();
+        this.translatePage();
+        document.querySelectorAll('.language-select').forEach(select => {
+            select.value = this.locale();
+        });
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.locale());
+            } catch (error) {
+                console.error('Error switching language:', error);
+            }
+        });
+    }
+
+    // Static markup names its messages: data-i18n for the text, data-i18n-placeholder,
+    // data-i18n-aria-label, data-i18n-title and data-i18n-alt for those attributes
+    static translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        ['placeholder', 'aria-label', 'title', 'alt'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+
+    // Fill a language <select> and switch when it changes
+    static attachSwitcher(select) {
+        select.replaceChildren(...this.languages().map(({ value, label }) => render.element('option', { value }, label)));
+        select.value = this.locale();
+        select.addEventListener('change', () => this.setLocale(select.value));
+    }
+
+    // Call `listener(locale)` after the language changed, here or in another tab
+    static subscribe(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+I18n.catalogs = {};
+I18n.current = null;
+I18n.listeners = [];
+
+// Translate the page before the page scripts render into it
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.language-select').forEach(select => I18n.attachSwitcher(select));
+    document.documentElement.lang = I18n.locale();
+    I18n.translatePage();
+});
+
+// Follow a language picked in another tab
+window.addEventListener('storage', (event) => {
+    if (event.key !== LOCALE_KEY && event.key !== null) return;
+    const previous = I18n.locale();
+    I18n.current = null;
+    if (I18n.locale() !== previous) I18n.apply();
+});
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, LOCALE_KEY, DEFAULT_LOCALE };
+}
@@ -0,0 +1,671 @@
+// --- DOM Capstone: English Messages ---
+
+// The reference catalog: every key the app uses is defined here, and other
+// languages fall back to it for anything they leave out
+const EN_MESSAGES = {
+    // Shared words and units
+    'common.unknown': 'Unknown',
+    'common.cancel': 'Cancel',
+    'common.ok': 'OK',
+    'common.close': 'Close',
+    'common.error': '❌ Error',
+    'common.backToGallery': '← Back to Gallery',
+    'units.kg': '{weight} kg',
+
+    // Attributes
+    'attribute.health': 'Health',
+    'attribute.strength': 'Strength',
+    'attribute.defense': 'Defense',
+    'attribute.magic': 'Magic',
+    'attribute.modifier': '{value} {attribute}',
+    'encumbrance.overload': '{name} can only carry {capacity} (that would be {weight})!',
+
+    // Storage
+    'storage.low': '⚠️ Storage is running low: {usage}. Remove unused characters or items to free space.',
+    'storage.notSaved': '⚠️ Your last change could not be saved!',
+    'storage.full': '⚠️ Storage is full. Your last change could not be saved!',
+    'storage.fullWithUsage': '⚠️ Storage is full: {usage}. Your last change could not be saved!',
+    'storage.usage': '{usage} of {quota} used ({percent}%)',
+    'storage.corrupt': 'Saved characters are corrupted and could not be loaded.',
+    'storage.unknownFormat': 'Saved characters are in an unknown format and could not be loaded.',
+    'storage.backupKept': '{message} A backup was kept under "{key}".',
+    'storage.unavailable': '⚠️ The character database couldn\'t be opened, so characters are kept in this browser\'s local storage for now.',
+
+    // Portraits
+    'portrait.fire': 'Fire Dragon',
+    'portrait.mystic': 'Mystic Dragon',
+    'portrait.lightning': 'Lightning Dragon',
+    'portrait.earth': 'Earth Dragon',
+    'portrait.ancient': 'Ancient Dragon',
+    'portrait.shadow': 'Shadow Dragon',
+    'portrait.notImage': 'Please choose an image file!',
+    'portrait.tooLarge': 'That image is too large (10 MB at most)!',
+    'portrait.unprocessable': 'That image could not be processed!',
+    'portrait.unreadable': 'That image could not be read!',
+    'portrait.interrupted': 'Portrait storage was interrupted.',
+    'portrait.unsupported': 'This browser can\'t store custom portraits.',
+    'portrait.saveError': 'Error saving portrait!',
+
+    // Undo and redo
+    'history.undo': '↩️ Undo',
+    'history.redo': '↪️ Redo',
+    'history.undone': '↩️ Undone: {label}',
+    'history.redone': '↪️ Redone: {label}',
+    'history.nothingToUndo': 'Nothing to undo.',
+    'history.nothingToRedo': 'Nothing to redo.',
+    'history.undoError': 'Error during undo!',
+    'history.redoError': 'Error during redo!',
+    'history.undoConflict': 'Can\'t undo "{label}": the character was changed since.',
+    'history.redoConflict': 'Can\'t redo "{label}": the character was changed since.',
+
+    // Share links
+    'share.newerVersion': 'This share link was made by a newer version of the app.',
+    'share.damaged': 'This share link is damaged or incomplete.',
+    'share.unsupported': 'This browser can\'t open compressed share links.',
+    'share.noCharacter': 'This link does not contain a character.',
+    'share.invalidCharacter': 'This shared character can\'t be used: {error}',
+
+    // Relationships
+    'relationship.bonded': 'Bonded partner',
+    'relationship.sibling': 'Sibling',
+    'relationship.rival': 'Rival',
+    'relationship.mentor': 'Mentor',
+    'relationship.student': 'Student',
+    'relationship.chooseType': 'Please choose a kind of relationship!',
+    'relationship.self': 'A character can\'t be related to themselves!',
+    'relationship.alreadyRelated': '{a} and {b} are already related! Remove the old relationship first.',
+    'relationship.alreadyBonded': '{name} is already bonded with {partner}!',
+
+    // Giving and trading
+    'trade.samePartner': 'Choose a different character to trade with!',
+    'trade.nothingSelected': 'Select at least one item to hand over!',
+    'trade.itemGone': 'An item is no longer in {name}\'s bag!',
+    'trade.quantity': '{name} can hand over 1 to {held} of {item}!',
+    'trade.receiverError': '{name}: {error}',
+
+    // App updates
+    'update.available': '🆕 A new version of the app is available.',
+    'update.reload': '🔄 Reload',
+    'update.later': 'Later',
+
+    // Exports and character sheets
+    'export.csv.character': 'Character',
+    'export.csv.type': 'Type',
+    'export.csv.item': 'Item',
+    'export.csv.description': 'Description',
+    'export.csv.quantity': 'Quantity',
+    'export.csv.weight': 'Weight (kg)',
+    'export.csv.equipped': 'Equipped',
+    'export.csv.added': 'Added',
+    'export.csv.yes': 'yes',
+    'export.csv.no': 'no',
+    'export.error': 'Error exporting characters!',
+    'export.portraitsMissing': {
+        one: '⚠️ {count} uploaded portrait could not be included in the file.',
+        other: '⚠️ {count} uploaded portraits could not be included in the file.'
+    },
+    'sheet.type': 'Type:',
+    'sheet.created': 'Created:',
+    'sheet.attributes': 'Attributes',
+    'sheet.attribute': 'Attribute',
+    'sheet.base': 'Base',
+    'sheet.withEquipment': 'With equipment',
+    'sheet.relationships': 'Relationships',
+    'sheet.inventory': {
+        one: 'Inventory — {count} item, {weight} of {capacity}',
+        other: 'Inventory — {count} items, {weight} of {capacity}'
+    },
+    'sheet.emptyBag': 'The bag is empty.',
+    'sheet.equipped': 'equipped',
+    'export.noCharacter': 'No character to export!',
+
+    // Roster import
+    'import.invalidJson': 'The selected file is not valid JSON.',
+    'import.noRoster': 'The selected file does not contain a character roster.',
+    'import.newerVersion': 'This roster was exported by a newer version of the app.',
+    'import.itemError': 'Item "{name}": {error}',
+    'import.readError': 'Error reading the import file!',
+    'import.summary': {
+        one: '{count} character in file: {add} new, {overwrite} overwritten, {rename} renamed, {skip} skipped, {reject} invalid',
+        other: '{count} characters in file: {add} new, {overwrite} overwritten, {rename} renamed, {skip} skipped, {reject} invalid'
+    },
+    'import.add': '➕ Add',
+    'import.overwrite': '♻️ Overwrite',
+    'import.rename': '✏️ Rename',
+    'import.skip': '⏭️ Skip',
+    'import.reject': '⚠️ Invalid',
+    'import.unnamed': '(unnamed)',
+    'import.alreadyInRoster': '(already in roster)',
+    'import.imported': {
+        one: '📥 Imported {count} character.',
+        other: '📥 Imported {count} characters.'
+    },
+    'import.error': 'Error importing roster!',
+    'catalog.noCatalog': 'The selected file does not contain an item catalog.',
+
+    // Change history labels
+    'history.create': 'Create {name}',
+    'history.edit': 'Edit {name}',
+    'history.delete': 'Delete {name}',
+    'history.clearAll': 'Clear all characters',
+    'history.import': 'Import roster',
+    'history.addToParty': {
+        one: 'Add {count} character to {party}',
+        other: 'Add {count} characters to {party}'
+    },
+    'history.removeFromParty': {
+        one: 'Remove {count} character from {party}',
+        other: 'Remove {count} characters from {party}'
+    },
+
+    // Gallery
+    'gallery.count': {
+        one: '{count} character',
+        other: '{count} characters'
+    },
+    'gallery.countFiltered': {
+        one: '{visible} of {count} character',
+        other: '{visible} of {count} characters'
+    },
+    'gallery.selected': '{count} selected',
+    'gallery.createTitle': '✨ Create New Character',
+    'gallery.editTitle': '✏️ Edit {name}',
+    'gallery.createCharacter': '⚔️ Create Character',
+    'gallery.saveChanges': '💾 Save Changes',
+    'gallery.created': '✨ {name} has been created successfully!',
+    'gallery.updated': '✨ {name} has been updated!',
+    'gallery.createError': 'Error creating character!',
+    'gallery.updateError': 'Error updating character!',
+    'gallery.saveError': 'Error saving characters!',
+    'gallery.deleteError': 'Error deleting characters!',
+    'gallery.openError': 'Error opening character details!',
+    'gallery.characterGone': 'This character no longer exists!',
+    'gallery.editedGone': 'The character you were editing no longer exists.',
+    'gallery.noPartiesYet': 'No parties yet. Create one in the Parties section.',
+    'gallery.emptyTitle': 'No Characters Yet',
+    'gallery.emptyHint': 'Create your first character using the form above!',
+    'gallery.noMatchesTitle': 'No Matching Characters',
+    'gallery.noMatchesHint': 'Try a different search or filter.',
+    'gallery.clearFilters': 'Clear Filters',
+    'gallery.select': 'Select',
+    'gallery.selectTitle': 'Select {name} for export',
+    'gallery.edit': 'Edit',
+    'gallery.delete': 'Delete',
+    'gallery.deleteTitle': '🗑️ Delete Character',
+    'gallery.deleteConfirm': 'Delete {name}? You can undo this afterwards.',
+    'gallery.deleted': 'Character deleted.',
+    'gallery.clearAllTitle': '⚠️ Clear All',
+    'gallery.clearAllConfirm': {
+        one: 'Are you sure you want to delete {count} character?',
+        other: 'Are you sure you want to delete all {count} characters?'
+    },
+    'gallery.deleteAll': 'Delete All',
+    'gallery.allDeleted': 'All characters have been deleted.',
+    'gallery.selectToExport': 'Select the characters to export first!',
+    'gallery.selectToAdd': 'Select the characters to add first!',
+    'gallery.selectToRemove': 'Select the characters to remove first!',
+    'gallery.chooseParty': 'Choose a party first!',
+    'gallery.allInParty': 'All of them are already in {party}.',
+    'gallery.noneInParty': 'None of them are in {party}.',
+    'gallery.addedToParty': {
+        one: '🛡️ Added {count} character to {party}.',
+        other: '🛡️ Added {count} characters to {party}.'
+    },
+    'gallery.removedFromParty': {
+        one: '🛡️ Removed {count} character from {party}.',
+        other: '🛡️ Removed {count} characters from {party}.'
+    },
+    'relationship.bondedWith': '🐉 Bonded with {partner}',
+    'relationship.bondedTitle': '{name} and {partner} are bonded',
+
+    // Random characters
+    'generator.generated': '🎲 Generated {name} (seed: {seed})',
+    'generator.startingBag': '🎒 Starting bag: {items}',
+    'generator.epithets': [
+        'the Brave',
+        'the Quiet',
+        'the Lost',
+        'of the North',
+        'the Lucky',
+        'the Stranger'
+    ],
+    'generator.description': '{opening} {type} {hook}.',
+    'generator.openings': [
+        'A restless',
+        'A cunning',
+        'A weary',
+        'An ancient',
+        'A young',
+        'A proud',
+        'A secretive',
+        'A cheerful'
+    ],
+    'generator.hooks': [
+        'who guards a forgotten shrine',
+        'searching for a stolen heirloom',
+        'with a debt to the Rune Guild',
+        'who never forgets a slight',
+        'fleeing a broken oath',
+        'who trades in rumors and relics',
+        'sworn to protect the old roads',
+        'chasing a half-remembered prophecy'
+    ],
+
+    // Gallery dashboard
+    'stats.characters': {
+        one: '📊 Gallery Stats: {count} character',
+        other: '📊 Gallery Stats: {count} characters'
+    },
+    'stats.items': {
+        one: '🎒 {count} total item',
+        other: '🎒 {count} total items'
+    },
+    'stats.empty': 'Create characters to see charts here.',
+    'stats.byTypeTitle': '🧬 Characters by Type',
+    'stats.byTypeChart': 'Characters by type',
+    'stats.perCharacterTitle': '🎒 Items per Character',
+    'stats.perCharacterChart': 'Items per character',
+    'stats.top': 'Top {shown} of {count} characters',
+    'stats.itemTypesTitle': '📦 Item Types in the Roster',
+    'stats.itemTypesChart': 'Item types in the roster',
+    'stats.noItems': 'No items carried yet.',
+    'stats.timelineTitle': '📅 Creation Timeline',
+    'stats.timelineChart': 'Characters created over time',
+    'stats.noDates': 'No creation dates recorded.',
+
+    // Parties
+    'party.emptyList': 'No parties yet. Name one below to start grouping characters.',
+    'party.members': {
+        one: '{count} member',
+        other: '{count} members'
+    },
+    'party.show': '🔍 Show',
+    'party.rename': '✏️ Rename',
+    'party.delete': '🗑️ Delete',
+    'party.newTitle': '➕ New Party',
+    'party.renameTitle': '✏️ Rename {name}',
+    'party.createParty': '🛡️ Create Party',
+    'party.saveName': '💾 Save Name',
+    'party.renamed': '🛡️ Party renamed to {name}.',
+    'party.created': '🛡️ {name} has been created!',
+    'party.saveError': 'Error saving party!',
+    'party.deleteTitle': '🗑️ Delete Party',
+    'party.deleteConfirm': 'Delete the party {name}?',
+    'party.membersStay': {
+        one: 'Its {count} member stays in the roster.',
+        other: 'Its {count} members stay in the roster.'
+    },
+    'party.deleted': '{name} has been deleted.',
+    'party.deleteError': 'Error deleting party!',
+
+    // Type settings
+    'types.use.equip': 'Equippable',
+    'types.use.consume': 'Usable',
+    'types.use.none': 'Carried',
+    'types.builtin.Dragon.label': 'Dragon',
+    'types.builtin.Dragon.description': 'Ancient and powerful',
+    'types.builtin.Dragon.epithets': [
+        'the Ember-Born',
+        'Stormwing',
+        'of the Ashen Peaks',
+        'the Ancient',
+        'Goldhoard',
+        'the Shadowscale',
+        'Skyrender',
+        'the Frostfang'
+    ],
+    'types.builtin.Human.label': 'Human',
+    'types.builtin.Human.description': 'Clever and adaptable',
+    'types.builtin.Human.epithets': [
+        'the Bold',
+        'of Highmoor',
+        'the Wanderer',
+        'Ironhand',
+        'the Wise',
+        'of the Silver Road',
+        'the Swift',
+        'Dragonfriend'
+    ],
+    'types.builtin.Rune.label': 'Rune',
+    'types.builtin.Rune.description': 'Magical essence',
+    'types.builtin.Weapon.label': 'Weapon',
+    'types.builtin.Weapon.description': 'Combat equipment',
+    'types.builtin.Potion.label': 'Potion',
+    'types.builtin.Potion.description': 'Magical brew',
+    'types.builtin.Treasure.label': 'Treasure',
+    'types.builtin.Treasure.description': 'Valuable item',
+    'types.builtin.Armor.label': 'Armor',
+    'types.builtin.Armor.description': 'Protective gear',
+    'types.inUse': 'in use ×{count}',
+    'types.edit': '✏️ Edit',
+    'types.remove': '🗑️ Remove',
+    'types.added': '{type} has been added!',
+    'types.updated': '{type} has been updated!',
+    'types.saveError': 'Error saving type!',
+    'types.addTitle': '➕ Add a Type',
+    'types.editTitle': '✏️ Edit {label}',
+    'types.lastOne.character': 'At least one character type is needed!',
+    'types.lastOne.item': 'At least one item type is needed!',
+    'types.keepIt.character': {
+        one: '{count} character will keep it and show ❓.',
+        other: '{count} characters will keep it and show ❓.'
+    },
+    'types.keepIt.item': {
+        one: '{count} item will keep it and show ❓.',
+        other: '{count} items will keep it and show ❓.'
+    },
+    'types.removeTitle': '🗑️ Remove {label}',
+    'types.removeConfirm': 'Remove the {label} type?',
+    'types.removed': '{label} has been removed.',
+    'types.removeError': 'Error removing type!',
+    'types.restoreTitle': '↺ Restore Built-in Types',
+    'types.restoreConfirm': 'Restore the built-in types? Custom types will be removed.',
+    'types.restore': 'Restore',
+    'types.restored': 'Built-in types restored.',
+    'common.delete': 'Delete',
+    'common.remove': 'Remove',
+
+    // Character page
+    'detail.pageTitle': '🐲 {name} - Character Details',
+    'detail.sharedPageTitle': '🐲 {name} (shared) - Character Details',
+    'detail.noneSelected': 'No character selected. Redirecting to gallery...',
+    'detail.notFound': 'Character not found. Redirecting to gallery...',
+    'detail.loadError': 'Error loading character. Please try again.',
+    'detail.gone': 'This character no longer exists. Redirecting to gallery...',
+    'detail.deletedElsewhere': 'This character was deleted in another tab. Redirecting to gallery...',
+    'detail.saveError': 'Error saving changes!',
+    'detail.base': 'base {value}',
+    'detail.created': '📅 Created:',
+    'detail.itemsInBag': '🎒 Items in bag:',
+    'detail.parties': '🛡️ Parties:',
+    'detail.editCharacter': '✏️ Edit Character',
+    'detail.share': '🔗 Share',
+    'share.openError': 'This share link could not be opened.',
+    'share.addAs': '✏️ Add as "{name}"',
+    'share.joined': '✨ {name} has joined your roster!',
+    'share.portraitNote': 'Uploaded portraits stay on this device.',
+    'share.copied': '🔗 Share link copied to the clipboard!',
+    'share.title': '🔗 Share Link',
+    'share.copyPrompt': 'Copy this share link:',
+    'share.createError': 'Error creating share link!',
+    'relationship.none': '{name} has no relationships yet.',
+    'relationship.remove': '✖️ Remove',
+    'relationship.removeTitle': 'Remove the relationship with {name}',
+    'relationship.chooseCharacter': 'Please choose a character!',
+    'relationship.added': '{other} is now {name}\'s {relation}!',
+    'relationship.addError': 'Error adding relationship!',
+    'relationship.removed': '{name} and {other} are no longer related.',
+    'history.add': 'Add {name}',
+    'history.addStack': 'Add {quantity}× {name}',
+    'history.remove': 'Remove {name}',
+    'history.use': 'Use {name}',
+    'history.equip': 'Equip {name}',
+    'history.unequip': 'Unequip {name}',
+    'history.relate': 'Make {other} {name}\'s {relation}',
+    'history.unrelate': 'Remove relationship with {other}',
+    'history.give': 'Give {quantity}× {item} to {name}',
+    'history.trade': 'Trade with {name}',
+
+    // Bag
+    'bag.count': {
+        one: '{count} item',
+        other: '{count} items'
+    },
+    'bag.capacity': '⚖️ {weight} / {capacity} ({free} free)',
+    'bag.encumbered': '⚠️ Encumbered: {weight} / {capacity}',
+    'bag.emptyTitle': 'Bag is empty',
+    'bag.emptyHint': 'Add your first item above!',
+    'bag.addTitle': '✨ Add New Item',
+    'bag.editTitle': '✏️ Edit {item}',
+    'bag.addToBag': '➕ Add to Bag',
+    'bag.saveItem': '💾 Save Item',
+    'bag.added': '✨ {item} has been added to {name}\'s bag!',
+    'bag.stacked': '✨ Added {quantity} more {item} (now ×{total})!',
+    'bag.addError': 'Error adding item to bag!',
+    'bag.updated': '✨ {item} has been updated!',
+    'bag.updateError': 'Error updating item!',
+    'bag.itemGone': 'This item is no longer in the bag!',
+    'bag.equipped': 'Equipped',
+    'bag.addedOn': 'Added: {date}',
+    'bag.equip': '🗡️ Equip',
+    'bag.unequip': '🔓 Unequip',
+    'bag.use': '🧪 Use',
+    'bag.edit': '✏️ Edit',
+    'bag.give': '🤝 Give',
+    'bag.saveTemplate': '📚 Save as Template',
+    'bag.remove': '🗑️ Remove',
+    'bag.equippedItem': '🗡️ Equipped {item}.',
+    'bag.unequippedItem': '🔓 Unequipped {item}.',
+    'bag.equipError': 'Error equipping item!',
+    'bag.used': '🧪 {name} used {item}!',
+    'bag.usedWithEffects': '🧪 {name} used {item}: {effects}!',
+    'bag.useError': 'Error using item!',
+    'bag.removeTitle': '🗑️ Remove Item',
+    'bag.removeConfirm': 'Are you sure you want to remove {item} from {name}\'s bag?',
+    'bag.removed': '{item} has been removed from the bag.',
+    'bag.removeError': 'Error removing item!',
+    'bagStats.title': '📊 Bag Statistics',
+    'bagStats.totalItems': 'Total Items',
+    'bagStats.totalWeight': 'Total Weight',
+    'bagStats.remaining': 'Remaining Capacity',
+    'bagStats.encumbered': '(encumbered)',
+    'bagStats.mostRecent': 'Most Recent',
+    'bagStats.oldest': 'Oldest',
+    'bagStats.byTypeChart': 'Items by type',
+
+    // Item catalog
+    'catalog.noMatches': 'No templates match your search.',
+    'catalog.emptyHint': 'The catalog is empty. Save a bag item as a template to start one!',
+    'catalog.empty': 'The catalog is empty!',
+    'catalog.add': '➕ Add',
+    'catalog.remove': '🗑️ Remove',
+    'catalog.templateGone': 'This template is no longer in the catalog!',
+    'catalog.saved': '📚 {item} has been saved to the catalog!',
+    'catalog.updated': '📚 {item} has been updated in the catalog!',
+    'catalog.saveError': 'Error saving template!',
+    'catalog.removeTitle': '🗑️ Remove Template',
+    'catalog.removeConfirm': 'Remove {item} from the catalog?',
+    'catalog.removed': '{item} has been removed from the catalog.',
+    'catalog.removeError': 'Error removing template!',
+    'catalog.suggestion': '🎲 How about {item}?',
+    'catalog.imported': '📥 Catalog imported: {added} added, {replaced} updated.',
+    'catalog.importedWithInvalid': '📥 Catalog imported: {added} added, {replaced} updated, {invalid} skipped as invalid.',
+
+    // Giving and trading (page)
+    'trade.noRecipient': 'There is no other character to give items to!',
+    'trade.noPartner': 'There is no other character to trade with!',
+    'trade.giveTitle': '🤝 Give {item}',
+    'trade.received': '🤝 {name} received {quantity}× {item}!',
+    'trade.gives': '{name} gives',
+    'trade.nothingToOffer': 'Nothing to offer',
+    'trade.quantityOf': 'Quantity of {item}',
+    'trade.complete': '🔄 Trade with {name} complete!',
+    'trade.error': 'Error transferring items!',
+
+    // Party page
+    'partyPage.pageTitle': '🛡️ {name} - Party',
+    'partyPage.loadError': 'Error loading party. Please try again.',
+    'partyPage.notFound': 'This party doesn\'t exist (it may have been deleted).',
+    'partyPage.members': '👥 Members:',
+    'partyPage.itemsCarried': '🎒 Items carried:',
+    'partyPage.formed': '📅 Formed:',
+    'partyPage.noMembersTitle': 'No Members Yet',
+    'partyPage.noMembersHint': 'Tick this party on a character in the gallery, or add several at once from the selection bar.',
+    'partyPage.memberLoad': {
+        one: '🎒 {count} item · ⚖️ {weight} / {capacity}',
+        other: '🎒 {count} items · ⚖️ {weight} / {capacity}'
+    },
+    'partyPage.capacity': '⚖️ {weight} / {capacity} combined',
+    'partyPage.encumbered': '⚠️ Encumbered: {names}',
+    'partyPage.emptyInventory': 'Nobody in this party carries anything yet.',
+    'partyPage.carriedBy': 'Carried by {carriers}',
+
+    // Validation
+    'validation.characterType': 'Please select a character type!',
+    'validation.characterName': 'Character name must be at least 2 characters!',
+    'validation.characterDescription': 'Please provide a description (at least 5 characters)!',
+    'validation.characterPortrait': 'Please upload a portrait or pick one from the library!',
+    'validation.characterDuplicate': 'A character with this name already exists!',
+    'validation.attributes': 'Attributes must be whole numbers of 0 or more!',
+    'validation.itemType': 'Please select an item type!',
+    'validation.itemName': 'Item name must be at least 2 characters!',
+    'validation.itemQuantity': 'Quantity must be a whole number from 1 to {max}!',
+    'validation.weight': 'Weight must be a number from 0 to {max} kg!',
+    'validation.itemModifiers': 'Item effects must be whole numbers from -{max} to {max}!',
+    'validation.itemDuplicate': 'An item with this name already exists in the bag!',
+    'validation.typeId': 'Type name must be at least 2 characters!',
+    'validation.typeDuplicate': 'A type with this name already exists!',
+    'validation.typeLabel': 'Type label must be at least 2 characters!',
+    'validation.typeEmoji': 'Please give the type an emoji!',
+    'validation.typeCapacity': 'Carrying capacity must be 0 kg or more!',
+    'validation.typeNames': 'Generator names must be 2 to 22 characters each!',
+    'validation.typeEpithets': 'Generator epithets must be at most 22 characters each!',
+    'validation.typeUse': 'Please choose how the item type is used!',
+    'validation.partyNameShort': 'Party name must be at least 2 characters!',
+    'validation.partyNameLong': 'Party name must be at most 50 characters!',
+    'validation.partyDuplicate': 'A party with this name already exists!',
+    'validation.stackType': '"{name}" is already in the bag as a {type}!',
+    'validation.stackQuantity': 'A stack can hold at most {max} of an item!',
+
+    // Gallery page
+    'language.label': '🌐 Language:',
+    'app.galleryPageTitle': '🐲 Character Gallery - Dragon Rune Adventure',
+    'app.galleryHeading': '🐲 Character Gallery',
+    'app.tagline': 'Create and manage your legendary characters',
+    'form.characterType': 'Character Type:',
+    'form.chooseHeritage': 'Choose your heritage...',
+    'form.characterName': 'Character Name:',
+    'form.namePlaceholder': 'Enter character name...',
+    'form.description': 'Description:',
+    'form.descriptionPlaceholder': 'Describe your character\'s story and abilities...',
+    'form.parties': '🛡️ Parties:',
+    'form.portrait': 'Portrait:',
+    'form.dropImage': '📤 Drop an image here or',
+    'form.chooseFile': 'Choose a File',
+    'form.pickFromLibrary': '…or pick one from the library:',
+    'generator.seed': 'Seed (optional, reproduces a result):',
+    'generator.seedPlaceholder': 'e.g. tavern-7',
+    'generator.rollBag': '🎒 Roll a starting bag',
+    'generator.generate': '🎲 Generate',
+    'form.cancelEdit': '✖️ Cancel Edit',
+    'gallery.heading': '🏛️ Character Gallery',
+    'gallery.exportRoster': '📤 Export Roster',
+    'gallery.importRoster': '📥 Import Roster',
+    'gallery.clearAll': '🗑️ Clear All',
+    'import.previewTitle': '📥 Import Preview',
+    'import.strategy': 'When a character already exists:',
+    'import.strategySkip': 'Skip it',
+    'import.strategyOverwrite': 'Overwrite it with the imported one',
+    'import.strategyRename': 'Import it under a new name',
+    'import.apply': '✅ Apply Import',
+    'common.cancelButton': '✖️ Cancel',
+    'toolbar.search': 'Search:',
+    'toolbar.searchPlaceholder': 'Name or description...',
+    'toolbar.type': 'Type:',
+    'toolbar.allTypes': 'All types',
+    'toolbar.carrying': 'Carrying:',
+    'toolbar.anything': 'Anything',
+    'toolbar.party': 'Party:',
+    'toolbar.anyParty': 'Any party',
+    'toolbar.sort': 'Sort by:',
+    'toolbar.sortCreation': 'Creation order',
+    'toolbar.sortName': 'Name (A–Z)',
+    'toolbar.sortNewest': 'Newest first',
+    'toolbar.sortOldest': 'Oldest first',
+    'toolbar.sortBag': 'Bag size (largest first)',
+    'selection.selectAll': '☑️ Select All Shown',
+    'selection.clear': '✖️ Clear Selection',
+    'selection.partyLabel': 'Party for the selected characters',
+    'selection.chooseParty': 'Choose a party...',
+    'selection.addToParty': '➕ Add to Party',
+    'selection.removeFromParty': '➖ Remove from Party',
+    'export.menu': '📤 Export',
+    'export.csv': '📊 Bag CSV',
+    'export.markdown': '📝 Markdown Sheet',
+    'export.json': '🗂️ JSON',
+    'export.print': '🖨️ Print Sheet',
+    'gallery.keyboardHint': 'Use the arrow keys to move between characters, Enter to open one and Delete to remove it.',
+    'gallery.listLabel': 'Characters',
+    'party.heading': '🛡️ Parties',
+    'party.name': 'Party Name:',
+    'party.namePlaceholder': 'e.g. The Emberfall Company',
+    'stats.heading': '📊 Roster Statistics',
+    'types.heading': '⚙️ Character & Item Types',
+    'types.characterTypes': 'Character Types',
+    'types.itemTypes': 'Item Types',
+    'types.kind': 'Kind:',
+    'types.kindCharacter': 'Character type',
+    'types.kindItem': 'Item type',
+    'types.id': 'Name (saved on characters and items):',
+    'types.idPlaceholder': 'e.g. Elf',
+    'types.label': 'Label:',
+    'types.labelPlaceholder': 'e.g. Elf',
+    'types.emoji': 'Emoji:',
+    'types.descriptionPlaceholder': 'e.g. Graceful and long-lived',
+    'types.characterFields': 'Starting attributes and carrying capacity:',
+    'types.capacity': '⚖️ Capacity (kg)',
+    'types.names': '🎲 Generator names (comma-separated):',
+    'types.namesPlaceholder': 'e.g. Aerin, Lirael, Thranduil',
+    'types.epithets': '🎲 Generator epithets (comma-separated):',
+    'types.epithetsPlaceholder': 'e.g. the Graceful, of the Deepwood',
+    'types.itemFields': 'Item behavior:',
+    'types.weight': '⚖️ Default weight (kg)',
+    'types.use': 'Use:',
+    'types.useEquip': 'Equip for its effects',
+    'types.useConsume': 'Use up for its effects',
+    'types.useNone': 'Just carry it',
+    'types.save': '💾 Save Type',
+    'app.footer': '🎮 UCF Front End Track - Week 4 DOM Capstone Project',
+    'form.selectedPortrait': 'Selected portrait',
+
+    // Character page markup
+    'app.detailPageTitle': '🐲 Character Details - Dragon Rune Adventure',
+    'app.detailHeading': '🐲 Character Details',
+    'share.previewNote': '👀 This is a shared character. Nothing here is saved until you add it.',
+    'share.addToRoster': '➕ Add to my roster',
+    'relationship.heading': '🤝 Relationships',
+    'relationship.type': 'Relationship:',
+    'relationship.chooseTypeOption': 'Choose a relationship...',
+    'relationship.character': 'Character:',
+    'relationship.chooseCharacterOption': 'Choose a character...',
+    'relationship.add': '🤝 Add Relationship',
+    'bag.heading': '🎒 Character Bag',
+    'itemForm.type': 'Item Type:',
+    'itemForm.chooseType': 'Choose item type...',
+    'itemForm.name': 'Item Name:',
+    'itemForm.namePlaceholder': 'Enter item name...',
+    'itemForm.description': 'Description (Optional):',
+    'itemForm.descriptionPlaceholder': 'Brief description of the item...',
+    'itemForm.quantity': 'Quantity:',
+    'itemForm.weight': 'Weight per item (kg, optional):',
+    'itemForm.weightPlaceholder': 'Default for the item type',
+    'itemForm.effects': 'Effects (while equipped, or once when a usable item is used up):',
+    'catalog.heading': '📚 Item Catalog',
+    'catalog.suggest': '🎲 Suggest Random Item',
+    'catalog.import': '📥 Import',
+    'bag.contents': '📦 Bag Contents',
+    'trade.open': '🔄 Trade',
+    'trade.giveItem': '🤝 Give Item',
+    'trade.giveTo': 'Give to:',
+    'trade.title': '🔄 Trade Items',
+    'trade.with': 'Trade with:',
+    'trade.ownSide': 'Gives',
+    'trade.partnerSide': 'Receives',
+    'trade.confirm': '🔄 Trade Selected',
+
+    // Party page markup
+    'app.partyPageTitle': '🛡️ Party - Dragon Rune Adventure',
+    'app.partyHeading': '🛡️ Party',
+    'partyPage.membersHeading': '👥 Members',
+    'partyPage.inventoryHeading': '🎒 Combined Inventory'
+};
+
+// The page loads i18n.js first; under Node the catalog is only exported
+if (typeof I18n !== 'undefined') {
+    I18n.register('en', { name: 'English', messages: EN_MESSAGES });
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EN_MESSAGES };
+}
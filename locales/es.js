@@ -0,0 +1,673 @@
+// --- DOM Capstone: Spanish Messages ---
+
+// Spanish catalog; keys left out here are shown in English
+const ES_MESSAGES = {
+    // Shared words and units
+    'common.unknown': 'Desconocido',
+    'common.cancel': 'Cancelar',
+    'common.ok': 'Aceptar',
+    'common.close': 'Cerrar',
+    'common.error': '❌ Error',
+    'common.backToGallery': '← Volver a la galería',
+    'units.kg': '{weight} kg',
+
+    // Attributes
+    'attribute.health': 'Salud',
+    'attribute.strength': 'Fuerza',
+    'attribute.defense': 'Defensa',
+    'attribute.magic': 'Magia',
+    'attribute.modifier': '{value} {attribute}',
+    'encumbrance.overload': '¡{name} solo puede cargar {capacity} (llevaría {weight})!',
+
+    // Storage
+    'storage.low': '⚠️ Queda poco almacenamiento: {usage}. Elimina personajes u objetos que no uses para liberar espacio.',
+    'storage.notSaved': '⚠️ ¡No se pudo guardar tu último cambio!',
+    'storage.full': '⚠️ El almacenamiento está lleno. ¡No se pudo guardar tu último cambio!',
+    'storage.fullWithUsage': '⚠️ El almacenamiento está lleno: {usage}. ¡No se pudo guardar tu último cambio!',
+    'storage.usage': '{usage} de {quota} usados ({percent} %)',
+    'storage.corrupt': 'Los personajes guardados están dañados y no se pudieron cargar.',
+    'storage.unknownFormat': 'Los personajes guardados tienen un formato desconocido y no se pudieron cargar.',
+    'storage.backupKept': '{message} Se guardó una copia de seguridad en "{key}".',
+    'storage.unavailable': '⚠️ No se pudo abrir la base de datos de personajes, así que por ahora se guardan en el almacenamiento local del navegador.',
+
+    // Portraits
+    'portrait.fire': 'Dragón de fuego',
+    'portrait.mystic': 'Dragón místico',
+    'portrait.lightning': 'Dragón del rayo',
+    'portrait.earth': 'Dragón de tierra',
+    'portrait.ancient': 'Dragón ancestral',
+    'portrait.shadow': 'Dragón de las sombras',
+    'portrait.notImage': '¡Elige un archivo de imagen!',
+    'portrait.tooLarge': '¡Esa imagen es demasiado grande (10 MB como máximo)!',
+    'portrait.unprocessable': '¡No se pudo procesar esa imagen!',
+    'portrait.unreadable': '¡No se pudo leer esa imagen!',
+    'portrait.interrupted': 'Se interrumpió el guardado del retrato.',
+    'portrait.unsupported': 'Este navegador no puede guardar retratos propios.',
+    'portrait.saveError': '¡Error al guardar el retrato!',
+
+    // Undo and redo
+    'history.undo': '↩️ Deshacer',
+    'history.redo': '↪️ Rehacer',
+    'history.undone': '↩️ Deshecho: {label}',
+    'history.redone': '↪️ Rehecho: {label}',
+    'history.nothingToUndo': 'No hay nada que deshacer.',
+    'history.nothingToRedo': 'No hay nada que rehacer.',
+    'history.undoError': '¡Error al deshacer!',
+    'history.redoError': '¡Error al rehacer!',
+    'history.undoConflict': 'No se puede deshacer "{label}": el personaje ha cambiado desde entonces.',
+    'history.redoConflict': 'No se puede rehacer "{label}": el personaje ha cambiado desde entonces.',
+
+    // Share links
+    'share.newerVersion': 'Este enlace se creó con una versión más reciente de la aplicación.',
+    'share.damaged': 'Este enlace está dañado o incompleto.',
+    'share.unsupported': 'Este navegador no puede abrir enlaces comprimidos.',
+    'share.noCharacter': 'Este enlace no contiene ningún personaje.',
+    'share.invalidCharacter': 'No se puede usar este personaje compartido: {error}',
+
+    // Relationships
+    'relationship.bonded': 'Compañero vinculado',
+    'relationship.sibling': 'Hermano',
+    'relationship.rival': 'Rival',
+    'relationship.mentor': 'Mentor',
+    'relationship.student': 'Alumno',
+    'relationship.chooseType': '¡Elige un tipo de relación!',
+    'relationship.self': '¡Un personaje no puede relacionarse consigo mismo!',
+    'relationship.alreadyRelated': '¡{a} y {b} ya están relacionados! Elimina antes la relación anterior.',
+    'relationship.alreadyBonded': '¡{name} ya está vinculado con {partner}!',
+
+    // Giving and trading
+    'trade.samePartner': '¡Elige otro personaje con el que comerciar!',
+    'trade.nothingSelected': '¡Selecciona al menos un objeto para entregar!',
+    'trade.itemGone': '¡Un objeto ya no está en la bolsa de {name}!',
+    'trade.quantity': '¡{name} puede entregar de 1 a {held} de {item}!',
+    'trade.receiverError': '{name}: {error}',
+
+    // App updates
+    'update.available': '🆕 Hay una nueva versión de la aplicación.',
+    'update.reload': '🔄 Recargar',
+    'update.later': 'Más tarde',
+
+    // Exports and character sheets
+    'export.csv.character': 'Personaje',
+    'export.csv.type': 'Tipo',
+    'export.csv.item': 'Objeto',
+    'export.csv.description': 'Descripción',
+    'export.csv.quantity': 'Cantidad',
+    'export.csv.weight': 'Peso (kg)',
+    'export.csv.equipped': 'Equipado',
+    'export.csv.added': 'Añadido',
+    'export.csv.yes': 'sí',
+    'export.csv.no': 'no',
+    'export.error': '¡Error al exportar los personajes!',
+    'export.portraitsMissing': {
+        one: '⚠️ No se pudo incluir {count} retrato subido en el archivo.',
+        other: '⚠️ No se pudieron incluir {count} retratos subidos en el archivo.'
+    },
+    'sheet.type': 'Tipo:',
+    'sheet.created': 'Creado:',
+    'sheet.attributes': 'Atributos',
+    'sheet.attribute': 'Atributo',
+    'sheet.base': 'Base',
+    'sheet.withEquipment': 'Con equipo',
+    'sheet.relationships': 'Relaciones',
+    'sheet.inventory': {
+        one: 'Inventario — {count} objeto, {weight} de {capacity}',
+        other: 'Inventario — {count} objetos, {weight} de {capacity}'
+    },
+    'sheet.emptyBag': 'La bolsa está vacía.',
+    'sheet.equipped': 'equipado',
+    'export.noCharacter': '¡No hay ningún personaje que exportar!',
+
+    // Roster import
+    'import.invalidJson': 'El archivo seleccionado no es un JSON válido.',
+    'import.noRoster': 'El archivo seleccionado no contiene una lista de personajes.',
+    'import.newerVersion': 'Esta lista se exportó con una versión más reciente de la aplicación.',
+    'import.itemError': 'Objeto "{name}": {error}',
+    'import.readError': '¡Error al leer el archivo de importación!',
+    'import.summary': {
+        one: '{count} personaje en el archivo: {add} nuevos, {overwrite} sobrescritos, {rename} renombrados, {skip} omitidos, {reject} no válidos',
+        other: '{count} personajes en el archivo: {add} nuevos, {overwrite} sobrescritos, {rename} renombrados, {skip} omitidos, {reject} no válidos'
+    },
+    'import.add': '➕ Añadir',
+    'import.overwrite': '♻️ Sobrescribir',
+    'import.rename': '✏️ Renombrar',
+    'import.skip': '⏭️ Omitir',
+    'import.reject': '⚠️ No válido',
+    'import.unnamed': '(sin nombre)',
+    'import.alreadyInRoster': '(ya está en la lista)',
+    'import.imported': {
+        one: '📥 Se importó {count} personaje.',
+        other: '📥 Se importaron {count} personajes.'
+    },
+    'import.error': '¡Error al importar la lista!',
+    'catalog.noCatalog': 'El archivo seleccionado no contiene un catálogo de objetos.',
+
+    // Change history labels
+    'history.create': 'Crear a {name}',
+    'history.edit': 'Editar {name}',
+    'history.delete': 'Eliminar a {name}',
+    'history.clearAll': 'Eliminar todos los personajes',
+    'history.import': 'Importar lista',
+    'history.addToParty': {
+        one: 'Añadir {count} personaje a {party}',
+        other: 'Añadir {count} personajes a {party}'
+    },
+    'history.removeFromParty': {
+        one: 'Quitar {count} personaje de {party}',
+        other: 'Quitar {count} personajes de {party}'
+    },
+
+    // Gallery
+    'gallery.count': {
+        one: '{count} personaje',
+        other: '{count} personajes'
+    },
+    'gallery.countFiltered': {
+        one: '{visible} de {count} personaje',
+        other: '{visible} de {count} personajes'
+    },
+    'gallery.selected': {
+        one: '{count} seleccionado',
+        other: '{count} seleccionados'
+    },
+    'gallery.createTitle': '✨ Crear un personaje nuevo',
+    'gallery.editTitle': '✏️ Editar a {name}',
+    'gallery.createCharacter': '⚔️ Crear personaje',
+    'gallery.saveChanges': '💾 Guardar cambios',
+    'gallery.created': '✨ ¡{name} se ha creado correctamente!',
+    'gallery.updated': '✨ ¡{name} se ha actualizado!',
+    'gallery.createError': '¡Error al crear el personaje!',
+    'gallery.updateError': '¡Error al actualizar el personaje!',
+    'gallery.saveError': '¡Error al guardar los personajes!',
+    'gallery.deleteError': '¡Error al eliminar los personajes!',
+    'gallery.openError': '¡Error al abrir los detalles del personaje!',
+    'gallery.characterGone': '¡Este personaje ya no existe!',
+    'gallery.editedGone': 'El personaje que estabas editando ya no existe.',
+    'gallery.noPartiesYet': 'Aún no hay grupos. Crea uno en la sección Grupos.',
+    'gallery.emptyTitle': 'Aún no hay personajes',
+    'gallery.emptyHint': '¡Crea tu primer personaje con el formulario de arriba!',
+    'gallery.noMatchesTitle': 'Ningún personaje coincide',
+    'gallery.noMatchesHint': 'Prueba con otra búsqueda o filtro.',
+    'gallery.clearFilters': 'Quitar filtros',
+    'gallery.select': 'Seleccionar',
+    'gallery.selectTitle': 'Seleccionar a {name} para exportar',
+    'gallery.edit': 'Editar',
+    'gallery.delete': 'Eliminar',
+    'gallery.deleteTitle': '🗑️ Eliminar personaje',
+    'gallery.deleteConfirm': '¿Eliminar a {name}? Podrás deshacerlo después.',
+    'gallery.deleted': 'Personaje eliminado.',
+    'gallery.clearAllTitle': '⚠️ Eliminar todo',
+    'gallery.clearAllConfirm': {
+        one: '¿Seguro que quieres eliminar {count} personaje?',
+        other: '¿Seguro que quieres eliminar los {count} personajes?'
+    },
+    'gallery.deleteAll': 'Eliminar todo',
+    'gallery.allDeleted': 'Se han eliminado todos los personajes.',
+    'gallery.selectToExport': '¡Selecciona primero los personajes que quieres exportar!',
+    'gallery.selectToAdd': '¡Selecciona primero los personajes que quieres añadir!',
+    'gallery.selectToRemove': '¡Selecciona primero los personajes que quieres quitar!',
+    'gallery.chooseParty': '¡Elige primero un grupo!',
+    'gallery.allInParty': 'Todos ya están en {party}.',
+    'gallery.noneInParty': 'Ninguno está en {party}.',
+    'gallery.addedToParty': {
+        one: '🛡️ Se añadió {count} personaje a {party}.',
+        other: '🛡️ Se añadieron {count} personajes a {party}.'
+    },
+    'gallery.removedFromParty': {
+        one: '🛡️ Se quitó {count} personaje de {party}.',
+        other: '🛡️ Se quitaron {count} personajes de {party}.'
+    },
+    'relationship.bondedWith': '🐉 Vinculado con {partner}',
+    'relationship.bondedTitle': '{name} y {partner} están vinculados',
+
+    // Random characters
+    'generator.generated': '🎲 Se generó a {name} (semilla: {seed})',
+    'generator.startingBag': '🎒 Bolsa inicial: {items}',
+    'generator.epithets': [
+        'el Valiente',
+        'el Callado',
+        'el Perdido',
+        'del Norte',
+        'el Afortunado',
+        'el Forastero'
+    ],
+    'generator.description': 'Un {type} {opening} {hook}.',
+    'generator.openings': [
+        'inquieto',
+        'astuto',
+        'cansado',
+        'antiguo',
+        'joven',
+        'orgulloso',
+        'reservado',
+        'alegre'
+    ],
+    'generator.hooks': [
+        'que custodia un santuario olvidado',
+        'en busca de una reliquia familiar robada',
+        'con una deuda con el Gremio de las Runas',
+        'que nunca olvida una ofensa',
+        'que huye de un juramento roto',
+        'que comercia con rumores y reliquias',
+        'que ha jurado proteger los viejos caminos',
+        'tras una profecía medio recordada'
+    ],
+
+    // Gallery dashboard
+    'stats.characters': {
+        one: '📊 Estadísticas: {count} personaje',
+        other: '📊 Estadísticas: {count} personajes'
+    },
+    'stats.items': {
+        one: '🎒 {count} objeto en total',
+        other: '🎒 {count} objetos en total'
+    },
+    'stats.empty': 'Crea personajes para ver gráficos aquí.',
+    'stats.byTypeTitle': '🧬 Personajes por tipo',
+    'stats.byTypeChart': 'Personajes por tipo',
+    'stats.perCharacterTitle': '🎒 Objetos por personaje',
+    'stats.perCharacterChart': 'Objetos por personaje',
+    'stats.top': 'Los {shown} primeros de {count} personajes',
+    'stats.itemTypesTitle': '📦 Tipos de objeto en la lista',
+    'stats.itemTypesChart': 'Tipos de objeto en la lista',
+    'stats.noItems': 'Nadie lleva objetos todavía.',
+    'stats.timelineTitle': '📅 Cronología de creación',
+    'stats.timelineChart': 'Personajes creados a lo largo del tiempo',
+    'stats.noDates': 'No hay fechas de creación registradas.',
+
+    // Parties
+    'party.emptyList': 'Aún no hay grupos. Ponle nombre a uno abajo para empezar a agrupar personajes.',
+    'party.members': {
+        one: '{count} miembro',
+        other: '{count} miembros'
+    },
+    'party.show': '🔍 Mostrar',
+    'party.rename': '✏️ Renombrar',
+    'party.delete': '🗑️ Eliminar',
+    'party.newTitle': '➕ Nuevo grupo',
+    'party.renameTitle': '✏️ Renombrar {name}',
+    'party.createParty': '🛡️ Crear grupo',
+    'party.saveName': '💾 Guardar nombre',
+    'party.renamed': '🛡️ El grupo ahora se llama {name}.',
+    'party.created': '🛡️ ¡Se ha creado {name}!',
+    'party.saveError': '¡Error al guardar el grupo!',
+    'party.deleteTitle': '🗑️ Eliminar grupo',
+    'party.deleteConfirm': '¿Eliminar el grupo {name}?',
+    'party.membersStay': {
+        one: 'Su {count} miembro sigue en la lista.',
+        other: 'Sus {count} miembros siguen en la lista.'
+    },
+    'party.deleted': 'Se ha eliminado {name}.',
+    'party.deleteError': '¡Error al eliminar el grupo!',
+
+    // Type settings
+    'types.use.equip': 'Equipable',
+    'types.use.consume': 'Consumible',
+    'types.use.none': 'Se lleva',
+    'types.builtin.Dragon.label': 'Dragón',
+    'types.builtin.Dragon.description': 'Antiguo y poderoso',
+    'types.builtin.Dragon.epithets': [
+        'el Nacido de las Brasas',
+        'Ala de Tormenta',
+        'de los Picos Cenicientos',
+        'el Antiguo',
+        'Guardaoro',
+        'Escama de Sombra',
+        'Desgarracielos',
+        'Colmillo de Escarcha'
+    ],
+    'types.builtin.Human.label': 'Humano',
+    'types.builtin.Human.description': 'Astuto y adaptable',
+    'types.builtin.Human.epithets': [
+        'el Audaz',
+        'de Altopáramo',
+        'el Errante',
+        'Mano de Hierro',
+        'el Sabio',
+        'del Camino de Plata',
+        'el Veloz',
+        'Amigo de los Dragones'
+    ],
+    'types.builtin.Rune.label': 'Runa',
+    'types.builtin.Rune.description': 'Esencia mágica',
+    'types.builtin.Weapon.label': 'Arma',
+    'types.builtin.Weapon.description': 'Equipo de combate',
+    'types.builtin.Potion.label': 'Poción',
+    'types.builtin.Potion.description': 'Brebaje mágico',
+    'types.builtin.Treasure.label': 'Tesoro',
+    'types.builtin.Treasure.description': 'Objeto valioso',
+    'types.builtin.Armor.label': 'Armadura',
+    'types.builtin.Armor.description': 'Equipo de protección',
+    'types.inUse': 'en uso ×{count}',
+    'types.edit': '✏️ Editar',
+    'types.remove': '🗑️ Quitar',
+    'types.added': '¡Se ha añadido {type}!',
+    'types.updated': '¡Se ha actualizado {type}!',
+    'types.saveError': '¡Error al guardar el tipo!',
+    'types.addTitle': '➕ Añadir un tipo',
+    'types.editTitle': '✏️ Editar {label}',
+    'types.lastOne.character': '¡Hace falta al menos un tipo de personaje!',
+    'types.lastOne.item': '¡Hace falta al menos un tipo de objeto!',
+    'types.keepIt.character': {
+        one: '{count} personaje lo conservará y mostrará ❓.',
+        other: '{count} personajes lo conservarán y mostrarán ❓.'
+    },
+    'types.keepIt.item': {
+        one: '{count} objeto lo conservará y mostrará ❓.',
+        other: '{count} objetos lo conservarán y mostrarán ❓.'
+    },
+    'types.removeTitle': '🗑️ Quitar {label}',
+    'types.removeConfirm': '¿Quitar el tipo {label}?',
+    'types.removed': 'Se ha quitado {label}.',
+    'types.removeError': '¡Error al quitar el tipo!',
+    'types.restoreTitle': '↺ Restaurar los tipos integrados',
+    'types.restoreConfirm': '¿Restaurar los tipos integrados? Se eliminarán los tipos personalizados.',
+    'types.restore': 'Restaurar',
+    'types.restored': 'Tipos integrados restaurados.',
+    'common.delete': 'Eliminar',
+    'common.remove': 'Quitar',
+
+    // Character page
+    'detail.pageTitle': '🐲 {name} - Detalles del personaje',
+    'detail.sharedPageTitle': '🐲 {name} (compartido) - Detalles del personaje',
+    'detail.noneSelected': 'No hay ningún personaje seleccionado. Volviendo a la galería...',
+    'detail.notFound': 'No se encontró el personaje. Volviendo a la galería...',
+    'detail.loadError': 'Error al cargar el personaje. Inténtalo de nuevo.',
+    'detail.gone': 'Este personaje ya no existe. Volviendo a la galería...',
+    'detail.deletedElsewhere': 'Este personaje se eliminó en otra pestaña. Volviendo a la galería...',
+    'detail.saveError': '¡Error al guardar los cambios!',
+    'detail.base': 'base {value}',
+    'detail.created': '📅 Creado:',
+    'detail.itemsInBag': '🎒 Objetos en la bolsa:',
+    'detail.parties': '🛡️ Grupos:',
+    'detail.editCharacter': '✏️ Editar personaje',
+    'detail.share': '🔗 Compartir',
+    'share.openError': 'No se pudo abrir este enlace.',
+    'share.addAs': '✏️ Añadir como "{name}"',
+    'share.joined': '✨ ¡{name} se ha unido a tu lista!',
+    'share.portraitNote': 'Los retratos subidos se quedan en este dispositivo.',
+    'share.copied': '🔗 ¡Enlace copiado al portapapeles!',
+    'share.title': '🔗 Enlace para compartir',
+    'share.copyPrompt': 'Copia este enlace:',
+    'share.createError': '¡Error al crear el enlace!',
+    'relationship.none': '{name} todavía no tiene relaciones.',
+    'relationship.remove': '✖️ Quitar',
+    'relationship.removeTitle': 'Quitar la relación con {name}',
+    'relationship.chooseCharacter': '¡Elige un personaje!',
+    'relationship.added': '¡{other} es ahora {relation} de {name}!',
+    'relationship.addError': '¡Error al añadir la relación!',
+    'relationship.removed': '{name} y {other} ya no están relacionados.',
+    'history.add': 'Añadir {name}',
+    'history.addStack': 'Añadir {quantity}× {name}',
+    'history.remove': 'Quitar {name}',
+    'history.use': 'Usar {name}',
+    'history.equip': 'Equipar {name}',
+    'history.unequip': 'Desequipar {name}',
+    'history.relate': 'Hacer a {other} {relation} de {name}',
+    'history.unrelate': 'Quitar la relación con {other}',
+    'history.give': 'Dar {quantity}× {item} a {name}',
+    'history.trade': 'Comerciar con {name}',
+
+    // Bag
+    'bag.count': {
+        one: '{count} objeto',
+        other: '{count} objetos'
+    },
+    'bag.capacity': '⚖️ {weight} / {capacity} ({free} libres)',
+    'bag.encumbered': '⚠️ Sobrecargado: {weight} / {capacity}',
+    'bag.emptyTitle': 'La bolsa está vacía',
+    'bag.emptyHint': '¡Añade tu primer objeto arriba!',
+    'bag.addTitle': '✨ Añadir un objeto nuevo',
+    'bag.editTitle': '✏️ Editar {item}',
+    'bag.addToBag': '➕ Añadir a la bolsa',
+    'bag.saveItem': '💾 Guardar objeto',
+    'bag.added': '✨ ¡{item} se ha añadido a la bolsa de {name}!',
+    'bag.stacked': '✨ ¡Se añadieron {quantity} más de {item} (ahora ×{total})!',
+    'bag.addError': '¡Error al añadir el objeto a la bolsa!',
+    'bag.updated': '✨ ¡{item} se ha actualizado!',
+    'bag.updateError': '¡Error al actualizar el objeto!',
+    'bag.itemGone': '¡Este objeto ya no está en la bolsa!',
+    'bag.equipped': 'Equipado',
+    'bag.addedOn': 'Añadido: {date}',
+    'bag.equip': '🗡️ Equipar',
+    'bag.unequip': '🔓 Desequipar',
+    'bag.use': '🧪 Usar',
+    'bag.edit': '✏️ Editar',
+    'bag.give': '🤝 Dar',
+    'bag.saveTemplate': '📚 Guardar como plantilla',
+    'bag.remove': '🗑️ Quitar',
+    'bag.equippedItem': '🗡️ {item} equipado.',
+    'bag.unequippedItem': '🔓 {item} desequipado.',
+    'bag.equipError': '¡Error al equipar el objeto!',
+    'bag.used': '🧪 ¡{name} usó {item}!',
+    'bag.usedWithEffects': '🧪 ¡{name} usó {item}: {effects}!',
+    'bag.useError': '¡Error al usar el objeto!',
+    'bag.removeTitle': '🗑️ Quitar objeto',
+    'bag.removeConfirm': '¿Seguro que quieres quitar {item} de la bolsa de {name}?',
+    'bag.removed': '{item} se ha quitado de la bolsa.',
+    'bag.removeError': '¡Error al quitar el objeto!',
+    'bagStats.title': '📊 Estadísticas de la bolsa',
+    'bagStats.totalItems': 'Objetos en total',
+    'bagStats.totalWeight': 'Peso total',
+    'bagStats.remaining': 'Capacidad restante',
+    'bagStats.encumbered': '(sobrecargado)',
+    'bagStats.mostRecent': 'Más reciente',
+    'bagStats.oldest': 'Más antiguo',
+    'bagStats.byTypeChart': 'Objetos por tipo',
+
+    // Item catalog
+    'catalog.noMatches': 'Ninguna plantilla coincide con tu búsqueda.',
+    'catalog.emptyHint': 'El catálogo está vacío. ¡Guarda un objeto de la bolsa como plantilla para empezarlo!',
+    'catalog.empty': '¡El catálogo está vacío!',
+    'catalog.add': '➕ Añadir',
+    'catalog.remove': '🗑️ Quitar',
+    'catalog.templateGone': '¡Esta plantilla ya no está en el catálogo!',
+    'catalog.saved': '📚 ¡{item} se ha guardado en el catálogo!',
+    'catalog.updated': '📚 ¡{item} se ha actualizado en el catálogo!',
+    'catalog.saveError': '¡Error al guardar la plantilla!',
+    'catalog.removeTitle': '🗑️ Quitar plantilla',
+    'catalog.removeConfirm': '¿Quitar {item} del catálogo?',
+    'catalog.removed': '{item} se ha quitado del catálogo.',
+    'catalog.removeError': '¡Error al quitar la plantilla!',
+    'catalog.suggestion': '🎲 ¿Qué tal {item}?',
+    'catalog.imported': '📥 Catálogo importado: {added} añadidas, {replaced} actualizadas.',
+    'catalog.importedWithInvalid': '📥 Catálogo importado: {added} añadidas, {replaced} actualizadas, {invalid} omitidas por no ser válidas.',
+
+    // Giving and trading (page)
+    'trade.noRecipient': '¡No hay ningún otro personaje al que dar objetos!',
+    'trade.noPartner': '¡No hay ningún otro personaje con el que comerciar!',
+    'trade.giveTitle': '🤝 Dar {item}',
+    'trade.received': '🤝 ¡{name} recibió {quantity}× {item}!',
+    'trade.gives': '{name} da',
+    'trade.nothingToOffer': 'Nada que ofrecer',
+    'trade.quantityOf': 'Cantidad de {item}',
+    'trade.complete': '🔄 ¡Intercambio con {name} completado!',
+    'trade.error': '¡Error al transferir los objetos!',
+
+    // Party page
+    'partyPage.pageTitle': '🛡️ {name} - Grupo',
+    'partyPage.loadError': 'Error al cargar el grupo. Inténtalo de nuevo.',
+    'partyPage.notFound': 'Este grupo no existe (puede que se haya eliminado).',
+    'partyPage.members': '👥 Miembros:',
+    'partyPage.itemsCarried': '🎒 Objetos que llevan:',
+    'partyPage.formed': '📅 Formado:',
+    'partyPage.noMembersTitle': 'Aún no hay miembros',
+    'partyPage.noMembersHint': 'Marca este grupo en un personaje de la galería, o añade varios a la vez desde la barra de selección.',
+    'partyPage.memberLoad': {
+        one: '🎒 {count} objeto · ⚖️ {weight} / {capacity}',
+        other: '🎒 {count} objetos · ⚖️ {weight} / {capacity}'
+    },
+    'partyPage.capacity': '⚖️ {weight} / {capacity} en conjunto',
+    'partyPage.encumbered': '⚠️ Sobrecargados: {names}',
+    'partyPage.emptyInventory': 'Nadie de este grupo lleva nada todavía.',
+    'partyPage.carriedBy': 'Lo llevan {carriers}',
+
+    // Validation
+    'validation.characterType': '¡Selecciona un tipo de personaje!',
+    'validation.characterName': '¡El nombre del personaje debe tener al menos 2 caracteres!',
+    'validation.characterDescription': '¡Escribe una descripción (de al menos 5 caracteres)!',
+    'validation.characterPortrait': '¡Sube un retrato o elige uno de la biblioteca!',
+    'validation.characterDuplicate': '¡Ya existe un personaje con este nombre!',
+    'validation.attributes': '¡Los atributos deben ser números enteros de 0 o más!',
+    'validation.itemType': '¡Selecciona un tipo de objeto!',
+    'validation.itemName': '¡El nombre del objeto debe tener al menos 2 caracteres!',
+    'validation.itemQuantity': '¡La cantidad debe ser un número entero de 1 a {max}!',
+    'validation.weight': '¡El peso debe ser un número de 0 a {max} kg!',
+    'validation.itemModifiers': '¡Los efectos del objeto deben ser números enteros de -{max} a {max}!',
+    'validation.itemDuplicate': '¡Ya hay un objeto con este nombre en la bolsa!',
+    'validation.typeId': '¡El nombre del tipo debe tener al menos 2 caracteres!',
+    'validation.typeDuplicate': '¡Ya existe un tipo con este nombre!',
+    'validation.typeLabel': '¡La etiqueta del tipo debe tener al menos 2 caracteres!',
+    'validation.typeEmoji': '¡Dale un emoji al tipo!',
+    'validation.typeCapacity': '¡La capacidad de carga debe ser de 0 kg o más!',
+    'validation.typeNames': '¡Los nombres del generador deben tener entre 2 y 22 caracteres cada uno!',
+    'validation.typeEpithets': '¡Los epítetos del generador deben tener como máximo 22 caracteres cada uno!',
+    'validation.typeUse': '¡Elige cómo se usa el tipo de objeto!',
+    'validation.partyNameShort': '¡El nombre del grupo debe tener al menos 2 caracteres!',
+    'validation.partyNameLong': '¡El nombre del grupo debe tener como máximo 50 caracteres!',
+    'validation.partyDuplicate': '¡Ya existe un grupo con este nombre!',
+    'validation.stackType': '¡"{name}" ya está en la bolsa como {type}!',
+    'validation.stackQuantity': '¡Un montón puede tener como máximo {max} de un objeto!',
+
+    // Gallery page
+    'language.label': '🌐 Idioma:',
+    'app.galleryPageTitle': '🐲 Galería de personajes - Dragon Rune Adventure',
+    'app.galleryHeading': '🐲 Galería de personajes',
+    'app.tagline': 'Crea y gestiona tus personajes legendarios',
+    'form.characterType': 'Tipo de personaje:',
+    'form.chooseHeritage': 'Elige tu linaje...',
+    'form.characterName': 'Nombre del personaje:',
+    'form.namePlaceholder': 'Escribe el nombre del personaje...',
+    'form.description': 'Descripción:',
+    'form.descriptionPlaceholder': 'Describe la historia y las habilidades de tu personaje...',
+    'form.parties': '🛡️ Grupos:',
+    'form.portrait': 'Retrato:',
+    'form.dropImage': '📤 Suelta una imagen aquí o',
+    'form.chooseFile': 'Elige un archivo',
+    'form.pickFromLibrary': '…o elige uno de la biblioteca:',
+    'generator.seed': 'Semilla (opcional, repite un resultado):',
+    'generator.seedPlaceholder': 'p. ej. taberna-7',
+    'generator.rollBag': '🎒 Tirar una bolsa inicial',
+    'generator.generate': '🎲 Generar',
+    'form.cancelEdit': '✖️ Cancelar edición',
+    'gallery.heading': '🏛️ Galería de personajes',
+    'gallery.exportRoster': '📤 Exportar lista',
+    'gallery.importRoster': '📥 Importar lista',
+    'gallery.clearAll': '🗑️ Eliminar todo',
+    'import.previewTitle': '📥 Vista previa de la importación',
+    'import.strategy': 'Cuando un personaje ya existe:',
+    'import.strategySkip': 'Omitirlo',
+    'import.strategyOverwrite': 'Sobrescribirlo con el importado',
+    'import.strategyRename': 'Importarlo con un nombre nuevo',
+    'import.apply': '✅ Aplicar importación',
+    'common.cancelButton': '✖️ Cancelar',
+    'toolbar.search': 'Buscar:',
+    'toolbar.searchPlaceholder': 'Nombre o descripción...',
+    'toolbar.type': 'Tipo:',
+    'toolbar.allTypes': 'Todos los tipos',
+    'toolbar.carrying': 'Lleva:',
+    'toolbar.anything': 'Cualquier cosa',
+    'toolbar.party': 'Grupo:',
+    'toolbar.anyParty': 'Cualquier grupo',
+    'toolbar.sort': 'Ordenar por:',
+    'toolbar.sortCreation': 'Orden de creación',
+    'toolbar.sortName': 'Nombre (A–Z)',
+    'toolbar.sortNewest': 'Más recientes primero',
+    'toolbar.sortOldest': 'Más antiguos primero',
+    'toolbar.sortBag': 'Tamaño de la bolsa (mayor primero)',
+    'selection.selectAll': '☑️ Seleccionar los mostrados',
+    'selection.clear': '✖️ Borrar selección',
+    'selection.partyLabel': 'Grupo para los personajes seleccionados',
+    'selection.chooseParty': 'Elige un grupo...',
+    'selection.addToParty': '➕ Añadir al grupo',
+    'selection.removeFromParty': '➖ Quitar del grupo',
+    'export.menu': '📤 Exportar',
+    'export.csv': '📊 CSV de la bolsa',
+    'export.markdown': '📝 Ficha en Markdown',
+    'export.json': '🗂️ JSON',
+    'export.print': '🖨️ Imprimir ficha',
+    'gallery.keyboardHint': 'Usa las flechas para moverte entre personajes, Intro para abrir uno y Supr para eliminarlo.',
+    'gallery.listLabel': 'Personajes',
+    'party.heading': '🛡️ Grupos',
+    'party.name': 'Nombre del grupo:',
+    'party.namePlaceholder': 'p. ej. La Compañía de Emberfall',
+    'stats.heading': '📊 Estadísticas de la lista',
+    'types.heading': '⚙️ Tipos de personaje y de objeto',
+    'types.characterTypes': 'Tipos de personaje',
+    'types.itemTypes': 'Tipos de objeto',
+    'types.kind': 'Clase:',
+    'types.kindCharacter': 'Tipo de personaje',
+    'types.kindItem': 'Tipo de objeto',
+    'types.id': 'Nombre (se guarda en personajes y objetos):',
+    'types.idPlaceholder': 'p. ej. Elfo',
+    'types.label': 'Etiqueta:',
+    'types.labelPlaceholder': 'p. ej. Elfo',
+    'types.emoji': 'Emoji:',
+    'types.descriptionPlaceholder': 'p. ej. Elegante y longevo',
+    'types.characterFields': 'Atributos iniciales y capacidad de carga:',
+    'types.capacity': '⚖️ Capacidad (kg)',
+    'types.names': '🎲 Nombres del generador (separados por comas):',
+    'types.namesPlaceholder': 'p. ej. Aerin, Lirael, Thranduil',
+    'types.epithets': '🎲 Epítetos del generador (separados por comas):',
+    'types.epithetsPlaceholder': 'p. ej. el Elegante, del Bosque Hondo',
+    'types.itemFields': 'Comportamiento del objeto:',
+    'types.weight': '⚖️ Peso por defecto (kg)',
+    'types.use': 'Uso:',
+    'types.useEquip': 'Equiparlo por sus efectos',
+    'types.useConsume': 'Gastarlo por sus efectos',
+    'types.useNone': 'Solo llevarlo',
+    'types.save': '💾 Guardar tipo',
+    'app.footer': '🎮 UCF Front End Track - Proyecto final de DOM de la semana 4',
+    'form.selectedPortrait': 'Retrato seleccionado',
+
+    // Character page markup
+    'app.detailPageTitle': '🐲 Detalles del personaje - Dragon Rune Adventure',
+    'app.detailHeading': '🐲 Detalles del personaje',
+    'share.previewNote': '👀 Este es un personaje compartido. No se guarda nada hasta que lo añadas.',
+    'share.addToRoster': '➕ Añadir a mi lista',
+    'relationship.heading': '🤝 Relaciones',
+    'relationship.type': 'Relación:',
+    'relationship.chooseTypeOption': 'Elige una relación...',
+    'relationship.character': 'Personaje:',
+    'relationship.chooseCharacterOption': 'Elige un personaje...',
+    'relationship.add': '🤝 Añadir relación',
+    'bag.heading': '🎒 Bolsa del personaje',
+    'itemForm.type': 'Tipo de objeto:',
+    'itemForm.chooseType': 'Elige un tipo de objeto...',
+    'itemForm.name': 'Nombre del objeto:',
+    'itemForm.namePlaceholder': 'Escribe el nombre del objeto...',
+    'itemForm.description': 'Descripción (opcional):',
+    'itemForm.descriptionPlaceholder': 'Breve descripción del objeto...',
+    'itemForm.quantity': 'Cantidad:',
+    'itemForm.weight': 'Peso por unidad (kg, opcional):',
+    'itemForm.weightPlaceholder': 'El del tipo de objeto',
+    'itemForm.effects': 'Efectos (mientras está equipado, o una vez al gastar un consumible):',
+    'catalog.heading': '📚 Catálogo de objetos',
+    'catalog.suggest': '🎲 Sugerir un objeto al azar',
+    'catalog.import': '📥 Importar',
+    'bag.contents': '📦 Contenido de la bolsa',
+    'trade.open': '🔄 Comerciar',
+    'trade.giveItem': '🤝 Dar objeto',
+    'trade.giveTo': 'Dar a:',
+    'trade.title': '🔄 Intercambiar objetos',
+    'trade.with': 'Comerciar con:',
+    'trade.ownSide': 'Da',
+    'trade.partnerSide': 'Recibe',
+    'trade.confirm': '🔄 Intercambiar lo seleccionado',
+
+    // Party page markup
+    'app.partyPageTitle': '🛡️ Grupo - Dragon Rune Adventure',
+    'app.partyHeading': '🛡️ Grupo',
+    'partyPage.membersHeading': '👥 Miembros',
+    'partyPage.inventoryHeading': '🎒 Inventario conjunto'
+};
+
+// The page loads i18n.js first; under Node the catalog is only exported
+if (typeof I18n !== 'undefined') {
+    I18n.register('es', { name: 'Español', messages: ES_MESSAGES });
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ES_MESSAGES };
+}
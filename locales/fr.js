@@ -0,0 +1,673 @@
+// --- DOM Capstone: French Messages ---
+
+// French catalog; keys left out here are shown in English
+const FR_MESSAGES = {
+    // Shared words and units
+    'common.unknown': 'Inconnu',
+    'common.cancel': 'Annuler',
+    'common.ok': 'OK',
+    'common.close': 'Fermer',
+    'common.error': '❌ Erreur',
+    'common.backToGallery': '← Retour à la galerie',
+    'units.kg': '{weight} kg',
+
+    // Attributes
+    'attribute.health': 'Santé',
+    'attribute.strength': 'Force',
+    'attribute.defense': 'Défense',
+    'attribute.magic': 'Magie',
+    'attribute.modifier': '{value} {attribute}',
+    'encumbrance.overload': '{name} ne peut porter que {capacity} (cela ferait {weight}) !',
+
+    // Storage
+    'storage.low': '⚠️ Stockage presque plein : {usage}. Supprimez des personnages ou des objets inutilisés pour libérer de la place.',
+    'storage.notSaved': '⚠️ Votre dernière modification n\'a pas pu être enregistrée !',
+    'storage.full': '⚠️ Le stockage est plein. Votre dernière modification n\'a pas pu être enregistrée !',
+    'storage.fullWithUsage': '⚠️ Le stockage est plein : {usage}. Votre dernière modification n\'a pas pu être enregistrée !',
+    'storage.usage': '{usage} utilisés sur {quota} ({percent} %)',
+    'storage.corrupt': 'Les personnages enregistrés sont endommagés et n\'ont pas pu être chargés.',
+    'storage.unknownFormat': 'Les personnages enregistrés sont dans un format inconnu et n\'ont pas pu être chargés.',
+    'storage.backupKept': '{message} Une sauvegarde a été conservée sous « {key} ».',
+    'storage.unavailable': '⚠️ La base de données des personnages n\'a pas pu être ouverte : ils sont conservés dans le stockage local du navigateur pour le moment.',
+
+    // Portraits
+    'portrait.fire': 'Dragon de feu',
+    'portrait.mystic': 'Dragon mystique',
+    'portrait.lightning': 'Dragon de foudre',
+    'portrait.earth': 'Dragon de terre',
+    'portrait.ancient': 'Dragon ancestral',
+    'portrait.shadow': 'Dragon des ombres',
+    'portrait.notImage': 'Choisissez un fichier image !',
+    'portrait.tooLarge': 'Cette image est trop grande (10 Mo maximum) !',
+    'portrait.unprocessable': 'Impossible de traiter cette image !',
+    'portrait.unreadable': 'Impossible de lire cette image !',
+    'portrait.interrupted': 'L\'enregistrement du portrait a été interrompu.',
+    'portrait.unsupported': 'Ce navigateur ne peut pas enregistrer de portraits personnalisés.',
+    'portrait.saveError': 'Erreur lors de l\'enregistrement du portrait !',
+
+    // Undo and redo
+    'history.undo': '↩️ Annuler',
+    'history.redo': '↪️ Rétablir',
+    'history.undone': '↩️ Annulé : {label}',
+    'history.redone': '↪️ Rétabli : {label}',
+    'history.nothingToUndo': 'Rien à annuler.',
+    'history.nothingToRedo': 'Rien à rétablir.',
+    'history.undoError': 'Erreur lors de l\'annulation !',
+    'history.redoError': 'Erreur lors du rétablissement !',
+    'history.undoConflict': 'Impossible d\'annuler « {label} » : le personnage a changé depuis.',
+    'history.redoConflict': 'Impossible de rétablir « {label} » : le personnage a changé depuis.',
+
+    // Share links
+    'share.newerVersion': 'Ce lien a été créé avec une version plus récente de l\'application.',
+    'share.damaged': 'Ce lien est endommagé ou incomplet.',
+    'share.unsupported': 'Ce navigateur ne peut pas ouvrir les liens compressés.',
+    'share.noCharacter': 'Ce lien ne contient aucun personnage.',
+    'share.invalidCharacter': 'Impossible d\'utiliser ce personnage partagé : {error}',
+
+    // Relationships
+    'relationship.bonded': 'Compagnon lié',
+    'relationship.sibling': 'Frère',
+    'relationship.rival': 'Rival',
+    'relationship.mentor': 'Mentor',
+    'relationship.student': 'Élève',
+    'relationship.chooseType': 'Choisissez un type de relation !',
+    'relationship.self': 'Un personnage ne peut pas être lié à lui-même !',
+    'relationship.alreadyRelated': '{a} et {b} sont déjà liés ! Supprimez d\'abord l\'ancienne relation.',
+    'relationship.alreadyBonded': '{name} est déjà lié à {partner} !',
+
+    // Giving and trading
+    'trade.samePartner': 'Choisissez un autre personnage avec qui échanger !',
+    'trade.nothingSelected': 'Sélectionnez au moins un objet à donner !',
+    'trade.itemGone': 'Un objet n\'est plus dans le sac de {name} !',
+    'trade.quantity': '{name} peut donner de 1 à {held} {item} !',
+    'trade.receiverError': '{name} : {error}',
+
+    // App updates
+    'update.available': '🆕 Une nouvelle version de l\'application est disponible.',
+    'update.reload': '🔄 Recharger',
+    'update.later': 'Plus tard',
+
+    // Exports and character sheets
+    'export.csv.character': 'Personnage',
+    'export.csv.type': 'Type',
+    'export.csv.item': 'Objet',
+    'export.csv.description': 'Description',
+    'export.csv.quantity': 'Quantité',
+    'export.csv.weight': 'Poids (kg)',
+    'export.csv.equipped': 'Équipé',
+    'export.csv.added': 'Ajouté',
+    'export.csv.yes': 'oui',
+    'export.csv.no': 'non',
+    'export.error': 'Erreur lors de l\'export des personnages !',
+    'export.portraitsMissing': {
+        one: '⚠️ {count} portrait importé n\'a pas pu être inclus dans le fichier.',
+        other: '⚠️ {count} portraits importés n\'ont pas pu être inclus dans le fichier.'
+    },
+    'sheet.type': 'Type :',
+    'sheet.created': 'Créé :',
+    'sheet.attributes': 'Attributs',
+    'sheet.attribute': 'Attribut',
+    'sheet.base': 'Base',
+    'sheet.withEquipment': 'Avec équipement',
+    'sheet.relationships': 'Relations',
+    'sheet.inventory': {
+        one: 'Inventaire — {count} objet, {weight} sur {capacity}',
+        other: 'Inventaire — {count} objets, {weight} sur {capacity}'
+    },
+    'sheet.emptyBag': 'Le sac est vide.',
+    'sheet.equipped': 'équipé',
+    'export.noCharacter': 'Aucun personnage à exporter !',
+
+    // Roster import
+    'import.invalidJson': 'Le fichier sélectionné n\'est pas un JSON valide.',
+    'import.noRoster': 'Le fichier sélectionné ne contient pas de liste de personnages.',
+    'import.newerVersion': 'Cette liste a été exportée par une version plus récente de l\'application.',
+    'import.itemError': 'Objet « {name} » : {error}',
+    'import.readError': 'Erreur lors de la lecture du fichier d\'import !',
+    'import.summary': {
+        one: '{count} personnage dans le fichier : {add} nouveaux, {overwrite} remplacés, {rename} renommés, {skip} ignorés, {reject} invalides',
+        other: '{count} personnages dans le fichier : {add} nouveaux, {overwrite} remplacés, {rename} renommés, {skip} ignorés, {reject} invalides'
+    },
+    'import.add': '➕ Ajouter',
+    'import.overwrite': '♻️ Remplacer',
+    'import.rename': '✏️ Renommer',
+    'import.skip': '⏭️ Ignorer',
+    'import.reject': '⚠️ Invalide',
+    'import.unnamed': '(sans nom)',
+    'import.alreadyInRoster': '(déjà dans la liste)',
+    'import.imported': {
+        one: '📥 {count} personnage importé.',
+        other: '📥 {count} personnages importés.'
+    },
+    'import.error': 'Erreur lors de l\'import de la liste !',
+    'catalog.noCatalog': 'Le fichier sélectionné ne contient pas de catalogue d\'objets.',
+
+    // Change history labels
+    'history.create': 'Créer {name}',
+    'history.edit': 'Modifier {name}',
+    'history.delete': 'Supprimer {name}',
+    'history.clearAll': 'Supprimer tous les personnages',
+    'history.import': 'Importer la liste',
+    'history.addToParty': {
+        one: 'Ajouter {count} personnage à {party}',
+        other: 'Ajouter {count} personnages à {party}'
+    },
+    'history.removeFromParty': {
+        one: 'Retirer {count} personnage de {party}',
+        other: 'Retirer {count} personnages de {party}'
+    },
+
+    // Gallery
+    'gallery.count': {
+        one: '{count} personnage',
+        other: '{count} personnages'
+    },
+    'gallery.countFiltered': {
+        one: '{visible} sur {count} personnage',
+        other: '{visible} sur {count} personnages'
+    },
+    'gallery.selected': {
+        one: '{count} sélectionné',
+        other: '{count} sélectionnés'
+    },
+    'gallery.createTitle': '✨ Créer un nouveau personnage',
+    'gallery.editTitle': '✏️ Modifier {name}',
+    'gallery.createCharacter': '⚔️ Créer le personnage',
+    'gallery.saveChanges': '💾 Enregistrer',
+    'gallery.created': '✨ {name} a bien été créé !',
+    'gallery.updated': '✨ {name} a été mis à jour !',
+    'gallery.createError': 'Erreur lors de la création du personnage !',
+    'gallery.updateError': 'Erreur lors de la mise à jour du personnage !',
+    'gallery.saveError': 'Erreur lors de l\'enregistrement des personnages !',
+    'gallery.deleteError': 'Erreur lors de la suppression des personnages !',
+    'gallery.openError': 'Erreur lors de l\'ouverture des détails du personnage !',
+    'gallery.characterGone': 'Ce personnage n\'existe plus !',
+    'gallery.editedGone': 'Le personnage que vous modifiiez n\'existe plus.',
+    'gallery.noPartiesYet': 'Aucun groupe pour l\'instant. Créez-en un dans la section Groupes.',
+    'gallery.emptyTitle': 'Aucun personnage pour l\'instant',
+    'gallery.emptyHint': 'Créez votre premier personnage avec le formulaire ci-dessus !',
+    'gallery.noMatchesTitle': 'Aucun personnage ne correspond',
+    'gallery.noMatchesHint': 'Essayez une autre recherche ou un autre filtre.',
+    'gallery.clearFilters': 'Effacer les filtres',
+    'gallery.select': 'Sélectionner',
+    'gallery.selectTitle': 'Sélectionner {name} pour l\'export',
+    'gallery.edit': 'Modifier',
+    'gallery.delete': 'Supprimer',
+    'gallery.deleteTitle': '🗑️ Supprimer le personnage',
+    'gallery.deleteConfirm': 'Supprimer {name} ? Vous pourrez l\'annuler ensuite.',
+    'gallery.deleted': 'Personnage supprimé.',
+    'gallery.clearAllTitle': '⚠️ Tout supprimer',
+    'gallery.clearAllConfirm': {
+        one: 'Voulez-vous vraiment supprimer {count} personnage ?',
+        other: 'Voulez-vous vraiment supprimer les {count} personnages ?'
+    },
+    'gallery.deleteAll': 'Tout supprimer',
+    'gallery.allDeleted': 'Tous les personnages ont été supprimés.',
+    'gallery.selectToExport': 'Sélectionnez d\'abord les personnages à exporter !',
+    'gallery.selectToAdd': 'Sélectionnez d\'abord les personnages à ajouter !',
+    'gallery.selectToRemove': 'Sélectionnez d\'abord les personnages à retirer !',
+    'gallery.chooseParty': 'Choisissez d\'abord un groupe !',
+    'gallery.allInParty': 'Ils font déjà tous partie de {party}.',
+    'gallery.noneInParty': 'Aucun ne fait partie de {party}.',
+    'gallery.addedToParty': {
+        one: '🛡️ {count} personnage ajouté à {party}.',
+        other: '🛡️ {count} personnages ajoutés à {party}.'
+    },
+    'gallery.removedFromParty': {
+        one: '🛡️ {count} personnage retiré de {party}.',
+        other: '🛡️ {count} personnages retirés de {party}.'
+    },
+    'relationship.bondedWith': '🐉 Lié à {partner}',
+    'relationship.bondedTitle': '{name} et {partner} sont liés',
+
+    // Random characters
+    'generator.generated': '🎲 {name} généré (graine : {seed})',
+    'generator.startingBag': '🎒 Sac de départ : {items}',
+    'generator.epithets': [
+        'le Brave',
+        'le Silencieux',
+        'l\'Égaré',
+        'du Nord',
+        'le Chanceux',
+        'l\'Étranger'
+    ],
+    'generator.description': 'Un {type} {opening} {hook}.',
+    'generator.openings': [
+        'agité',
+        'rusé',
+        'las',
+        'ancien',
+        'jeune',
+        'fier',
+        'secret',
+        'joyeux'
+    ],
+    'generator.hooks': [
+        'qui garde un sanctuaire oublié',
+        'en quête d\'un héritage volé',
+        'endetté auprès de la Guilde des Runes',
+        'qui n\'oublie jamais un affront',
+        'qui fuit un serment brisé',
+        'qui fait commerce de rumeurs et de reliques',
+        'qui a juré de protéger les vieilles routes',
+        'sur la piste d\'une prophétie à moitié oubliée'
+    ],
+
+    // Gallery dashboard
+    'stats.characters': {
+        one: '📊 Statistiques : {count} personnage',
+        other: '📊 Statistiques : {count} personnages'
+    },
+    'stats.items': {
+        one: '🎒 {count} objet au total',
+        other: '🎒 {count} objets au total'
+    },
+    'stats.empty': 'Créez des personnages pour voir des graphiques ici.',
+    'stats.byTypeTitle': '🧬 Personnages par type',
+    'stats.byTypeChart': 'Personnages par type',
+    'stats.perCharacterTitle': '🎒 Objets par personnage',
+    'stats.perCharacterChart': 'Objets par personnage',
+    'stats.top': 'Les {shown} premiers sur {count} personnages',
+    'stats.itemTypesTitle': '📦 Types d\'objets dans la liste',
+    'stats.itemTypesChart': 'Types d\'objets dans la liste',
+    'stats.noItems': 'Personne ne porte d\'objet pour l\'instant.',
+    'stats.timelineTitle': '📅 Chronologie des créations',
+    'stats.timelineChart': 'Personnages créés au fil du temps',
+    'stats.noDates': 'Aucune date de création enregistrée.',
+
+    // Parties
+    'party.emptyList': 'Aucun groupe pour l\'instant. Nommez-en un ci-dessous pour commencer à regrouper des personnages.',
+    'party.members': {
+        one: '{count} membre',
+        other: '{count} membres'
+    },
+    'party.show': '🔍 Afficher',
+    'party.rename': '✏️ Renommer',
+    'party.delete': '🗑️ Supprimer',
+    'party.newTitle': '➕ Nouveau groupe',
+    'party.renameTitle': '✏️ Renommer {name}',
+    'party.createParty': '🛡️ Créer le groupe',
+    'party.saveName': '💾 Enregistrer le nom',
+    'party.renamed': '🛡️ Le groupe s\'appelle désormais {name}.',
+    'party.created': '🛡️ {name} a été créé !',
+    'party.saveError': 'Erreur lors de l\'enregistrement du groupe !',
+    'party.deleteTitle': '🗑️ Supprimer le groupe',
+    'party.deleteConfirm': 'Supprimer le groupe {name} ?',
+    'party.membersStay': {
+        one: 'Son membre reste dans la liste.',
+        other: 'Ses {count} membres restent dans la liste.'
+    },
+    'party.deleted': '{name} a été supprimé.',
+    'party.deleteError': 'Erreur lors de la suppression du groupe !',
+
+    // Type settings
+    'types.use.equip': 'Équipable',
+    'types.use.consume': 'Consommable',
+    'types.use.none': 'Porté',
+    'types.builtin.Dragon.label': 'Dragon',
+    'types.builtin.Dragon.description': 'Ancien et puissant',
+    'types.builtin.Dragon.epithets': [
+        'Né-des-Braises',
+        'Aile-Tempête',
+        'des Pics Cendrés',
+        'l\'Ancien',
+        'Garde-l\'Or',
+        'Écaille-d\'Ombre',
+        'Fend-le-Ciel',
+        'Croc-de-Givre'
+    ],
+    'types.builtin.Human.label': 'Humain',
+    'types.builtin.Human.description': 'Ingénieux et adaptable',
+    'types.builtin.Human.epithets': [
+        'le Hardi',
+        'de Hautelande',
+        'le Vagabond',
+        'Main-de-Fer',
+        'le Sage',
+        'de la Route d\'Argent',
+        'le Rapide',
+        'Ami-des-Dragons'
+    ],
+    'types.builtin.Rune.label': 'Rune',
+    'types.builtin.Rune.description': 'Essence magique',
+    'types.builtin.Weapon.label': 'Arme',
+    'types.builtin.Weapon.description': 'Équipement de combat',
+    'types.builtin.Potion.label': 'Potion',
+    'types.builtin.Potion.description': 'Breuvage magique',
+    'types.builtin.Treasure.label': 'Trésor',
+    'types.builtin.Treasure.description': 'Objet de valeur',
+    'types.builtin.Armor.label': 'Armure',
+    'types.builtin.Armor.description': 'Équipement de protection',
+    'types.inUse': 'utilisé ×{count}',
+    'types.edit': '✏️ Modifier',
+    'types.remove': '🗑️ Retirer',
+    'types.added': '{type} a été ajouté !',
+    'types.updated': '{type} a été mis à jour !',
+    'types.saveError': 'Erreur lors de l\'enregistrement du type !',
+    'types.addTitle': '➕ Ajouter un type',
+    'types.editTitle': '✏️ Modifier {label}',
+    'types.lastOne.character': 'Il faut au moins un type de personnage !',
+    'types.lastOne.item': 'Il faut au moins un type d\'objet !',
+    'types.keepIt.character': {
+        one: '{count} personnage le conservera et affichera ❓.',
+        other: '{count} personnages le conserveront et afficheront ❓.'
+    },
+    'types.keepIt.item': {
+        one: '{count} objet le conservera et affichera ❓.',
+        other: '{count} objets le conserveront et afficheront ❓.'
+    },
+    'types.removeTitle': '🗑️ Retirer {label}',
+    'types.removeConfirm': 'Retirer le type {label} ?',
+    'types.removed': '{label} a été retiré.',
+    'types.removeError': 'Erreur lors du retrait du type !',
+    'types.restoreTitle': '↺ Restaurer les types intégrés',
+    'types.restoreConfirm': 'Restaurer les types intégrés ? Les types personnalisés seront supprimés.',
+    'types.restore': 'Restaurer',
+    'types.restored': 'Types intégrés restaurés.',
+    'common.delete': 'Supprimer',
+    'common.remove': 'Retirer',
+
+    // Character page
+    'detail.pageTitle': '🐲 {name} - Détails du personnage',
+    'detail.sharedPageTitle': '🐲 {name} (partagé) - Détails du personnage',
+    'detail.noneSelected': 'Aucun personnage sélectionné. Retour à la galerie...',
+    'detail.notFound': 'Personnage introuvable. Retour à la galerie...',
+    'detail.loadError': 'Erreur lors du chargement du personnage. Veuillez réessayer.',
+    'detail.gone': 'Ce personnage n\'existe plus. Retour à la galerie...',
+    'detail.deletedElsewhere': 'Ce personnage a été supprimé dans un autre onglet. Retour à la galerie...',
+    'detail.saveError': 'Erreur lors de l\'enregistrement des modifications !',
+    'detail.base': 'base {value}',
+    'detail.created': '📅 Créé :',
+    'detail.itemsInBag': '🎒 Objets dans le sac :',
+    'detail.parties': '🛡️ Groupes :',
+    'detail.editCharacter': '✏️ Modifier le personnage',
+    'detail.share': '🔗 Partager',
+    'share.openError': 'Impossible d\'ouvrir ce lien.',
+    'share.addAs': '✏️ Ajouter sous le nom « {name} »',
+    'share.joined': '✨ {name} a rejoint votre liste !',
+    'share.portraitNote': 'Les portraits importés restent sur cet appareil.',
+    'share.copied': '🔗 Lien copié dans le presse-papiers !',
+    'share.title': '🔗 Lien de partage',
+    'share.copyPrompt': 'Copiez ce lien :',
+    'share.createError': 'Erreur lors de la création du lien !',
+    'relationship.none': '{name} n\'a encore aucune relation.',
+    'relationship.remove': '✖️ Retirer',
+    'relationship.removeTitle': 'Retirer la relation avec {name}',
+    'relationship.chooseCharacter': 'Choisissez un personnage !',
+    'relationship.added': '{other} est maintenant {relation} de {name} !',
+    'relationship.addError': 'Erreur lors de l\'ajout de la relation !',
+    'relationship.removed': '{name} et {other} ne sont plus liés.',
+    'history.add': 'Ajouter {name}',
+    'history.addStack': 'Ajouter {quantity}× {name}',
+    'history.remove': 'Retirer {name}',
+    'history.use': 'Utiliser {name}',
+    'history.equip': 'Équiper {name}',
+    'history.unequip': 'Déséquiper {name}',
+    'history.relate': 'Faire de {other} {relation} de {name}',
+    'history.unrelate': 'Retirer la relation avec {other}',
+    'history.give': 'Donner {quantity}× {item} à {name}',
+    'history.trade': 'Échanger avec {name}',
+
+    // Bag
+    'bag.count': {
+        one: '{count} objet',
+        other: '{count} objets'
+    },
+    'bag.capacity': '⚖️ {weight} / {capacity} ({free} libres)',
+    'bag.encumbered': '⚠️ Surchargé : {weight} / {capacity}',
+    'bag.emptyTitle': 'Le sac est vide',
+    'bag.emptyHint': 'Ajoutez votre premier objet ci-dessus !',
+    'bag.addTitle': '✨ Ajouter un nouvel objet',
+    'bag.editTitle': '✏️ Modifier {item}',
+    'bag.addToBag': '➕ Ajouter au sac',
+    'bag.saveItem': '💾 Enregistrer l\'objet',
+    'bag.added': '✨ {item} a été ajouté au sac de {name} !',
+    'bag.stacked': '✨ {quantity} {item} de plus (maintenant ×{total}) !',
+    'bag.addError': 'Erreur lors de l\'ajout de l\'objet au sac !',
+    'bag.updated': '✨ {item} a été mis à jour !',
+    'bag.updateError': 'Erreur lors de la mise à jour de l\'objet !',
+    'bag.itemGone': 'Cet objet n\'est plus dans le sac !',
+    'bag.equipped': 'Équipé',
+    'bag.addedOn': 'Ajouté : {date}',
+    'bag.equip': '🗡️ Équiper',
+    'bag.unequip': '🔓 Déséquiper',
+    'bag.use': '🧪 Utiliser',
+    'bag.edit': '✏️ Modifier',
+    'bag.give': '🤝 Donner',
+    'bag.saveTemplate': '📚 Enregistrer comme modèle',
+    'bag.remove': '🗑️ Retirer',
+    'bag.equippedItem': '🗡️ {item} équipé.',
+    'bag.unequippedItem': '🔓 {item} déséquipé.',
+    'bag.equipError': 'Erreur lors de l\'équipement de l\'objet !',
+    'bag.used': '🧪 {name} a utilisé {item} !',
+    'bag.usedWithEffects': '🧪 {name} a utilisé {item} : {effects} !',
+    'bag.useError': 'Erreur lors de l\'utilisation de l\'objet !',
+    'bag.removeTitle': '🗑️ Retirer l\'objet',
+    'bag.removeConfirm': 'Voulez-vous vraiment retirer {item} du sac de {name} ?',
+    'bag.removed': '{item} a été retiré du sac.',
+    'bag.removeError': 'Erreur lors du retrait de l\'objet !',
+    'bagStats.title': '📊 Statistiques du sac',
+    'bagStats.totalItems': 'Objets au total',
+    'bagStats.totalWeight': 'Poids total',
+    'bagStats.remaining': 'Capacité restante',
+    'bagStats.encumbered': '(surchargé)',
+    'bagStats.mostRecent': 'Le plus récent',
+    'bagStats.oldest': 'Le plus ancien',
+    'bagStats.byTypeChart': 'Objets par type',
+
+    // Item catalog
+    'catalog.noMatches': 'Aucun modèle ne correspond à votre recherche.',
+    'catalog.emptyHint': 'Le catalogue est vide. Enregistrez un objet du sac comme modèle pour le commencer !',
+    'catalog.empty': 'Le catalogue est vide !',
+    'catalog.add': '➕ Ajouter',
+    'catalog.remove': '🗑️ Retirer',
+    'catalog.templateGone': 'Ce modèle n\'est plus dans le catalogue !',
+    'catalog.saved': '📚 {item} a été enregistré dans le catalogue !',
+    'catalog.updated': '📚 {item} a été mis à jour dans le catalogue !',
+    'catalog.saveError': 'Erreur lors de l\'enregistrement du modèle !',
+    'catalog.removeTitle': '🗑️ Retirer le modèle',
+    'catalog.removeConfirm': 'Retirer {item} du catalogue ?',
+    'catalog.removed': '{item} a été retiré du catalogue.',
+    'catalog.removeError': 'Erreur lors du retrait du modèle !',
+    'catalog.suggestion': '🎲 Pourquoi pas {item} ?',
+    'catalog.imported': '📥 Catalogue importé : {added} ajoutés, {replaced} mis à jour.',
+    'catalog.importedWithInvalid': '📥 Catalogue importé : {added} ajoutés, {replaced} mis à jour, {invalid} invalides ignorés.',
+
+    // Giving and trading (page)
+    'trade.noRecipient': 'Aucun autre personnage à qui donner des objets !',
+    'trade.noPartner': 'Aucun autre personnage avec qui échanger !',
+    'trade.giveTitle': '🤝 Donner {item}',
+    'trade.received': '🤝 {name} a reçu {quantity}× {item} !',
+    'trade.gives': '{name} donne',
+    'trade.nothingToOffer': 'Rien à offrir',
+    'trade.quantityOf': 'Quantité de {item}',
+    'trade.complete': '🔄 Échange avec {name} terminé !',
+    'trade.error': 'Erreur lors du transfert des objets !',
+
+    // Party page
+    'partyPage.pageTitle': '🛡️ {name} - Groupe',
+    'partyPage.loadError': 'Erreur lors du chargement du groupe. Veuillez réessayer.',
+    'partyPage.notFound': 'Ce groupe n\'existe pas (il a peut-être été supprimé).',
+    'partyPage.members': '👥 Membres :',
+    'partyPage.itemsCarried': '🎒 Objets portés :',
+    'partyPage.formed': '📅 Formé :',
+    'partyPage.noMembersTitle': 'Aucun membre pour l\'instant',
+    'partyPage.noMembersHint': 'Cochez ce groupe sur un personnage de la galerie, ou ajoutez-en plusieurs à la fois depuis la barre de sélection.',
+    'partyPage.memberLoad': {
+        one: '🎒 {count} objet · ⚖️ {weight} / {capacity}',
+        other: '🎒 {count} objets · ⚖️ {weight} / {capacity}'
+    },
+    'partyPage.capacity': '⚖️ {weight} / {capacity} au total',
+    'partyPage.encumbered': '⚠️ Surchargés : {names}',
+    'partyPage.emptyInventory': 'Personne dans ce groupe ne porte encore rien.',
+    'partyPage.carriedBy': 'Porté par {carriers}',
+
+    // Validation
+    'validation.characterType': 'Sélectionnez un type de personnage !',
+    'validation.characterName': 'Le nom du personnage doit comporter au moins 2 caractères !',
+    'validation.characterDescription': 'Saisissez une description (au moins 5 caractères) !',
+    'validation.characterPortrait': 'Importez un portrait ou choisissez-en un dans la bibliothèque !',
+    'validation.characterDuplicate': 'Un personnage porte déjà ce nom !',
+    'validation.attributes': 'Les attributs doivent être des nombres entiers positifs ou nuls !',
+    'validation.itemType': 'Sélectionnez un type d\'objet !',
+    'validation.itemName': 'Le nom de l\'objet doit comporter au moins 2 caractères !',
+    'validation.itemQuantity': 'La quantité doit être un nombre entier de 1 à {max} !',
+    'validation.weight': 'Le poids doit être un nombre de 0 à {max} kg !',
+    'validation.itemModifiers': 'Les effets de l\'objet doivent être des nombres entiers de -{max} à {max} !',
+    'validation.itemDuplicate': 'Un objet de ce nom est déjà dans le sac !',
+    'validation.typeId': 'Le nom du type doit comporter au moins 2 caractères !',
+    'validation.typeDuplicate': 'Un type porte déjà ce nom !',
+    'validation.typeLabel': 'Le libellé du type doit comporter au moins 2 caractères !',
+    'validation.typeEmoji': 'Donnez un emoji au type !',
+    'validation.typeCapacity': 'La capacité de charge doit être de 0 kg ou plus !',
+    'validation.typeNames': 'Les noms du générateur doivent comporter de 2 à 22 caractères chacun !',
+    'validation.typeEpithets': 'Les épithètes du générateur doivent comporter au plus 22 caractères chacune !',
+    'validation.typeUse': 'Choisissez comment le type d\'objet est utilisé !',
+    'validation.partyNameShort': 'Le nom du groupe doit comporter au moins 2 caractères !',
+    'validation.partyNameLong': 'Le nom du groupe doit comporter au plus 50 caractères !',
+    'validation.partyDuplicate': 'Un groupe porte déjà ce nom !',
+    'validation.stackType': '« {name} » est déjà dans le sac en tant que {type} !',
+    'validation.stackQuantity': 'Une pile peut contenir au plus {max} exemplaires d\'un objet !',
+
+    // Gallery page
+    'language.label': '🌐 Langue :',
+    'app.galleryPageTitle': '🐲 Galerie de personnages - Dragon Rune Adventure',
+    'app.galleryHeading': '🐲 Galerie de personnages',
+    'app.tagline': 'Créez et gérez vos personnages légendaires',
+    'form.characterType': 'Type de personnage :',
+    'form.chooseHeritage': 'Choisissez votre lignée...',
+    'form.characterName': 'Nom du personnage :',
+    'form.namePlaceholder': 'Saisissez le nom du personnage...',
+    'form.description': 'Description :',
+    'form.descriptionPlaceholder': 'Décrivez l\'histoire et les capacités de votre personnage...',
+    'form.parties': '🛡️ Groupes :',
+    'form.portrait': 'Portrait :',
+    'form.dropImage': '📤 Déposez une image ici ou',
+    'form.chooseFile': 'Choisissez un fichier',
+    'form.pickFromLibrary': '…ou choisissez-en un dans la bibliothèque :',
+    'generator.seed': 'Graine (facultative, rejoue un résultat) :',
+    'generator.seedPlaceholder': 'ex. taverne-7',
+    'generator.rollBag': '🎒 Tirer un sac de départ',
+    'generator.generate': '🎲 Générer',
+    'form.cancelEdit': '✖️ Annuler la modification',
+    'gallery.heading': '🏛️ Galerie de personnages',
+    'gallery.exportRoster': '📤 Exporter la liste',
+    'gallery.importRoster': '📥 Importer une liste',
+    'gallery.clearAll': '🗑️ Tout supprimer',
+    'import.previewTitle': '📥 Aperçu de l\'import',
+    'import.strategy': 'Quand un personnage existe déjà :',
+    'import.strategySkip': 'L\'ignorer',
+    'import.strategyOverwrite': 'Le remplacer par celui importé',
+    'import.strategyRename': 'L\'importer sous un nouveau nom',
+    'import.apply': '✅ Appliquer l\'import',
+    'common.cancelButton': '✖️ Annuler',
+    'toolbar.search': 'Rechercher :',
+    'toolbar.searchPlaceholder': 'Nom ou description...',
+    'toolbar.type': 'Type :',
+    'toolbar.allTypes': 'Tous les types',
+    'toolbar.carrying': 'Porte :',
+    'toolbar.anything': 'N\'importe quoi',
+    'toolbar.party': 'Groupe :',
+    'toolbar.anyParty': 'N\'importe quel groupe',
+    'toolbar.sort': 'Trier par :',
+    'toolbar.sortCreation': 'Ordre de création',
+    'toolbar.sortName': 'Nom (A–Z)',
+    'toolbar.sortNewest': 'Plus récents d\'abord',
+    'toolbar.sortOldest': 'Plus anciens d\'abord',
+    'toolbar.sortBag': 'Taille du sac (plus grand d\'abord)',
+    'selection.selectAll': '☑️ Sélectionner les personnages affichés',
+    'selection.clear': '✖️ Effacer la sélection',
+    'selection.partyLabel': 'Groupe pour les personnages sélectionnés',
+    'selection.chooseParty': 'Choisissez un groupe...',
+    'selection.addToParty': '➕ Ajouter au groupe',
+    'selection.removeFromParty': '➖ Retirer du groupe',
+    'export.menu': '📤 Exporter',
+    'export.csv': '📊 CSV du sac',
+    'export.markdown': '📝 Fiche Markdown',
+    'export.json': '🗂️ JSON',
+    'export.print': '🖨️ Imprimer la fiche',
+    'gallery.keyboardHint': 'Utilisez les flèches pour passer d\'un personnage à l\'autre, Entrée pour en ouvrir un et Suppr pour le supprimer.',
+    'gallery.listLabel': 'Personnages',
+    'party.heading': '🛡️ Groupes',
+    'party.name': 'Nom du groupe :',
+    'party.namePlaceholder': 'ex. La Compagnie d\'Emberfall',
+    'stats.heading': '📊 Statistiques de la liste',
+    'types.heading': '⚙️ Types de personnages et d\'objets',
+    'types.characterTypes': 'Types de personnages',
+    'types.itemTypes': 'Types d\'objets',
+    'types.kind': 'Catégorie :',
+    'types.kindCharacter': 'Type de personnage',
+    'types.kindItem': 'Type d\'objet',
+    'types.id': 'Nom (enregistré sur les personnages et les objets) :',
+    'types.idPlaceholder': 'ex. Elfe',
+    'types.label': 'Libellé :',
+    'types.labelPlaceholder': 'ex. Elfe',
+    'types.emoji': 'Emoji :',
+    'types.descriptionPlaceholder': 'ex. Gracieux et d\'une grande longévité',
+    'types.characterFields': 'Attributs de départ et capacité de charge :',
+    'types.capacity': '⚖️ Capacité (kg)',
+    'types.names': '🎲 Noms du générateur (séparés par des virgules) :',
+    'types.namesPlaceholder': 'ex. Aerin, Lirael, Thranduil',
+    'types.epithets': '🎲 Épithètes du générateur (séparées par des virgules) :',
+    'types.epithetsPlaceholder': 'ex. le Gracieux, des Bois Profonds',
+    'types.itemFields': 'Comportement de l\'objet :',
+    'types.weight': '⚖️ Poids par défaut (kg)',
+    'types.use': 'Utilisation :',
+    'types.useEquip': 'L\'équiper pour ses effets',
+    'types.useConsume': 'Le consommer pour ses effets',
+    'types.useNone': 'Simplement le porter',
+    'types.save': '💾 Enregistrer le type',
+    'app.footer': '🎮 UCF Front End Track - Projet final DOM de la semaine 4',
+    'form.selectedPortrait': 'Portrait sélectionné',
+
+    // Character page markup
+    'app.detailPageTitle': '🐲 Détails du personnage - Dragon Rune Adventure',
+    'app.detailHeading': '🐲 Détails du personnage',
+    'share.previewNote': '👀 Ceci est un personnage partagé. Rien n\'est enregistré tant que vous ne l\'ajoutez pas.',
+    'share.addToRoster': '➕ Ajouter à ma liste',
+    'relationship.heading': '🤝 Relations',
+    'relationship.type': 'Relation :',
+    'relationship.chooseTypeOption': 'Choisissez une relation...',
+    'relationship.character': 'Personnage :',
+    'relationship.chooseCharacterOption': 'Choisissez un personnage...',
+    'relationship.add': '🤝 Ajouter la relation',
+    'bag.heading': '🎒 Sac du personnage',
+    'itemForm.type': 'Type d\'objet :',
+    'itemForm.chooseType': 'Choisissez un type d\'objet...',
+    'itemForm.name': 'Nom de l\'objet :',
+    'itemForm.namePlaceholder': 'Saisissez le nom de l\'objet...',
+    'itemForm.description': 'Description (facultative) :',
+    'itemForm.descriptionPlaceholder': 'Courte description de l\'objet...',
+    'itemForm.quantity': 'Quantité :',
+    'itemForm.weight': 'Poids unitaire (kg, facultatif) :',
+    'itemForm.weightPlaceholder': 'Celui du type d\'objet',
+    'itemForm.effects': 'Effets (tant qu\'il est équipé, ou une fois quand un consommable est utilisé) :',
+    'catalog.heading': '📚 Catalogue d\'objets',
+    'catalog.suggest': '🎲 Suggérer un objet au hasard',
+    'catalog.import': '📥 Importer',
+    'bag.contents': '📦 Contenu du sac',
+    'trade.open': '🔄 Échanger',
+    'trade.giveItem': '🤝 Donner l\'objet',
+    'trade.giveTo': 'Donner à :',
+    'trade.title': '🔄 Échanger des objets',
+    'trade.with': 'Échanger avec :',
+    'trade.ownSide': 'Donne',
+    'trade.partnerSide': 'Reçoit',
+    'trade.confirm': '🔄 Échanger la sélection',
+
+    // Party page markup
+    'app.partyPageTitle': '🛡️ Groupe - Dragon Rune Adventure',
+    'app.partyHeading': '🛡️ Groupe',
+    'partyPage.membersHeading': '👥 Membres',
+    'partyPage.inventoryHeading': '🎒 Inventaire commun'
+};
+
+// The page loads i18n.js first; under Node the catalog is only exported
+if (typeof I18n !== 'undefined') {
+    I18n.register('fr', { name: 'Français', messages: FR_MESSAGES });
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FR_MESSAGES };
+}
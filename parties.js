@@ -0,0 +1,78 @@
+// --- DOM Capstone: Parties ---
+
+// Local Storage Keys
+const PARTIES_KEY = 'dragonRuneParties';
+
+// Named groups of characters, e.g. one per campaign. Parties only hold a name;
+// characters list the ids of the parties they belong to in `parties`, so deleting
+// a character takes it out of every party and undoing the delete puts it back.
+class PartyRegistry {
+    static all() {
+        return this.load().map(party => ({ ...party }));
+    }
+
+    static find(id) {
+        const party = this.load().find(entry => sameId(entry.id, id));
+        return party ? { ...party } : null;
+    }
+
+    static create(name) {
+        const party = { id: `${Date.now()}${Math.random().toString(36).substr(2, 5)}`, name, createdAt: new Date().toISOString() };
+        this.save([...this.load(), party]);
+        return party;
+    }
+
+    static rename(id, name) {
+        this.save(this.load().map(party => (sameId(party.id, id) ? { ...party, name } : party)));
+    }
+
+    // Members keep the id in `parties`; it is ignored once the party is gone
+    static remove(id) {
+        this.save(this.load().filter(party => !sameId(party.id, id)));
+    }
+
+    // Characters in a party, in roster order
+    static members(id, characters) {
+        return characters.filter(char => (char.parties || []).some(partyId => sameId(partyId, id)));
+    }
+
+    // Registered parties a character belongs to
+    static partiesOf(character) {
+        const ids = character.parties || [];
+        return this.load().filter(party => ids.some(id => sameId(id, party.id))).map(party => ({ ...party }));
+    }
+
+    // Copy of a character with its membership of one party switched on or off;
+    // ids of deleted parties are dropped along the way
+    static withMembership(character, id, member) {
+        const kept = this.partiesOf(character).map(party => party.id).filter(partyId => !sameId(partyId, id));
+        return { ...character, parties: member ? [...kept, String(id)] : kept };
+    }
+
+    // Call `listener()` whenever another tab changes the parties
+    static subscribe(listener) {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== PARTIES_KEY && event.key !== null) return;
+            listener();
+        });
+    }
+
+    static load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PARTIES_KEY));
+            if (Array.isArray(stored)) return stored;
+        } catch (error) {
+            console.error('Error loading parties:', error);
+        }
+        return [];
+    }
+
+    static save(parties) {
+        localStorage.setItem(PARTIES_KEY, JSON.stringify(parties));
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PartyRegistry };
+}
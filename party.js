@@ -0,0 +1,184 @@
+// --- DOM Capstone: Party Page ---
+
+// DOM Elements
+const partyInfo = document.getElementById('partyInfo');
+const partyMembers = document.getElementById('partyMembers');
+const partyInventory = document.getElementById('partyInventory');
+const partyCapacity = document.getElementById('partyCapacity');
+const partyCapacityFill = document.getElementById('partyCapacityFill');
+const partyCapacityText = document.getElementById('partyCapacityText');
+
+// Shows one party (party.html?id=...): its members and everything they carry
+class PartyPage {
+    constructor() {
+        this.partyId = new URLSearchParams(window.location.search).get('id');
+        this.characters = [];
+
+        this.initialize();
+    }
+
+    async initialize() {
+        try {
+            await CharacterRepository.init();
+            this.characters = CharacterRepository.loadAll();
+
+            // Stay current with edits made in the gallery or detail pages
+            CharacterRepository.subscribe((characters) => {
+                this.characters = characters;
+                this.render();
+            });
+            PartyRegistry.subscribe(() => this.render());
+            TypeRegistry.subscribe(() => this.render());
+            I18n.subscribe(() => this.render());
+
+            this.render();
+            // Start keyboard and screen-reader users at the party's name
+            partyInfo.querySelector('h2').focus();
+        } catch (error) {
+            console.error('Error loading party:', error);
+            this.showError(I18n.t('partyPage.loadError'));
+        }
+    }
+
+    render() {
+        const party = this.partyId !== null ? PartyRegistry.find(this.partyId) : null;
+        if (!party) {
+            this.showError(I18n.t('partyPage.notFound'));
+            return;
+        }
+
+        const members = PartyRegistry.members(party.id, this.characters);
+        partyCapacity.style.display = '';
+        this.renderInfo(party, members);
+        this.renderMembers(members);
+        this.renderCapacity(members);
+        this.renderInventory(members);
+        document.title = I18n.t('partyPage.pageTitle', { name: party.name });
+    }
+
+    renderInfo(party, members) {
+        const bags = members.flatMap(char => char.bag);
+        partyInfo.replaceChildren(
+            render.element('div', { className: 'character-info' },
+                render.element('h2', { tabindex: '-1' }, `🛡️ ${party.name}`),
+                render.element('div', { className: 'character-meta' },
+                    render.element('p', {}, render.element('strong', {}, I18n.t('partyPage.members')), ` ${I18n.formatNumber(members.length)}`),
+                    render.element('p', {}, render.element('strong', {}, I18n.t('partyPage.itemsCarried')), ` ${I18n.formatNumber(bagCount(bags))}`),
+                    party.createdAt && render.element('p', {}, render.element('strong', {}, I18n.t('partyPage.formed')), ` ${I18n.formatDate(party.createdAt)}`)
+                )
+            )
+        );
+    }
+
+    renderMembers(members) {
+        if (members.length === 0) {
+            partyMembers.replaceChildren(render.element('div', { className: 'empty-gallery' },
+                render.element('div', { className: 'empty-icon' }, '👥'),
+                render.element('h3', {}, I18n.t('partyPage.noMembersTitle')),
+                render.element('p', {}, I18n.t('partyPage.noMembersHint'))
+            ));
+            return;
+        }
+
+        partyMembers.replaceChildren(...members.map(character => {
+            const type = TypeRegistry.characterType(character.type);
+            return render.element('a', { className: 'character-card party-member', href: `detail.html?id=${encodeURIComponent(character.id)}` },
+                render.image(character.imageUrl, { alt: character.name, className: 'character-image' }),
+                render.element('div', { className: 'character-name' }, character.name),
+                render.element('div', { className: 'character-type' }, `${type.emoji} ${type.label}`),
+                render.element('div', { className: 'character-description' },
+                    I18n.t('partyPage.memberLoad', {
+                        count: bagCount(character.bag),
+                        weight: Encumbrance.formatWeight(Encumbrance.bagWeight(character.bag)),
+                        capacity: Encumbrance.formatWeight(Encumbrance.capacity(character))
+                    }))
+            );
+        }));
+    }
+
+    // Everything the members carry against what they can carry together
+    renderCapacity(members) {
+        const weight = members.reduce((sum, char) => sum + Encumbrance.bagWeight(char.bag), 0);
+        const capacity = members.reduce((sum, char) => sum + Encumbrance.capacity(char), 0);
+        const used = capacity > 0 ? Math.min(100, (weight / capacity) * 100) : 0;
+        const encumbered = members.filter(char => Encumbrance.isEncumbered(char));
+
+        partyCapacityFill.style.width = `${used}%`;
+        partyCapacity.classList.toggle('encumbered', encumbered.length > 0);
+        partyCapacity.classList.toggle('nearly-full', encumbered.length === 0 && used >= 80);
+        partyCapacityText.textContent = I18n.t('partyPage.capacity', { weight: Encumbrance.formatWeight(weight), capacity: Encumbrance.formatWeight(capacity) }) +
+            (encumbered.length ? ` · ${I18n.t('partyPage.encumbered', { names: encumbered.map(char => char.name).join(', ') })}` : '');
+    }
+
+    renderInventory(members) {
+        const groups = CharacterExport.groupByType(PartyPage.combinedInventory(members));
+        if (groups.length === 0) {
+            partyInventory.replaceChildren(render.element('div', { className: 'empty-bag' },
+                render.element('div', { className: 'empty-icon' }, '🎒'),
+                render.element('p', {}, I18n.t('partyPage.emptyInventory'))
+            ));
+            return;
+        }
+
+        partyInventory.replaceChildren(...groups.map(({ type, items }) => render.element('div', { className: 'party-inventory-group' },
+            render.element('h3', {}, `${type.emoji} ${type.label}`),
+            render.element('ul', { className: 'bag-items' }, items.map(entry => render.element('li', { className: 'bag-item' },
+                render.element('div', { className: 'item-info' },
+                    render.element('div', { className: 'item-name' },
+                        entry.name,
+                        render.element('span', { className: 'item-quantity' }, `×${entry.quantity}`)
+                    ),
+                    render.element('div', { className: 'item-description' },
+                        I18n.t('partyPage.carriedBy', { carriers: entry.carriers.map(({ name, quantity }) => `${name} ×${quantity}`).join(', ') }))
+                ),
+                render.element('span', { className: 'item-weight' }, `⚖️ ${Encumbrance.formatWeight(entry.weight)}`)
+            )))
+        )));
+    }
+
+    // Members' bags merged into one entry per item (same type and name, any case),
+    // each with its total quantity and weight and who carries how many
+    static combinedInventory(members) {
+        const entries = new Map();
+        members.forEach(character => character.bag.forEach(item => {
+            const key = `${item.type}\n${item.name.toLowerCase()}`;
+            if (!entries.has(key)) {
+                entries.set(key, { type: item.type, name: item.name, quantity: 0, weight: 0, carriers: [] });
+            }
+            const entry = entries.get(key);
+            entry.quantity += itemQuantity(item);
+            entry.weight = Math.round((entry.weight + Encumbrance.stackWeight(item)) * 10) / 10;
+            entry.carriers.push({ name: character.name, quantity: itemQuantity(item) });
+        }));
+
+        return [...entries.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    showError(message) {
+        partyInfo.replaceChildren(
+            render.element('div', { className: 'error-state' },
+                render.element('h2', { tabindex: '-1' }, I18n.t('common.error')),
+                render.element('p', {}, message),
+                render.element('a', { href: galleryUrl(), className: 'btn-primary' }, I18n.t('common.backToGallery'))
+            )
+        );
+        partyMembers.replaceChildren();
+        partyInventory.replaceChildren();
+        partyCapacity.style.display = 'none';
+    }
+}
+
+// Global variable for access from the console
+let partyPage;
+
+document.addEventListener('DOMContentLoaded', () => {
+    partyPage = new PartyPage();
+
+    // Return to the gallery as it was left
+    document.querySelectorAll('.back-link').forEach(link => link.setAttribute('href', galleryUrl()));
+});
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PartyPage };
+}
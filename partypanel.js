@@ -0,0 +1,145 @@
+// --- DOM Capstone: Party Panel ---
+
+// DOM Elements
+const partyForm = document.getElementById('partyForm');
+const partyFormTitle = document.getElementById('partyFormTitle');
+const partySubmitBtn = document.getElementById('partySubmitBtn');
+const cancelPartyEditBtn = document.getElementById('cancelPartyEditBtn');
+const partyList = document.getElementById('partyList');
+
+// Lists the parties and creates, renames and deletes them. `onChange()` runs after
+// every change so the page can refresh; `usage(id)` counts a party's members and
+// `onShow(id)` filters the gallery down to them.
+class PartyPanel {
+    constructor({ onChange, usage, onShow, showMessage }) {
+        this.onChange = onChange;
+        this.usage = usage;
+        this.onShow = onShow;
+        this.showMessage = showMessage;
+        this.editingId = null;
+
+        this.initializeEventListeners();
+        this.render();
+    }
+
+    initializeEventListeners() {
+        partyForm.addEventListener('submit', (e) => this.handleSubmit(e));
+        cancelPartyEditBtn.addEventListener('click', () => this.resetForm());
+    }
+
+    render() {
+        const parties = PartyRegistry.all();
+        if (parties.length === 0) {
+            partyList.replaceChildren(render.element('li', { className: 'party-empty' }, I18n.t('party.emptyList')));
+            return;
+        }
+        partyList.replaceChildren(...parties.map(party => this.createPartyRow(party)));
+    }
+
+    createPartyRow(party) {
+        const members = this.usage(party.id);
+
+        return render.element('li', { className: 'type-row party-row' },
+            render.element('div', { className: 'type-row-info' },
+                render.element('a', { className: 'party-link', href: `party.html?id=${encodeURIComponent(party.id)}` }, `🛡️ ${party.name}`),
+                render.element('div', { className: 'type-row-details' }, I18n.t('party.members', { count: members }))
+            ),
+            render.element('div', { className: 'type-row-actions' },
+                render.element('button', { type: 'button', className: 'btn-small btn-edit-item', onClick: () => this.onShow(party.id) }, I18n.t('party.show')),
+                render.element('button', { type: 'button', className: 'btn-small btn-edit-item', onClick: () => this.startEdit(party.id) }, I18n.t('party.rename')),
+                render.element('button', { type: 'button', className: 'btn-small btn-remove', onClick: () => this.removeParty(party) }, I18n.t('party.delete'))
+            )
+        );
+    }
+
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const name = new FormData(partyForm).get('name').trim();
+        const error = validators.partyError({ name }, PartyRegistry.all(), this.editingId);
+        if (error) {
+            this.showMessage(error, 'error');
+            return;
+        }
+
+        try {
+            if (this.editingId !== null) {
+                PartyRegistry.rename(this.editingId, name);
+                this.showMessage(I18n.t('party.renamed', { name }));
+            } else {
+                PartyRegistry.create(name);
+                this.showMessage(I18n.t('party.created', { name }));
+            }
+            this.resetForm();
+            this.changed();
+        } catch (error) {
+            console.error('Error saving party:', error);
+            this.showMessage(I18n.t('party.saveError'), 'error');
+        }
+    }
+
+    startEdit(id) {
+        const party = PartyRegistry.find(id);
+        if (!party) return;
+
+        this.editingId = party.id;
+        partyForm.elements.name.value = party.name;
+        this.showFormMode();
+        partyForm.elements.name.focus();
+    }
+
+    resetForm() {
+        partyForm.reset();
+        this.editingId = null;
+        this.showFormMode();
+    }
+
+    // Title and buttons for a new party, or for renaming one
+    showFormMode() {
+        const party = this.editingId !== null ? PartyRegistry.find(this.editingId) : null;
+        partyFormTitle.textContent = party ? I18n.t('party.renameTitle', { name: party.name }) : I18n.t('party.newTitle');
+        partySubmitBtn.textContent = I18n.t(party ? 'party.saveName' : 'party.createParty');
+        cancelPartyEditBtn.style.display = party ? 'inline-block' : 'none';
+    }
+
+    // Members stay in the roster; only the grouping goes
+    async removeParty(party) {
+        const members = this.usage(party.id);
+        const note = members ? ` ${I18n.t('party.membersStay', { count: members })}` : '';
+        const confirmed = await Dialog.confirm({
+            title: I18n.t('party.deleteTitle'),
+            message: `${I18n.t('party.deleteConfirm', { name: party.name })}${note}`,
+            confirmLabel: I18n.t('common.delete'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            PartyRegistry.remove(party.id);
+            if (sameId(this.editingId, party.id)) this.resetForm();
+            this.showMessage(I18n.t('party.deleted', { name: party.name }));
+            this.changed();
+        } catch (error) {
+            console.error('Error deleting party:', error);
+            this.showMessage(I18n.t('party.deleteError'), 'error');
+        }
+    }
+
+    // Redraw the list and form after the language changed
+    refreshLanguage() {
+        this.render();
+        this.showFormMode();
+    }
+
+    // Re-render after the parties changed here or in another tab
+    changed() {
+        if (this.editingId !== null && !PartyRegistry.find(this.editingId)) this.resetForm();
+        this.render();
+        this.onChange();
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PartyPanel };
+}
@@ -0,0 +1,198 @@
+// --- DOM Capstone: Custom Portrait Storage ---
+
+// Uploaded portraits live in IndexedDB; characters point at them with "portrait:<id>"
+const PORTRAIT_DB = 'dragonRunePortraits';
+const PORTRAIT_STORE = 'portraits';
+const PORTRAIT_PREFIX = 'portrait:';
+
+// Uploads are scaled to fit this box and re-encoded before they are stored
+const PORTRAIT_MAX_SIZE = 512;
+const PORTRAIT_QUALITY = 0.85;
+const PORTRAIT_MAX_UPLOAD = 10 * 1024 * 1024;
+
+// Unused portraits are only deleted once they are this old, so an upload
+// still waiting in another tab's form isn't lost
+const PORTRAIT_PRUNE_AGE = 24 * 60 * 60 * 1000;
+
+// Built-in portrait library
+const PRESET_PORTRAITS = [
+    { file: 'dravok.png', emoji: '🔥', name: 'Dravok', kind: 'fire' },
+    { file: 'faylen.png', emoji: '💜', name: 'Faylen', kind: 'mystic' },
+    { file: 'mithrond.png', emoji: '⚡', name: 'Mithrond', kind: 'lightning' },
+    { file: 'neraxis.png', emoji: '🌿', name: 'Neraxis', kind: 'earth' },
+    { file: 'obon.png', emoji: '🧡', name: 'Obon', kind: 'ancient' },
+    { file: 'ravenis.png', emoji: '🌙', name: 'Ravenis', kind: 'shadow' }
+];
+
+// Thrown when an upload can't be turned into a stored portrait
+class PortraitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PortraitError';
+    }
+}
+
+class PortraitStore {
+    static isPortrait(imageUrl) {
+        return typeof imageUrl === 'string' && imageUrl.startsWith(PORTRAIT_PREFIX);
+    }
+
+    // Resize and store an uploaded image file; resolves to its "portrait:<id>" reference
+    static async save(file) {
+        if (!file || !file.type.startsWith('image/')) {
+            throw new PortraitError(I18n.t('portrait.notImage'));
+        }
+        if (file.size > PORTRAIT_MAX_UPLOAD) {
+            throw new PortraitError(I18n.t('portrait.tooLarge'));
+        }
+
+        const blob = await this.resize(file);
+        const id = `${Date.now()}${Math.random().toString(36).substr(2, 9)}`;
+        await this.request('readwrite', store => store.put(blob, id));
+        return `${PORTRAIT_PREFIX}${id}`;
+    }
+
+    // Scale an image down to PORTRAIT_MAX_SIZE and compress it with a canvas
+    static resize(file) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                const scale = Math.min(1, PORTRAIT_MAX_SIZE / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.width * scale));
+                canvas.height = Math.max(1, Math.round(img.height * scale));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                // WebP keeps transparency; browsers without it fall back to PNG
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new PortraitError(I18n.t('portrait.unprocessable')));
+                    }
+                }, 'image/webp', PORTRAIT_QUALITY);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new PortraitError(I18n.t('portrait.unreadable')));
+            };
+            img.src = url;
+        });
+    }
+
+    // Point an <img> at a character's image, using FALLBACK_IMAGE for missing portraits
+    static show(img, imageUrl) {
+        if (!this.isPortrait(imageUrl)) {
+            img.src = imageUrl || FALLBACK_IMAGE;
+            return;
+        }
+
+        img.src = FALLBACK_IMAGE;
+        this.resolve(imageUrl).then(src => {
+            img.src = src;
+        });
+    }
+
+    // Resolve an image reference to something an <img> can load
+    static async resolve(imageUrl) {
+        if (!this.isPortrait(imageUrl)) return imageUrl || FALLBACK_IMAGE;
+
+        const id = imageUrl.slice(PORTRAIT_PREFIX.length);
+        if (!this.urls.has(id)) {
+            this.urls.set(id, this.request('readonly', store => store.get(id))
+                .then(blob => (blob ? URL.createObjectURL(blob) : FALLBACK_IMAGE))
+                .catch(error => {
+                    console.error('Error loading portrait:', error);
+                    return FALLBACK_IMAGE;
+                }));
+        }
+        return this.urls.get(id);
+    }
+
+    // Read a stored portrait as a data URL, for files that leave this browser;
+    // resolves to null when the portrait is missing
+    static async toDataUrl(imageUrl) {
+        const blob = await this.request('readonly', store => store.get(imageUrl.slice(PORTRAIT_PREFIX.length)));
+        if (!blob) return null;
+
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // Store a portrait carried in a file under its reference; a portrait this browser
+    // already has is kept as it is. Resolves to false for data that isn't an image.
+    static async restore(imageUrl, dataUrl) {
+        const match = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/]+=*)$/.exec(String(dataUrl));
+        if (!this.isPortrait(imageUrl) || !match || match[2].length * 3 / 4 > PORTRAIT_MAX_UPLOAD) return false;
+
+        const id = imageUrl.slice(PORTRAIT_PREFIX.length);
+        const bytes = Uint8Array.from(atob(match[2]), char => char.charCodeAt(0));
+        await this.request('readwrite', store => {
+            const existing = store.getKey(id);
+            existing.onsuccess = () => {
+                if (existing.result === undefined) store.put(new Blob([bytes], { type: match[1] }), id);
+            };
+        });
+        return true;
+    }
+
+    // Delete older stored portraits that none of `imageUrls` refers to any more
+    static async prune(imageUrls) {
+        const keep = new Set(imageUrls.filter(url => this.isPortrait(url)).map(url => url.slice(PORTRAIT_PREFIX.length)));
+        const ids = await this.request('readonly', store => store.getAllKeys());
+        // Ids start with their upload time
+        const cutoff = Date.now() - PORTRAIT_PRUNE_AGE;
+        const unused = ids.filter(id => !keep.has(String(id)) && parseInt(id, 10) < cutoff);
+        if (unused.length === 0) return;
+
+        await this.request('readwrite', store => {
+            unused.forEach(id => store.delete(id));
+        });
+    }
+
+    // Run one transaction against the portrait store; resolves with the request's result
+    static async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(PORTRAIT_STORE, mode);
+            const request = operation(transaction.objectStore(PORTRAIT_STORE));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new PortraitError(I18n.t('portrait.interrupted')));
+        });
+    }
+
+    static open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new PortraitError(I18n.t('portrait.unsupported')));
+                    return;
+                }
+                const request = indexedDB.open(PORTRAIT_DB, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(PORTRAIT_STORE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again after a failure
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        return this.database;
+    }
+}
+
+// Object URLs for portraits already loaded, by portrait id
+PortraitStore.urls = new Map();
+PortraitStore.database = null;
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortraitStore, PortraitError, PRESET_PORTRAITS };
+}
@@ -0,0 +1,62 @@
+// --- DOM Capstone: Offline Support ---
+
+// Registers the service worker (sw.js) so the app installs and works offline,
+// and offers a reload when a new version has been downloaded
+class OfflineSupport {
+    static register() {
+        // Service workers need http(s) (localhost counts), not file://
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // An update downloaded on an earlier visit is still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                OfflineSupport.promptUpdate(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        OfflineSupport.promptUpdate(worker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.error('Error registering the service worker:', error);
+        });
+
+        // Another tab accepted the update, so this prompt is done with
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            const banner = document.getElementById('updateBanner');
+            if (banner) banner.remove();
+        });
+    }
+
+    // Banner asking to reload into the `worker` waiting to take over
+    static promptUpdate(worker) {
+        if (document.getElementById('updateBanner')) return;
+
+        const banner = render.element('div', { id: 'updateBanner', className: 'update-banner', role: 'status' },
+            render.element('span', {}, I18n.t('update.available')),
+            render.element('button', {
+                type: 'button',
+                className: 'btn-primary',
+                onClick: () => {
+                    // Reload once the new worker is in control, so every file comes from its cache
+                    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            }, I18n.t('update.reload')),
+            render.element('button', { type: 'button', className: 'btn-secondary', onClick: () => banner.remove() }, I18n.t('update.later'))
+        );
+        document.body.appendChild(banner);
+    }
+}
+
+window.addEventListener('load', () => OfflineSupport.register());
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OfflineSupport };
+}
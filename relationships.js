@@ -0,0 +1,98 @@
+// --- DOM Capstone: Character Relationships ---
+
+// Relationship kinds. Both characters store the link: a character's entry
+// { type, characterId } reads "<characterId> is my <type>", and the other one
+// records the `inverse` back (a mentor lists their student, the student their mentor).
+// Labels come from the message catalogs (relationship.<id>).
+const RELATIONSHIP_TYPES = [
+    // A dragon and its rider; each character has at most one
+    { id: 'bonded', emoji: '🐉', inverse: 'bonded' },
+    { id: 'sibling', emoji: '👪', inverse: 'sibling' },
+    { id: 'rival', emoji: '⚔️', inverse: 'rival' },
+    { id: 'mentor', emoji: '🎓', inverse: 'student' },
+    { id: 'student', emoji: '📜', inverse: 'mentor' }
+];
+
+// Thrown when two characters can't be linked as requested
+class RelationshipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RelationshipError';
+    }
+}
+
+class Relationships {
+    // Every kind, labeled in the current language
+    static types() {
+        return RELATIONSHIP_TYPES.map(type => this.type(type.id));
+    }
+
+    // Kind by id; kinds this version doesn't know still show, marked ❓
+    static type(id) {
+        const type = RELATIONSHIP_TYPES.find(entry => entry.id === id);
+        return type ? { ...type, label: I18n.t(`relationship.${id}`) } : { id, label: id, emoji: '❓', inverse: id };
+    }
+
+    // A character's relationships as [{ type, character }], skipping characters
+    // that are no longer in `characters`
+    static of(character, characters) {
+        return (character.relationships || [])
+            .map(entry => ({ type: this.type(entry.type), character: characters.find(char => sameId(char.id, entry.characterId)) }))
+            .filter(entry => entry.character);
+    }
+
+    // The character `character` is bonded with, or null
+    static bondedPartner(character, characters) {
+        const bond = this.of(character, characters).find(entry => entry.type.id === 'bonded');
+        return bond ? bond.character : null;
+    }
+
+    // Make `b` the `typeId` of `a` (and `a` the inverse of `b`). `characters` is the
+    // roster, used to skip links to deleted characters. Returns updated copies of both.
+    static link(a, b, typeId, characters) {
+        const type = RELATIONSHIP_TYPES.find(entry => entry.id === typeId);
+        if (!type) {
+            throw new RelationshipError(I18n.t('relationship.chooseType'));
+        }
+        if (sameId(a.id, b.id)) {
+            throw new RelationshipError(I18n.t('relationship.self'));
+        }
+        if (this.of(a, characters).some(entry => sameId(entry.character.id, b.id))) {
+            throw new RelationshipError(I18n.t('relationship.alreadyRelated', { a: a.name, b: b.name }));
+        }
+        if (type.id === 'bonded') {
+            const bonded = [a, b].find(char => this.bondedPartner(char, characters));
+            if (bonded) {
+                throw new RelationshipError(I18n.t('relationship.alreadyBonded', { name: bonded.name, partner: this.bondedPartner(bonded, characters).name }));
+            }
+        }
+
+        return {
+            a: { ...a, relationships: [...this.without(a, b.id).relationships, { type: type.id, characterId: String(b.id) }] },
+            b: { ...b, relationships: [...this.without(b, a.id).relationships, { type: type.inverse, characterId: String(a.id) }] }
+        };
+    }
+
+    // Remove whatever links `a` and `b`; returns updated copies of both
+    static unlink(a, b) {
+        return { a: this.without(a, b.id), b: this.without(b, a.id) };
+    }
+
+    // Copies of the characters that point at any of `ids`, with those links dropped
+    // (for cleaning up after a delete)
+    static detach(characters, ids) {
+        const removed = (id) => ids.some(gone => sameId(gone, id));
+        return characters
+            .filter(char => !removed(char.id) && (char.relationships || []).some(entry => removed(entry.characterId)))
+            .map(char => ({ ...char, relationships: char.relationships.filter(entry => !removed(entry.characterId)) }));
+    }
+
+    static without(character, id) {
+        return { ...character, relationships: (character.relationships || []).filter(entry => !sameId(entry.characterId, id)) };
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Relationships, RelationshipError, RELATIONSHIP_TYPES };
+}
@@ -0,0 +1,82 @@
+// --- DOM Capstone: Safe Rendering ---
+
+// Builds DOM nodes instead of HTML strings, so names and descriptions from
+// forms, imports or other tabs are always shown as text and never parsed as markup.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const render = {
+    // Create an element. `props` become attributes, except:
+    //   className -> class, dataset -> data-* attributes,
+    //   functions -> event listeners (onClick -> 'click'),
+    //   true -> empty attribute, false/null/undefined -> left out.
+    // `children` are nodes, strings (always inserted as text) or arrays of them.
+    element: (tag, props = {}, ...children) => {
+        const element = document.createElement(tag);
+
+        Object.entries(props).forEach(([key, value]) => {
+            if (value === false || value === null || value === undefined) return;
+
+            if (key === 'className') {
+                element.className = value;
+            } else if (key === 'dataset') {
+                Object.assign(element.dataset, value);
+            } else if (typeof value === 'function' && key.startsWith('on')) {
+                element.addEventListener(key.slice(2).toLowerCase(), value);
+            } else {
+                element.setAttribute(key, value === true ? '' : String(value));
+            }
+        });
+
+        element.append(...render.nodes(children));
+        return element;
+    },
+
+    // Same as `element` for SVG tags (every prop is an attribute, except event listeners)
+    svg: (tag, props = {}, ...children) => {
+        const element = document.createElementNS(SVG_NS, tag);
+
+        Object.entries(props).forEach(([key, value]) => {
+            if (value === false || value === null || value === undefined) return;
+
+            if (typeof value === 'function' && key.startsWith('on')) {
+                element.addEventListener(key.slice(2).toLowerCase(), value);
+            } else {
+                element.setAttribute(key === 'className' ? 'class' : key, value === true ? '' : String(value));
+            }
+        });
+
+        element.append(...render.nodes(children));
+        return element;
+    },
+
+    // Flatten children into nodes, skipping empty ones
+    nodes: (children) => children
+        .flat(Infinity)
+        .filter(child => child !== null && child !== undefined && child !== false && child !== '')
+        .map(child => (child instanceof Node ? child : document.createTextNode(String(child)))),
+
+    // Replace a <select>'s options after its first (placeholder) one, keeping the
+    // chosen value while it is still offered; `options` are { value, label }
+    fillSelect: (select, options) => {
+        const current = select.value;
+        select.replaceChildren(select.options[0], ...options.map(({ value, label }) => render.element('option', { value }, label)));
+        select.value = options.some(option => option.value === current) ? current : '';
+    },
+
+    // A character image: presets load directly, uploaded portraits from IndexedDB,
+    // and anything that fails to load shows FALLBACK_IMAGE instead
+    image: (imageUrl, props = {}) => {
+        const img = render.element('img', props);
+        img.addEventListener('error', () => {
+            if (!img.src.endsWith(FALLBACK_IMAGE)) img.src = FALLBACK_IMAGE;
+        });
+        PortraitStore.show(img, imageUrl);
+        return img;
+    }
+};
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { render };
+}
@@ -0,0 +1,280 @@
+// --- DOM Capstone: Roster Import/Export ---
+
+// Marks files written by the roster export
+const ROSTER_FORMAT = 'dragonRuneRoster';
+
+// Thrown when an import file can't be used at all
+class RosterImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RosterImportError';
+    }
+}
+
+class RosterTransfer {
+    // Serialize the full roster, bags included, as versioned JSON; `portraits` maps
+    // "portrait:<id>" references to data URLs (see portraitsFor)
+    static serialize(characters, portraits = {}) {
+        return JSON.stringify({
+            format: ROSTER_FORMAT,
+            version: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            characters,
+            portraits
+        }, null, 2);
+    }
+
+    // Download the roster as a .json file with its uploaded portraits;
+    // resolves to the number of portraits that had to be left out
+    static async exportRoster(characters) {
+        const { portraits, missing } = await RosterTransfer.portraitsFor(characters);
+        const stamp = new Date().toISOString().slice(0, 10);
+        RosterTransfer.download(`dragon-rune-roster-${stamp}.json`, RosterTransfer.serialize(characters, portraits), 'application/json');
+        return missing;
+    }
+
+    // Uploaded portraits only live in this browser, so exports carry them as data URLs.
+    // `missing` counts the ones that couldn't be read.
+    static async portraitsFor(characters) {
+        const refs = new Set(characters.map(char => char.imageUrl).filter(url => PortraitStore.isPortrait(url)));
+        const portraits = {};
+        let missing = 0;
+        for (const ref of refs) {
+            try {
+                const dataUrl = await PortraitStore.toDataUrl(ref);
+                if (dataUrl) {
+                    portraits[ref] = dataUrl;
+                } else {
+                    missing += 1;
+                }
+            } catch (error) {
+                console.error('Error reading portrait for export:', error);
+                missing += 1;
+            }
+        }
+        return { portraits, missing };
+    }
+
+    // Store the portraits an import file carries; a character whose portrait
+    // can't be stored shows the fallback image instead
+    static async restorePortraits(portraits) {
+        for (const [ref, dataUrl] of Object.entries(portraits)) {
+            try {
+                await PortraitStore.restore(ref, dataUrl);
+            } catch (error) {
+                console.error('Error restoring imported portrait:', error);
+            }
+        }
+    }
+
+    // Trigger a browser download for generated text
+    static download(filename, text, type = 'text/plain') {
+        const blob = new Blob([text], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // Parse an import file and upgrade it to the current schema; returns the
+    // characters and the embedded portraits they refer to
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new RosterImportError(I18n.t('import.invalidJson'));
+        }
+
+        // Accept roster exports, raw storage snapshots and bare arrays
+        const envelope = Array.isArray(data) ? { version: 0, characters: data } : data;
+        if (!envelope || !Array.isArray(envelope.characters)) {
+            throw new RosterImportError(I18n.t('import.noRoster'));
+        }
+
+        const version = Number(envelope.version) || 0;
+        if (version > SCHEMA_VERSION) {
+            throw new RosterImportError(I18n.t('import.newerVersion'));
+        }
+
+        // Later migrations expect a bag, which hand-written files may leave out
+        const records = envelope.characters
+            .filter(record => record && typeof record === 'object')
+            .map(record => ({ ...record, bag: Array.isArray(record.bag) ? record.bag : [] }));
+        const characters = CharacterRepository.migrate(records, version).map(record => RosterTransfer.clean(record));
+
+        // Files from before portraits were embedded have none
+        const embedded = envelope.portraits && typeof envelope.portraits === 'object' ? envelope.portraits : {};
+        const portraits = {};
+        characters.forEach(({ imageUrl }) => {
+            if (PortraitStore.isPortrait(imageUrl) && typeof embedded[imageUrl] === 'string') {
+                portraits[imageUrl] = embedded[imageUrl];
+            }
+        });
+        return { characters, portraits };
+    }
+
+    // Trim text fields the same way the forms do; every item gets a fresh id, since
+    // ids from another roster can be missing or repeat within a bag
+    static clean(record) {
+        const text = (value) => (value === undefined || value === null ? '' : String(value)).trim();
+        return {
+            ...record,
+            type: text(record.type),
+            name: text(record.name),
+            description: text(record.description),
+            imageUrl: RosterTransfer.imageFor(record.imageUrl),
+            bag: (Array.isArray(record.bag) ? record.bag : []).map(item => ({
+                ...item,
+                id: ItemCatalog.generateId(),
+                type: text(item && item.type),
+                name: text(item && item.name),
+                description: text(item && item.description),
+                quantity: item && item.quantity !== undefined ? Number(item.quantity) : 1
+            }))
+        };
+    }
+
+    // Imported characters may use the built-in images or their own uploaded portraits;
+    // anything else (another site's URL) is swapped for the fallback image
+    static imageFor(imageUrl) {
+        const path = normalizeImagePath(imageUrl);
+        return !path || PortraitStore.isPortrait(path) || isAssetImage(path) ? path : FALLBACK_IMAGE;
+    }
+
+    // Work out what an import would do without changing anything;
+    // `strategy` (skip, overwrite or rename) decides what happens on a name or id collision.
+    // `changed` holds every character to save: the imported ones and the roster
+    // characters whose relationships they touch.
+    static plan(incoming, existing, strategy = 'skip') {
+        const entries = [];
+        let roster = existing.slice();
+        // File id -> roster id, for re-pointing imported relationships
+        const ids = new Map();
+        // Roster id -> the links the file gave that character
+        const links = new Map();
+        const place = (record, id) => {
+            ids.set(String(record.id), id);
+            links.set(String(id), Array.isArray(record.relationships) ? record.relationships : []);
+        };
+
+        incoming.forEach(record => {
+            // Same rules as the forms, minus the duplicate check handled below
+            const error = RosterTransfer.recordError(record);
+            if (error) {
+                entries.push({ action: 'reject', record, reason: error });
+                return;
+            }
+
+            const match = roster.find(char => sameId(char.id, record.id)) ||
+                roster.find(char => char.name.toLowerCase() === record.name.toLowerCase());
+
+            if (!match) {
+                const added = { ...record, id: RosterTransfer.freeId(record.id, roster), relationships: [] };
+                place(record, added.id);
+                roster.push(added);
+                entries.push({ action: 'add', record: added });
+                return;
+            }
+
+            if (strategy === 'overwrite') {
+                const replacement = { ...record, id: match.id, relationships: [], createdAt: match.createdAt || record.createdAt, updatedAt: new Date().toISOString() };
+                const clash = validators.characterError(replacement, roster, match.id);
+                if (clash) {
+                    entries.push({ action: 'reject', record, reason: clash });
+                    return;
+                }
+                place(record, match.id);
+                roster[roster.indexOf(match)] = replacement;
+                // The replaced character's old partners let go of it
+                const detached = Relationships.detach(roster, [match.id]);
+                roster = roster.map(char => detached.find(copy => sameId(copy.id, char.id)) || char);
+                entries.push({ action: 'overwrite', record: replacement, target: match });
+                return;
+            }
+
+            if (strategy === 'rename') {
+                const renamed = { ...record, id: RosterTransfer.freeId(null, roster), name: RosterTransfer.freeName(record.name, roster), relationships: [] };
+                place(record, renamed.id);
+                roster.push(renamed);
+                entries.push({ action: 'rename', record: renamed, original: record });
+                return;
+            }
+
+            ids.set(String(record.id), match.id);
+            entries.push({ action: 'skip', record, target: match });
+        });
+
+        // Relationships follow their characters to the ids they got here and are made
+        // the same way as on the detail page, so both sides are written. Links to
+        // characters that aren't in the file, or that break a rule (a second bond),
+        // are dropped.
+        const imported = entries.filter(entry => ['add', 'overwrite', 'rename'].includes(entry.action));
+        imported.forEach(({ record }) => {
+            links.get(String(record.id)).forEach(link => {
+                if (!ids.has(String(link.characterId))) return;
+                const a = roster.find(char => sameId(char.id, record.id));
+                const b = roster.find(char => sameId(char.id, ids.get(String(link.characterId))));
+                // The partner's own copy of the link already made it
+                if (!b || Relationships.of(a, roster).some(entry => sameId(entry.character.id, b.id))) return;
+
+                try {
+                    const linked = Relationships.link(a, b, link.type, roster);
+                    roster[roster.indexOf(a)] = linked.a;
+                    roster[roster.indexOf(b)] = linked.b;
+                } catch (error) {
+                    if (!(error instanceof RelationshipError)) throw error;
+                }
+            });
+        });
+        imported.forEach(entry => {
+            entry.record = roster.find(char => sameId(char.id, entry.record.id));
+        });
+
+        const changed = roster.filter(char => !existing.includes(char));
+        return { strategy, entries, characters: roster, changed };
+    }
+
+    // First validation error for a record or any of its items
+    static recordError(record) {
+        const error = validators.characterError(record);
+        if (error) return error;
+
+        const checked = [];
+        for (const item of record.bag) {
+            const itemError = validators.itemError(item, checked);
+            if (itemError) return I18n.t('import.itemError', { name: item.name || '?', error: itemError });
+            checked.push(item);
+        }
+        return null;
+    }
+
+    // Keep an imported id unless the roster already uses it
+    static freeId(id, roster) {
+        const taken = (candidate) => roster.some(char => sameId(char.id, candidate));
+        if (id !== undefined && id !== null && !taken(id)) return id;
+
+        let candidate = Date.now();
+        while (taken(candidate)) candidate += 1;
+        return candidate;
+    }
+
+    // "Name", "Name (2)", "Name (3)", ... whichever is free first
+    static freeName(name, roster) {
+        const taken = (candidate) => roster.some(char => char.name.toLowerCase() === candidate.toLowerCase());
+        let n = 2;
+        let candidate = name;
+        while (taken(candidate)) {
+            candidate = `${name} (${n})`;
+            n += 1;
+        }
+        return candidate;
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RosterTransfer, RosterImportError, ROSTER_FORMAT };
+}
@@ -0,0 +1,220 @@
+// --- DOM Capstone: Type Registry Settings Panel ---
+
+// DOM Elements
+const characterTypeList = document.getElementById('characterTypeList');
+const itemTypeList = document.getElementById('itemTypeList');
+const typeForm = document.getElementById('typeForm');
+const typeFormTitle = document.getElementById('typeFormTitle');
+const characterTypeFields = document.getElementById('characterTypeFields');
+const itemTypeFields = document.getElementById('itemTypeFields');
+const cancelTypeEditBtn = document.getElementById('cancelTypeEditBtn');
+const resetTypesBtn = document.getElementById('resetTypesBtn');
+
+// Lists the registered types and edits them. `onChange()` runs after every change
+// so the page can refresh its forms; `usage(kind, id)` counts what still uses a type.
+class TypeSettings {
+    constructor({ onChange, usage, showMessage }) {
+        this.onChange = onChange;
+        this.usage = usage;
+        this.showMessage = showMessage;
+        this.editing = null;
+
+        this.initializeEventListeners();
+        this.render();
+    }
+
+    initializeEventListeners() {
+        typeForm.addEventListener('submit', (e) => this.handleSubmit(e));
+        typeForm.elements.kind.addEventListener('change', () => this.showKindFields());
+        cancelTypeEditBtn.addEventListener('click', () => this.resetForm());
+        resetTypesBtn.addEventListener('click', () => this.restoreDefaults());
+    }
+
+    // Fill both type lists
+    render() {
+        characterTypeList.replaceChildren(...TypeRegistry.characterTypes().map(type => this.createTypeRow('character', type)));
+        itemTypeList.replaceChildren(...TypeRegistry.itemTypes().map(type => this.createTypeRow('item', type)));
+    }
+
+    createTypeRow(kind, type) {
+        const used = this.usage(kind, type.id);
+        const details = kind === 'character'
+            ? ATTRIBUTES.map(({ key, emoji }) => `${emoji} ${type.attributes[key]}`).concat(`⚖️ ${Encumbrance.formatWeight(type.capacity)}`).join(' · ')
+            : `⚖️ ${Encumbrance.formatWeight(type.weight)} · ${I18n.t(`types.use.${type.use}`)}`;
+
+        return render.element('li', { className: 'type-row' },
+            render.element('div', { className: 'type-row-info' },
+                render.element('strong', {}, `${type.emoji} ${type.label}`),
+                type.label !== type.id && render.element('span', { className: 'type-row-id' }, ` (${type.id})`),
+                type.description && render.element('div', { className: 'type-row-description' }, type.description),
+                render.element('div', { className: 'type-row-details' }, `${details}${used ? ` · ${I18n.t('types.inUse', { count: used })}` : ''}`)
+            ),
+            render.element('div', { className: 'type-row-actions' },
+                render.element('button', { type: 'button', className: 'btn-small btn-edit-item', onClick: () => this.startEdit(kind, type.id) }, I18n.t('types.edit')),
+                render.element('button', { type: 'button', className: 'btn-small btn-remove', onClick: () => this.removeType(kind, type) }, I18n.t('types.remove'))
+            )
+        );
+    }
+
+    // Show the attribute fields for character types, the item fields for item types
+    showKindFields() {
+        const isItem = typeForm.elements.kind.value === 'item';
+        characterTypeFields.style.display = isItem ? 'none' : 'block';
+        itemTypeFields.style.display = isItem ? 'block' : 'none';
+    }
+
+    handleSubmit(event) {
+        event.preventDefault();
+
+        const formData = new FormData(typeForm);
+        const kind = this.editing ? this.editing.kind : formData.get('kind');
+        const type = {
+            id: this.editing ? this.editing.id : formData.get('id').trim(),
+            label: formData.get('label').trim(),
+            emoji: formData.get('emoji').trim(),
+            description: formData.get('description').trim()
+        };
+        if (kind === 'character') {
+            type.attributes = {};
+            ATTRIBUTES.forEach(({ key }) => {
+                type.attributes[key] = Number(formData.get(`attr-${key}`));
+            });
+            type.capacity = Number(formData.get('capacity'));
+            type.names = this.readList(formData.get('names'));
+            type.epithets = this.readList(formData.get('epithets'));
+        } else {
+            type.weight = Number(formData.get('weight'));
+            type.use = formData.get('use');
+        }
+
+        const existing = kind === 'item' ? TypeRegistry.itemTypes() : TypeRegistry.characterTypes();
+        const error = validators.typeError(kind, type, existing, !!this.editing);
+        if (error) {
+            this.showMessage(error, 'error');
+            return;
+        }
+
+        try {
+            TypeRegistry.saveType(kind, type);
+            this.showMessage(I18n.t(this.editing ? 'types.updated' : 'types.added', { type: `${type.emoji} ${type.label}` }));
+            this.resetForm();
+            this.changed();
+        } catch (error) {
+            console.error('Error saving type:', error);
+            this.showMessage(I18n.t('types.saveError'), 'error');
+        }
+    }
+
+    // "a, b ,c" -> ['a', 'b', 'c']
+    readList(value) {
+        return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    }
+
+    // Load a registered type into the form; its name can't change since records store it
+    startEdit(kind, id) {
+        const type = kind === 'item' ? TypeRegistry.itemType(id) : TypeRegistry.characterType(id);
+        this.editing = { kind, id };
+
+        typeForm.reset();
+        typeForm.elements.kind.value = kind;
+        typeForm.elements.kind.disabled = true;
+        typeForm.elements.id.value = type.id;
+        typeForm.elements.id.disabled = true;
+        typeForm.elements.label.value = type.label;
+        typeForm.elements.emoji.value = type.emoji;
+        typeForm.elements.description.value = type.description || '';
+        if (kind === 'character') {
+            ATTRIBUTES.forEach(({ key }) => {
+                typeForm.elements[`attr-${key}`].value = type.attributes[key];
+            });
+            typeForm.elements.capacity.value = type.capacity;
+            typeForm.elements.names.value = (type.names || []).join(', ');
+            typeForm.elements.epithets.value = (type.epithets || []).join(', ');
+        } else {
+            typeForm.elements.weight.value = type.weight;
+            typeForm.elements.use.value = type.use;
+        }
+        this.showKindFields();
+        this.showFormMode();
+
+        typeForm.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        typeForm.elements.label.focus();
+    }
+
+    resetForm() {
+        typeForm.reset();
+        this.editing = null;
+        typeForm.elements.kind.disabled = false;
+        typeForm.elements.id.disabled = false;
+        this.showFormMode();
+        this.showKindFields();
+    }
+
+    // Title and buttons for adding a type, or for editing one
+    showFormMode() {
+        const { editing } = this;
+        const type = editing && (editing.kind === 'item' ? TypeRegistry.itemType(editing.id) : TypeRegistry.characterType(editing.id));
+        typeFormTitle.textContent = type ? I18n.t('types.editTitle', { label: type.label }) : I18n.t('types.addTitle');
+        cancelTypeEditBtn.style.display = type ? 'inline-block' : 'none';
+    }
+
+    async removeType(kind, type) {
+        const remaining = kind === 'item' ? TypeRegistry.itemTypes() : TypeRegistry.characterTypes();
+        if (remaining.length <= 1) {
+            this.showMessage(I18n.t(`types.lastOne.${kind}`), 'error');
+            return;
+        }
+
+        const used = this.usage(kind, type.id);
+        const note = used ? ` ${I18n.t(`types.keepIt.${kind}`, { count: used })}` : '';
+        const confirmed = await Dialog.confirm({
+            title: I18n.t('types.removeTitle', { label: type.label }),
+            message: `${I18n.t('types.removeConfirm', { label: type.label })}${note}`,
+            confirmLabel: I18n.t('common.remove'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        try {
+            TypeRegistry.removeType(kind, type.id);
+            if (this.editing && this.editing.kind === kind && this.editing.id === type.id) this.resetForm();
+            this.showMessage(I18n.t('types.removed', { label: type.label }));
+            this.changed();
+        } catch (error) {
+            console.error('Error removing type:', error);
+            this.showMessage(I18n.t('types.removeError'), 'error');
+        }
+    }
+
+    async restoreDefaults() {
+        const confirmed = await Dialog.confirm({
+            title: I18n.t('types.restoreTitle'),
+            message: I18n.t('types.restoreConfirm'),
+            confirmLabel: I18n.t('types.restore'),
+            danger: true
+        });
+        if (!confirmed) return;
+
+        TypeRegistry.reset();
+        this.resetForm();
+        this.showMessage(I18n.t('types.restored'));
+        this.changed();
+    }
+
+    // Redraw the lists and form title after the language changed
+    refreshLanguage() {
+        this.render();
+        this.showFormMode();
+    }
+
+    // Re-render after the registry changed here or in another tab
+    changed() {
+        this.render();
+        this.onChange();
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TypeSettings };
+}
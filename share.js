@@ -0,0 +1,147 @@
+// --- DOM Capstone: Share Links ---
+
+// Marks share payloads, and the version of the link string itself
+const SHARE_FORMAT = 'dragonRuneShare';
+const SHARE_VERSION = 1;
+
+// Fragment parameter holding the payload (detail.html#share=...)
+const SHARE_PARAM = 'share';
+
+// Thrown when a share link can't be read
+class ShareLinkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShareLinkError';
+    }
+}
+
+// Packs a character and its bag into a URL fragment and back. Links look like
+// "<link version>.<z|j>.<base64url>": 'z' payloads are deflated JSON, 'j' plain JSON
+// for browsers without CompressionStream.
+class ShareLink {
+    // Full detail-page URL that previews `character`
+    static async url(character) {
+        const url = new URL('detail.html', window.location.href);
+        url.search = '';
+        url.hash = `${SHARE_PARAM}=${await ShareLink.encode(character)}`;
+        return url.toString();
+    }
+
+    // The payload in a location hash, or null when it isn't a share link
+    static fromHash(hash) {
+        return new URLSearchParams(String(hash || '').replace(/^#/, '')).get(SHARE_PARAM);
+    }
+
+    static async encode(character) {
+        const json = JSON.stringify({ format: SHARE_FORMAT, version: SCHEMA_VERSION, character: ShareLink.strip(character) });
+        const bytes = new TextEncoder().encode(json);
+
+        if (typeof CompressionStream === 'undefined') {
+            return `${SHARE_VERSION}.j.${ShareLink.toBase64Url(bytes)}`;
+        }
+        const deflated = await ShareLink.pipe(bytes, new CompressionStream('deflate-raw'));
+        return `${SHARE_VERSION}.z.${ShareLink.toBase64Url(deflated)}`;
+    }
+
+    // Decode a payload into a character record that passes the usual validation
+    static async decode(payload) {
+        const [version, encoding, data] = String(payload).split('.');
+        if (Number(version) > SHARE_VERSION) {
+            throw new ShareLinkError(I18n.t('share.newerVersion'));
+        }
+        if (Number(version) !== SHARE_VERSION || !['z', 'j'].includes(encoding) || !data) {
+            throw new ShareLinkError(I18n.t('share.damaged'));
+        }
+
+        let envelope;
+        try {
+            let bytes = ShareLink.fromBase64Url(data);
+            if (encoding === 'z') {
+                if (typeof DecompressionStream === 'undefined') {
+                    throw new ShareLinkError(I18n.t('share.unsupported'));
+                }
+                bytes = await ShareLink.pipe(bytes, new DecompressionStream('deflate-raw'));
+            }
+            envelope = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            if (error instanceof ShareLinkError) throw error;
+            throw new ShareLinkError(I18n.t('share.damaged'));
+        }
+
+        if (!envelope || envelope.format !== SHARE_FORMAT || !envelope.character || typeof envelope.character !== 'object') {
+            throw new ShareLinkError(I18n.t('share.noCharacter'));
+        }
+        const schema = Number(envelope.version) || 0;
+        if (schema > SCHEMA_VERSION) {
+            throw new ShareLinkError(I18n.t('share.newerVersion'));
+        }
+
+        const [migrated] = CharacterRepository.migrate([envelope.character], schema);
+        const record = RosterTransfer.clean({
+            ...migrated,
+            id: null,
+            imageUrl: ShareLink.imageFor(migrated.imageUrl),
+            bag: migrated.bag
+        });
+
+        const error = RosterTransfer.recordError(record);
+        if (error) {
+            throw new ShareLinkError(I18n.t('share.invalidCharacter', { error }));
+        }
+        return record;
+    }
+
+    // Only what the recipient needs: no ids, dates or local portrait references
+    static strip(character) {
+        return {
+            type: character.type,
+            name: character.name,
+            description: character.description,
+            imageUrl: PortraitStore.isPortrait(character.imageUrl) ? '' : character.imageUrl,
+            attributes: character.attributes,
+            bag: character.bag.map(item => ({
+                type: item.type,
+                name: item.name,
+                description: item.description || '',
+                quantity: itemQuantity(item),
+                weight: item.weight,
+                equipped: !!item.equipped,
+                modifiers: item.modifiers || {}
+            }))
+        };
+    }
+
+    // Shared images must come from the built-in library, so a link can't make the
+    // page load an arbitrary address; anything else shows FALLBACK_IMAGE
+    static imageFor(imageUrl) {
+        return isAssetImage(imageUrl) ? imageUrl : FALLBACK_IMAGE;
+    }
+
+    // Whether sharing `character` leaves its portrait behind
+    static dropsPortrait(character) {
+        return PortraitStore.isPortrait(character.imageUrl);
+    }
+
+    static async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShareLink, ShareLinkError };
+}
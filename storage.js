@@ -0,0 +1,619 @@
+// --- DOM Capstone: Shared Character Storage ---
+
+// Local Storage Keys
+const CHARACTERS_KEY = 'dragonRuneCharacters';
+const CORRUPT_BACKUP_KEY = 'dragonRuneCharacters.corrupt';
+
+// Session Storage Keys: the gallery's last search, filters and sort, as a "?..." query
+const GALLERY_QUERY_KEY = 'galleryQuery';
+
+// IndexedDB roster: one record per character and one per bag item
+const ROSTER_DB = 'dragonRuneData';
+const CHARACTER_STORE = 'characters';
+const ITEM_STORE = 'items';
+const META_STORE = 'meta';
+
+// Tabs tell each other about roster writes on this channel
+const ROSTER_CHANNEL = 'dragonRuneRoster';
+
+// Warn once storage is this full
+const STORAGE_WARNING_RATIO = 0.8;
+
+// Image locations
+const IMAGE_DIR = 'assets/images/';
+const FALLBACK_IMAGE = `${IMAGE_DIR}ravenis.png`;
+
+// Version of the stored roster shape; bump it and add a migration when it changes
+const SCHEMA_VERSION = 4;
+
+// Ids come back from the URL as strings, so compare them as strings
+const sameId = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && String(a) === String(b);
+
+// Gallery link that restores its last search, filters and sort
+const galleryUrl = () => `index.html${sessionStorage.getItem(GALLERY_QUERY_KEY) || ''}`;
+
+// Thrown when the stored roster can't be read
+class CorruptDataError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CorruptDataError';
+    }
+}
+
+// Turn a bare filename into an assets/images path; full paths and data URLs pass through
+const normalizeImagePath = (imageUrl) => {
+    const value = (imageUrl || '').toString().trim();
+    if (!value) return '';
+    return value.includes('/') || value.includes(':') ? value : `${IMAGE_DIR}${value}`;
+};
+
+// Whether an image path points into the app's own image folder (no other hosts,
+// no climbing out with "..")
+const isAssetImage = (imageUrl) => {
+    const path = String(imageUrl || '');
+    return path.startsWith(IMAGE_DIR) && !path.includes('..') && /^[\w./-]+$/.test(path);
+};
+
+// Deep copy of stored data, so callers can't change the in-memory roster by accident
+const clone = (data) => JSON.parse(JSON.stringify(data));
+
+// How many of an item a bag entry holds (entries saved before stacking hold one)
+const itemQuantity = (item) => (Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1);
+
+// Total number of items in a bag, counting every item in a stack
+const bagCount = (bag) => (bag || []).reduce((sum, item) => sum + itemQuantity(item), 0);
+
+// Items are stored under [owner, id], so every item needs an id of its own within
+// its bag: items without one, or repeating an earlier item's, get a fresh id
+const withItemIds = (characters) => characters.map(char => {
+    const seen = new Set();
+    const bag = (char.bag || []).map(item => {
+        const taken = item.id === undefined || item.id === null || seen.has(String(item.id));
+        const id = taken ? `${Date.now()}${Math.random().toString(36).substr(2, 9)}` : item.id;
+        seen.add(String(id));
+        return taken ? { ...item, id } : item;
+    });
+    return { ...char, bag };
+});
+
+// Ordered migrations: each one upgrades the roster to its `version`
+const MIGRATIONS = [
+    {
+        version: 1,
+        // Fill in missing ids and bags, normalize image paths
+        migrate: (characters) => characters.map((char, i) => ({
+            ...char,
+            id: char.id === undefined || char.id === null ? Date.now() + i : char.id,
+            bag: Array.isArray(char.bag) ? char.bag : [],
+            imageUrl: normalizeImagePath(char.imageUrl)
+        }))
+    },
+    {
+        version: 2,
+        // Items stack: give every item a quantity and an id
+        migrate: (characters) => characters.map(char => ({
+            ...char,
+            bag: char.bag.map((item, i) => ({
+                ...item,
+                id: item.id === undefined || item.id === null ? `${char.id}-${i}` : item.id,
+                quantity: itemQuantity(item)
+            }))
+        }))
+    },
+    {
+        version: 3,
+        // Attributes and equipment: type defaults for characters, no effects on items
+        migrate: (characters) => characters.map(char => ({
+            ...char,
+            attributes: char.attributes || Attributes.defaultsFor(char.type),
+            bag: char.bag.map(item => ({
+                ...item,
+                equipped: !!item.equipped,
+                modifiers: item.modifiers || {}
+            }))
+        }))
+    },
+    {
+        version: 4,
+        // Items have a weight: use the type's default
+        migrate: (characters) => characters.map(char => ({
+            ...char,
+            bag: char.bag.map(item => ({
+                ...item,
+                weight: Encumbrance.itemWeight(item)
+            }))
+        }))
+    }
+];
+
+// Storage quota numbers from navigator.storage.estimate, where the browser offers them
+class StorageQuota {
+    static async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return quota ? { usage, quota } : null;
+        } catch (error) {
+            console.error('Error estimating storage:', error);
+            return null;
+        }
+    }
+
+    // A warning with the actual usage once storage is nearly full; null while there is room
+    static async lowSpaceWarning() {
+        const estimate = await this.estimate();
+        if (!estimate || estimate.usage / estimate.quota < STORAGE_WARNING_RATIO) return null;
+        return I18n.t('storage.low', { usage: this.describe(estimate) });
+    }
+
+    // Explain a failed write, with usage numbers when the browser ran out of space
+    static async failureMessage(error) {
+        if (!this.isQuotaError(error)) {
+            return I18n.t('storage.notSaved');
+        }
+        const estimate = await this.estimate();
+        return estimate ? I18n.t('storage.fullWithUsage', { usage: this.describe(estimate) }) : I18n.t('storage.full');
+    }
+
+    static isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
+    }
+
+    // "4.2 MB of 5 MB used (84%)"
+    static describe({ usage, quota }) {
+        return I18n.t('storage.usage', { usage: this.formatBytes(usage), quota: this.formatBytes(quota), percent: Math.round((usage / quota) * 100) });
+    }
+
+    static formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${I18n.formatNumber(Math.round(value * 10) / 10)} ${units[unit]}`;
+    }
+}
+
+// Single access point to the stored roster for both pages.
+// Characters and bag items are kept as separate IndexedDB records behind an in-memory
+// copy, so reads stay synchronous and a change only rewrites the records it touched.
+// Browsers without IndexedDB keep using the single localStorage entry.
+class CharacterRepository {
+    // Open the database and load the roster; pages await this before anything else
+    static init() {
+        if (!this.ready) {
+            this.ready = this.open();
+        }
+        return this.ready;
+    }
+
+    static async open() {
+        try {
+            this.db = await this.openDatabase();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, keeping characters in localStorage:', error);
+            this.db = null;
+            return;
+        }
+
+        try {
+            this.cache = await this.readAll();
+            await this.migrateLocalStorage();
+        } catch (error) {
+            // Keep the page working from localStorage (the migration only clears it once
+            // the copy landed) and explain why on the page's first warning listener
+            console.error('Error loading characters from IndexedDB:', error);
+            this.db.close();
+            this.db = null;
+            this.cache = [];
+            this.startupWarning = StorageQuota.isQuotaError(error)
+                ? await StorageQuota.failureMessage(error)
+                : I18n.t('storage.unavailable');
+            return;
+        }
+
+        // Other tabs announce their writes here
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(ROSTER_CHANNEL);
+            this.channel.onmessage = () => this.refresh()
+                .then(() => this.notify())
+                .catch(error => console.error('Error syncing characters:', error));
+        }
+    }
+
+    static openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+            const request = indexedDB.open(ROSTER_DB, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(CHARACTER_STORE, { keyPath: 'id' });
+                db.createObjectStore(ITEM_STORE, { keyPath: ['owner', 'id'] }).createIndex('owner', 'owner');
+                db.createObjectStore(META_STORE);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            // Another tab still has an older version open
+            request.onblocked = () => reject(new Error('The roster database is blocked by another tab'));
+        });
+    }
+
+    // Move a roster saved before IndexedDB into the database, once
+    static async migrateLocalStorage() {
+        const raw = localStorage.getItem(CHARACTERS_KEY);
+        if (!raw) return;
+
+        let characters;
+        try {
+            const stored = this.readLocal(raw);
+            characters = this.migrate(stored.characters, stored.version);
+        } catch (error) {
+            if (!(error instanceof CorruptDataError)) throw error;
+            // The unreadable copy is backed up; report it on the first load
+            localStorage.removeItem(CHARACTERS_KEY);
+            this.loadError = error;
+            return;
+        }
+
+        const merged = this.cache.slice();
+        characters.forEach(record => {
+            const index = merged.findIndex(char => sameId(char.id, record.id));
+            if (index === -1) {
+                merged.push(record);
+            } else {
+                merged[index] = record;
+            }
+        });
+
+        const changes = this.diff(merged);
+        this.cache = merged;
+        await this.write(changes);
+        localStorage.removeItem(CHARACTERS_KEY);
+    }
+
+    // Load all characters, upgrading older saves; throws CorruptDataError on unreadable data
+    static loadAll() {
+        if (!this.db) {
+            const raw = localStorage.getItem(CHARACTERS_KEY);
+            if (!raw) return [];
+
+            const stored = this.readLocal(raw);
+            if (stored.version >= SCHEMA_VERSION) {
+                return stored.characters;
+            }
+
+            const characters = this.migrate(stored.characters, stored.version);
+            this.saveAll(characters);
+            return characters;
+        }
+
+        // Unreadable localStorage data found while migrating is reported once
+        if (this.loadError) {
+            const error = this.loadError;
+            this.loadError = null;
+            throw error;
+        }
+        return clone(this.cache);
+    }
+
+    // Parse the localStorage roster into { version, characters }
+    static readLocal(raw) {
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch (error) {
+            throw this.preserveCorrupt(raw, I18n.t('storage.corrupt'));
+        }
+
+        // Version 0 saves were a bare array
+        const stored = Array.isArray(data) ? { version: 0, characters: data } : data;
+        if (!stored || !Array.isArray(stored.characters)) {
+            throw this.preserveCorrupt(raw, I18n.t('storage.unknownFormat'));
+        }
+
+        return { version: Number(stored.version) || 0, characters: stored.characters };
+    }
+
+    // Save all characters under the current schema version
+    static saveAll(characters) {
+        if (!this.db) {
+            localStorage.setItem(CHARACTERS_KEY, JSON.stringify({
+                version: SCHEMA_VERSION,
+                characters
+            }));
+            return;
+        }
+
+        // Only characters that differ from the stored copy are written
+        const changes = this.diff(characters);
+        this.cache = clone(characters);
+        this.persist(changes);
+    }
+
+    // Insert or replace characters by id, leaving every other stored record as it is
+    static saveRecords(records) {
+        return this.update(characters => {
+            records.forEach(record => {
+                const index = characters.findIndex(char => sameId(char.id, record.id));
+                if (index === -1) {
+                    characters.push(record);
+                } else {
+                    characters[index] = record;
+                }
+            });
+            return characters;
+        });
+    }
+
+    // Delete characters by id, leaving every other stored record as it is
+    static removeRecords(ids) {
+        return this.update(characters => characters.filter(char => !ids.some(id => sameId(id, char.id))));
+    }
+
+    // Apply `change` to the latest roster and write it back; returns the result.
+    // Working from the latest copy keeps another tab's edits to other characters intact.
+    static update(change) {
+        let characters;
+        if (this.db) {
+            characters = clone(this.cache);
+        } else {
+            try {
+                characters = this.loadAll();
+            } catch (error) {
+                if (!(error instanceof CorruptDataError)) throw error;
+                // The unreadable copy is already backed up, so start over
+                characters = [];
+            }
+        }
+
+        const updated = withItemIds(change(characters));
+        this.saveAll(updated);
+        return updated;
+    }
+
+    // Call `listener(characters)` whenever another tab changes the roster
+    // (or a write fails and the roster falls back to what is stored)
+    static subscribe(listener) {
+        if (this.db) {
+            this.listeners.push(listener);
+            return;
+        }
+
+        window.addEventListener('storage', (event) => {
+            // A null key means the whole storage area was cleared
+            if (event.key !== CHARACTERS_KEY && event.key !== null) return;
+
+            try {
+                listener(this.loadAll());
+            } catch (error) {
+                console.error('Error syncing characters:', error);
+            }
+        });
+    }
+
+    // Call `listener(message)` when storage runs low or a write fails; checks space right away
+    static onWarning(listener) {
+        this.warningListeners.push(listener);
+        if (this.startupWarning) {
+            listener(this.startupWarning);
+            this.startupWarning = null;
+        }
+        this.checkSpace();
+    }
+
+    // Warn (once per page) when storage is nearly full
+    static async checkSpace() {
+        if (this.warnedLow) return;
+        const message = await StorageQuota.lowSpaceWarning();
+        if (!message) return;
+
+        this.warnedLow = true;
+        this.warningListeners.forEach(listener => listener(message));
+    }
+
+    // Characters and items that need writing or deleting to turn the stored roster into `characters`
+    static diff(characters) {
+        const previous = new Map(this.cache.map(char => [String(char.id), char]));
+        const changed = characters.filter(char => JSON.stringify(previous.get(String(char.id))) !== JSON.stringify(char));
+        const removed = this.cache.filter(char => !characters.some(next => sameId(next.id, char.id)));
+        return changed
+            .map(char => ({ before: previous.get(String(char.id)) || null, after: char }))
+            .concat(removed.map(char => ({ before: char, after: null })))
+            .map(clone);
+    }
+
+    // Queue a write; a failed write reloads what is stored and warns the page
+    static persist(changes) {
+        if (changes.length === 0) return;
+
+        this.pending = this.pending
+            .then(() => this.write(changes))
+            .then(() => {
+                if (this.channel) this.channel.postMessage('changed');
+                this.checkSpace();
+            })
+            .catch(async (error) => {
+                console.error('Error saving characters:', error);
+                const message = await StorageQuota.failureMessage(error);
+                try {
+                    this.cache = await this.readAll();
+                    this.notify();
+                } catch (refreshError) {
+                    console.error('Error reloading characters:', refreshError);
+                }
+                this.warningListeners.forEach(listener => listener(message));
+            });
+    }
+
+    // Write character changes in one transaction, touching only records that differ
+    static write(changes) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CHARACTER_STORE, ITEM_STORE, META_STORE], 'readwrite');
+            const characterStore = transaction.objectStore(CHARACTER_STORE);
+            const itemStore = transaction.objectStore(ITEM_STORE);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Saving characters was interrupted'));
+
+            try {
+                changes.forEach(({ before, after }) => {
+                    const owner = String((after || before).id);
+                    const oldItems = before ? before.bag : [];
+                    const newItems = after ? after.bag : [];
+
+                    if (!after) {
+                        characterStore.delete(before.id);
+                    } else {
+                        // The bag lives in the item store
+                        const record = this.withoutBag(after);
+                        if (!before || JSON.stringify(record) !== JSON.stringify(this.withoutBag(before))) {
+                            characterStore.put({ ...record, order: this.orderOf(after.id) });
+                        }
+                    }
+
+                    newItems.forEach((item, position) => {
+                        if (JSON.stringify(item) !== JSON.stringify(oldItems[position])) {
+                            itemStore.put({ ...item, owner, position });
+                        }
+                    });
+                    oldItems
+                        .filter(item => !newItems.some(next => sameId(next.id, item.id)))
+                        .forEach(item => itemStore.delete([owner, item.id]));
+                });
+                transaction.objectStore(META_STORE).put(SCHEMA_VERSION, 'schemaVersion');
+            } catch (error) {
+                // Nothing from a half-done write may land
+                reject(error);
+                transaction.abort();
+            }
+        });
+    }
+
+    // The stored record remembers where the bag sat, so reads rebuild the same key
+    // order (history compares snapshots as JSON)
+    static withoutBag(character) {
+        const { bag, ...record } = character;
+        return { ...record, bagAt: Object.keys(character).indexOf('bag') };
+    }
+
+    static withBag(record, bag, bagAt) {
+        const entries = Object.entries(record);
+        entries.splice(bagAt >= 0 ? bagAt : entries.length, 0, ['bag', bag]);
+        return Object.fromEntries(entries);
+    }
+
+    // Where a character sits in the roster; new characters go after every stored one
+    static orderOf(id) {
+        const key = String(id);
+        if (!this.order.has(key)) {
+            this.order.set(key, Math.max(0, ...this.order.values()) + 1);
+        }
+        return this.order.get(key);
+    }
+
+    // Read the whole roster back from the database, upgrading older records
+    static readAll() {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([CHARACTER_STORE, ITEM_STORE, META_STORE], 'readonly');
+            const characters = transaction.objectStore(CHARACTER_STORE).getAll();
+            const items = transaction.objectStore(ITEM_STORE).getAll();
+            const version = transaction.objectStore(META_STORE).get('schemaVersion');
+
+            transaction.oncomplete = () => {
+                const bags = new Map();
+                items.result
+                    .sort((a, b) => a.position - b.position)
+                    .forEach(({ owner, position, ...item }) => {
+                        if (!bags.has(owner)) bags.set(owner, []);
+                        bags.get(owner).push(item);
+                    });
+
+                this.order = new Map();
+                const roster = characters.result
+                    .sort((a, b) => a.order - b.order)
+                    .map(({ order, bagAt, ...char }) => {
+                        this.order.set(String(char.id), order);
+                        return this.withBag(char, bags.get(String(char.id)) || [], bagAt);
+                    });
+
+                const stored = version.result === undefined ? SCHEMA_VERSION : version.result;
+                if (stored >= SCHEMA_VERSION) {
+                    resolve(roster);
+                    return;
+                }
+
+                // Records from an older schema: upgrade them and write them back
+                this.cache = roster;
+                const migrated = this.migrate(roster, stored);
+                this.write(this.diff(migrated)).then(() => resolve(migrated), reject);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Reload the in-memory copy once this tab's own writes have landed
+    static async refresh() {
+        let pending;
+        let characters;
+        do {
+            pending = this.pending;
+            await pending;
+            characters = await this.readAll();
+        } while (pending !== this.pending);
+        this.cache = characters;
+    }
+
+    static notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(clone(this.cache));
+            } catch (error) {
+                console.error('Error syncing characters:', error);
+            }
+        });
+    }
+
+    // Run every migration newer than `fromVersion`, in order, and make item ids storable
+    static migrate(characters, fromVersion) {
+        const migrated = MIGRATIONS
+            .filter(step => step.version > fromVersion)
+            .reduce((records, step) => step.migrate(records), characters);
+        return withItemIds(migrated);
+    }
+
+    // Keep a copy of unreadable data so the next save doesn't destroy it
+    static preserveCorrupt(raw, message) {
+        try {
+            localStorage.setItem(CORRUPT_BACKUP_KEY, raw);
+        } catch (error) {
+            console.error('Error backing up corrupted characters:', error);
+        }
+        return new CorruptDataError(I18n.t('storage.backupKept', { message, key: CORRUPT_BACKUP_KEY }));
+    }
+}
+
+// In-memory state shared by every caller on the page
+CharacterRepository.ready = null;
+CharacterRepository.db = null;
+CharacterRepository.cache = [];
+CharacterRepository.order = new Map();
+CharacterRepository.pending = Promise.resolve();
+CharacterRepository.channel = null;
+CharacterRepository.listeners = [];
+CharacterRepository.warningListeners = [];
+CharacterRepository.warnedLow = false;
+CharacterRepository.loadError = null;
+CharacterRepository.startupWarning = null;
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CharacterRepository, CorruptDataError, StorageQuota, MIGRATIONS, bagCount, itemQuantity, normalizeImagePath, isAssetImage, sameId, galleryUrl, GALLERY_QUERY_KEY };
+}
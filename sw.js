@@ -0,0 +1,89 @@
+// --- DOM Capstone: Offline Service Worker ---
+//
+// Precaches the whole app so it works without a connection. Service workers only
+// run over http(s), so serve the folder to try it, e.g. `python3 -m http.server 8000`
+// and open http://localhost:8000/.
+
+// Bump on every release: the new worker fills a fresh cache, waits until the page
+// accepts the update, then deletes the old one
+const CACHE_VERSION = 3;
+const CACHE_PREFIX = 'dragon-rune-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Everything the pages load; keep in step with their <script> and <link> tags
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'detail.html',
+    'party.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'i18n.js',
+    'locales/en.js',
+    'locales/es.js',
+    'locales/fr.js',
+    'types.js',
+    'attributes.js',
+    'encumbrance.js',
+    'storage.js',
+    'portraits.js',
+    'render.js',
+    'accessibility.js',
+    'charts.js',
+    'validation.js',
+    'history.js',
+    'roster.js',
+    'catalog.js',
+    'parties.js',
+    'relationships.js',
+    'generator.js',
+    'exporters.js',
+    'settings.js',
+    'partypanel.js',
+    'gallery.js',
+    'share.js',
+    'trade.js',
+    'details.js',
+    'party.js',
+    'pwa.js',
+    'assets/icons/icon-192.png',
+    'assets/icons/icon-512.png',
+    'assets/images/dravok.png',
+    'assets/images/faylen.png',
+    'assets/images/mithrond.png',
+    'assets/images/neraxis.png',
+    'assets/images/obon.png',
+    'assets/images/ravenis.png'
+];
+
+self.addEventListener('install', (event) => {
+    // `cache: 'reload'` skips the HTTP cache so a new version never stores stale files
+    event.waitUntil(caches.open(CACHE_NAME)
+        .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// The page posts this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first for the app's own files; pages match without their query
+// (detail.html?id=...), everything else goes to the network as usual
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_NAME)
+        .then(cache => cache.match(request, { ignoreSearch: request.mode === 'navigate' }))
+        .then(cached => cached || fetch(request)));
+});
@@ -0,0 +1,95 @@
+// --- DOM Capstone: Item Transfers Between Characters ---
+
+// Thrown when a give or trade can't happen as requested
+class TransferError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransferError';
+    }
+}
+
+class ItemTransfer {
+    // Move items from one character to another; `gives` is [{ itemId, quantity }].
+    // Returns updated copies of both characters and leaves the originals untouched.
+    static give(from, to, gives) {
+        return ItemTransfer.trade(from, to, gives, []);
+    }
+
+    // Swap items both ways in one step; nothing changes unless every item fits
+    static trade(a, b, aGives, bGives) {
+        if (sameId(a.id, b.id)) {
+            throw new TransferError(I18n.t('trade.samePartner'));
+        }
+        if (aGives.length === 0 && bGives.length === 0) {
+            throw new TransferError(I18n.t('trade.nothingSelected'));
+        }
+
+        const copy = (record) => JSON.parse(JSON.stringify(record));
+        const nextA = copy(a);
+        const nextB = copy(b);
+
+        // Take everything out first so swapped items don't collide with their own stacks
+        const fromA = ItemTransfer.take(nextA, aGives);
+        const fromB = ItemTransfer.take(nextB, bGives);
+
+        fromA.forEach(item => ItemTransfer.receive(nextB, item));
+        fromB.forEach(item => ItemTransfer.receive(nextA, item));
+
+        // Neither side may end up carrying more than it can
+        [[a, nextA], [b, nextB]].forEach(([before, after]) => {
+            const error = Encumbrance.overloadError(before, after);
+            if (error) throw new TransferError(error);
+        });
+
+        return { a: nextA, b: nextB };
+    }
+
+    // Remove the given quantities from a character's bag; returns the removed items
+    static take(character, gives) {
+        return gives.map(({ itemId, quantity }) => {
+            const index = character.bag.findIndex(item => sameId(item.id, itemId));
+            if (index === -1) {
+                throw new TransferError(I18n.t('trade.itemGone', { name: character.name }));
+            }
+
+            const item = character.bag[index];
+            const held = itemQuantity(item);
+            if (!Number.isInteger(quantity) || quantity < 1 || quantity > held) {
+                throw new TransferError(I18n.t('trade.quantity', { name: character.name, held, item: item.name }));
+            }
+
+            if (quantity === held) {
+                character.bag.splice(index, 1);
+            } else {
+                item.quantity = held - quantity;
+            }
+            // Handed-over items arrive unequipped
+            return { ...item, quantity, equipped: false };
+        });
+    }
+
+    // Put an item into a character's bag, stacking onto a same-named item when allowed
+    static receive(character, item) {
+        const stack = character.bag.find(held => held.name.toLowerCase() === item.name.toLowerCase());
+        if (stack) {
+            const error = validators.stackError(stack, item);
+            if (error) throw new TransferError(I18n.t('trade.receiverError', { name: character.name, error }));
+            stack.quantity = itemQuantity(stack) + item.quantity;
+            return;
+        }
+
+        const error = validators.itemError(item, character.bag);
+        if (error) throw new TransferError(I18n.t('trade.receiverError', { name: character.name, error }));
+
+        character.bag.push({
+            ...item,
+            id: `${Date.now()}${Math.random().toString(36).substr(2, 9)}`,
+            addedAt: new Date().toISOString()
+        });
+    }
+}
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ItemTransfer, TransferError };
+}
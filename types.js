@@ -0,0 +1,191 @@
+// --- DOM Capstone: Character and Item Type Registry ---
+
+// Local Storage Keys
+const TYPES_KEY = 'dragonRuneTypes';
+
+// Built-in types, used until the registry is edited in the settings panel.
+// `id` is what characters and items store; everything else can change freely.
+// `names` and `epithets` are the tables the random character generator draws from.
+// Labels, descriptions and epithets come from the message catalogs
+// (types.builtin.<id>.*) until a type is saved with its own.
+const DEFAULT_CHARACTER_TYPES = [
+    {
+        id: 'Dragon',
+        emoji: '🐲',
+        attributes: { health: 150, strength: 18, defense: 14, magic: 12 },
+        capacity: 200,
+        names: ['Vyrax', 'Ignara', 'Thalorn', 'Seraphex', 'Kaldris', 'Morvath', 'Zephyra', 'Drakmor']
+    },
+    {
+        id: 'Human',
+        emoji: '👤',
+        attributes: { health: 80, strength: 10, defense: 8, magic: 6 },
+        capacity: 20,
+        names: ['Aldric', 'Brenna', 'Corwin', 'Elspeth', 'Garrick', 'Isolde', 'Rowan', 'Talia']
+    }
+];
+
+// `use`: 'equip' items give their effects while equipped, 'consume' items are used up
+const DEFAULT_ITEM_TYPES = [
+    { id: 'Rune', emoji: '🔮', weight: 0.5, use: 'equip' },
+    { id: 'Weapon', emoji: '⚔️', weight: 5, use: 'equip' },
+    { id: 'Potion', emoji: '🧪', weight: 1, use: 'consume' },
+    { id: 'Treasure', emoji: '💰', weight: 2, use: 'none' },
+    { id: 'Armor', emoji: '🛡️', weight: 12, use: 'equip' }
+];
+
+// Built-in fields that are read from the message catalogs
+const BUILT_IN_TEXT = {
+    character: ['label', 'description', 'epithets'],
+    item: ['label', 'description']
+};
+
+const ITEM_USES = ['equip', 'consume', 'none'];
+
+// Stand-ins for types that were removed from the registry but are still in saved data
+const UNKNOWN_CHARACTER_TYPE = {
+    emoji: '❓',
+    description: '',
+    attributes: { health: 100, strength: 10, defense: 10, magic: 8 },
+    capacity: 30,
+    names: [],
+    epithets: []
+};
+const UNKNOWN_ITEM_TYPE = { emoji: '📦', description: '', weight: 1, use: 'none' };
+
+class TypeRegistry {
+    // Copies are handed out, so callers can't change the registry by accident
+    static characterTypes() {
+        return this.load().characterTypes.map(type => this.localize('character', type));
+    }
+
+    static itemTypes() {
+        return this.load().itemTypes.map(type => this.localize('item', type));
+    }
+
+    // Registry entry for a character type; unknown types get a placeholder named after them
+    static characterType(id) {
+        const type = this.load().characterTypes.find(entry => entry.id === id);
+        return type ? this.localize('character', type) : { ...this.copy(UNKNOWN_CHARACTER_TYPE), id, label: id || I18n.t('common.unknown'), unknown: true };
+    }
+
+    static itemType(id) {
+        const type = this.load().itemTypes.find(entry => entry.id === id);
+        return type ? this.localize('item', type) : { ...this.copy(UNKNOWN_ITEM_TYPE), id, label: id || I18n.t('common.unknown'), unknown: true };
+    }
+
+    // The built-in type `id` in the current language; null for user-defined ids
+    static builtIn(kind, id) {
+        const type = (kind === 'item' ? DEFAULT_ITEM_TYPES : DEFAULT_CHARACTER_TYPES).find(entry => entry.id === id);
+        return type ? this.localize(kind, type) : null;
+    }
+
+    // A copy of `type` with the catalog text filled in where a built-in type has none of its own
+    static localize(kind, type) {
+        const copy = this.copy(type);
+        if (!this.isBuiltIn(kind, type.id)) return copy;
+
+        BUILT_IN_TEXT[kind]
+            .filter(field => copy[field] === undefined)
+            .forEach(field => {
+                const key = `types.builtin.${type.id}.${field}`;
+                copy[field] = field === 'epithets' ? I18n.list(key) : I18n.t(key);
+            });
+        return copy;
+    }
+
+    static isBuiltIn(kind, id) {
+        return (kind === 'item' ? DEFAULT_ITEM_TYPES : DEFAULT_CHARACTER_TYPES).some(entry => entry.id === id);
+    }
+
+    // Add or replace a type; `kind` is 'character' or 'item'
+    static saveType(kind, entry) {
+        const registry = this.copy(this.load());
+        const list = registry[this.listName(kind)];
+        const index = list.findIndex(type => type.id === entry.id);
+        if (index === -1) {
+            list.push(entry);
+        } else {
+            list[index] = entry;
+        }
+        this.save(registry);
+    }
+
+    // Remove a type; characters and items that still use it keep showing with a placeholder
+    static removeType(kind, id) {
+        const registry = this.copy(this.load());
+        const name = this.listName(kind);
+        registry[name] = registry[name].filter(type => type.id !== id);
+        this.save(registry);
+    }
+
+    // Put the built-in types back
+    static reset() {
+        localStorage.removeItem(TYPES_KEY);
+        this.cached = null;
+    }
+
+    static copy(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    static listName(kind) {
+        return kind === 'item' ? 'itemTypes' : 'characterTypes';
+    }
+
+    // Call `listener()` whenever another tab edits the registry
+    static subscribe(listener) {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== TYPES_KEY && event.key !== null) return;
+            this.cached = null;
+            listener();
+        });
+    }
+
+    static load() {
+        if (!this.cached) {
+            this.cached = this.read();
+        }
+        return this.cached;
+    }
+
+    static read() {
+        const defaults = { characterTypes: DEFAULT_CHARACTER_TYPES, itemTypes: DEFAULT_ITEM_TYPES };
+        try {
+            const stored = JSON.parse(localStorage.getItem(TYPES_KEY));
+            if (stored && Array.isArray(stored.characterTypes) && Array.isArray(stored.itemTypes)) {
+                return {
+                    characterTypes: stored.characterTypes.map(type => this.withoutDefaultText('character', type)),
+                    itemTypes: stored.itemTypes.map(type => this.withoutDefaultText('item', type))
+                };
+            }
+        } catch (error) {
+            console.error('Error loading types:', error);
+        }
+        return defaults;
+    }
+
+    // Registries saved before the catalogs held the built-in text have it in English;
+    // drop it so those types follow the language again
+    static withoutDefaultText(kind, type) {
+        if (!this.isBuiltIn(kind, type.id)) return type;
+        const cleaned = { ...type };
+        BUILT_IN_TEXT[kind].forEach(field => {
+            const english = I18n.lookup(DEFAULT_LOCALE, `types.builtin.${type.id}.${field}`);
+            if (JSON.stringify(cleaned[field]) === JSON.stringify(english)) delete cleaned[field];
+        });
+        return cleaned;
+    }
+
+    static save(registry) {
+        localStorage.setItem(TYPES_KEY, JSON.stringify(registry));
+        this.cached = registry;
+    }
+}
+
+TypeRegistry.cached = null;
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TypeRegistry, DEFAULT_CHARACTER_TYPES, DEFAULT_ITEM_TYPES, ITEM_USES };
+}
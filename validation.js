@@ -0,0 +1,159 @@
+// --- DOM Capstone: Shared Validation Rules ---
+
+// Largest stack a single bag entry can hold
+const MAX_ITEM_QUANTITY = 999;
+
+// Heaviest a single item can be (kg)
+const MAX_ITEM_WEIGHT = 1000;
+
+// Each rule returns an error message, or null when the data is valid
+const validators = {
+    // Character rules; `characters` is the roster used for the duplicate-name check
+    characterError: (data, characters = [], ignoreId = null) => {
+        if (!data.type) {
+            return I18n.t('validation.characterType');
+        }
+
+        if (!data.name || data.name.length < 2) {
+            return I18n.t('validation.characterName');
+        }
+
+        if (!data.description || data.description.length < 5) {
+            return I18n.t('validation.characterDescription');
+        }
+
+        if (!data.imageUrl) {
+            return I18n.t('validation.characterPortrait');
+        }
+
+        // Attributes are optional; missing ones fall back to the type's defaults
+        if (data.attributes !== undefined && (typeof data.attributes !== 'object' || data.attributes === null ||
+            ATTRIBUTES.some(({ key }) => data.attributes[key] !== undefined &&
+                (!Number.isInteger(data.attributes[key]) || data.attributes[key] < 0)))) {
+            return I18n.t('validation.attributes');
+        }
+
+        // Check for duplicate names
+        if (characters.some(char => !sameId(char.id, ignoreId) && char.name.toLowerCase() === data.name.toLowerCase())) {
+            return I18n.t('validation.characterDuplicate');
+        }
+
+        return null;
+    },
+
+    // Item rules; `bag` is the bag the item goes into
+    itemError: (data, bag = [], ignoreId = null) => {
+        if (!data.type) {
+            return I18n.t('validation.itemType');
+        }
+
+        if (!data.name || data.name.length < 2) {
+            return I18n.t('validation.itemName');
+        }
+
+        if (!Number.isInteger(data.quantity) || data.quantity < 1 || data.quantity > MAX_ITEM_QUANTITY) {
+            return I18n.t('validation.itemQuantity', { max: MAX_ITEM_QUANTITY });
+        }
+
+        if (data.weight !== undefined && (typeof data.weight !== 'number' || !Number.isFinite(data.weight) ||
+            data.weight < 0 || data.weight > MAX_ITEM_WEIGHT)) {
+            return I18n.t('validation.weight', { max: MAX_ITEM_WEIGHT });
+        }
+
+        if (data.modifiers !== undefined && (typeof data.modifiers !== 'object' || data.modifiers === null ||
+            ATTRIBUTES.some(({ key }) => data.modifiers[key] !== undefined &&
+                (!Number.isInteger(data.modifiers[key]) || Math.abs(data.modifiers[key]) > MAX_MODIFIER)))) {
+            return I18n.t('validation.itemModifiers', { max: MAX_MODIFIER });
+        }
+
+        // Check for duplicate item names in bag
+        if (bag.some(item => !sameId(item.id, ignoreId) &&
+            item.name.toLowerCase() === data.name.toLowerCase())) {
+            return I18n.t('validation.itemDuplicate');
+        }
+
+        return null;
+    },
+
+    // Type registry rules; `kind` is 'character' or 'item', `types` the registered ones of that kind
+    typeError: (kind, data, types = [], editing = false) => {
+        if (!data.id || data.id.length < 2) {
+            return I18n.t('validation.typeId');
+        }
+
+        if (!editing && types.some(type => type.id.toLowerCase() === data.id.toLowerCase())) {
+            return I18n.t('validation.typeDuplicate');
+        }
+
+        if (!data.label || data.label.length < 2) {
+            return I18n.t('validation.typeLabel');
+        }
+
+        if (!data.emoji) {
+            return I18n.t('validation.typeEmoji');
+        }
+
+        if (kind === 'character') {
+            if (ATTRIBUTES.some(({ key }) => !Number.isInteger(data.attributes[key]) || data.attributes[key] < 0)) {
+                return I18n.t('validation.attributes');
+            }
+            if (!Number.isFinite(data.capacity) || data.capacity < 0) {
+                return I18n.t('validation.typeCapacity');
+            }
+            // Generated names are "<name> <epithet>" and must fit the 50-character name field
+            if ((data.names || []).some(name => name.length < 2 || name.length > 22)) {
+                return I18n.t('validation.typeNames');
+            }
+            if ((data.epithets || []).some(epithet => epithet.length > 22)) {
+                return I18n.t('validation.typeEpithets');
+            }
+            return null;
+        }
+
+        if (!Number.isFinite(data.weight) || data.weight < 0 || data.weight > MAX_ITEM_WEIGHT) {
+            return I18n.t('validation.weight', { max: MAX_ITEM_WEIGHT });
+        }
+        if (!ITEM_USES.includes(data.use)) {
+            return I18n.t('validation.typeUse');
+        }
+        return null;
+    },
+
+    // Party rules; `parties` are the existing parties used for the duplicate-name check
+    partyError: (data, parties = [], ignoreId = null) => {
+        if (!data.name || data.name.length < 2) {
+            return I18n.t('validation.partyNameShort');
+        }
+
+        if (data.name.length > 50) {
+            return I18n.t('validation.partyNameLong');
+        }
+
+        if (parties.some(party => !sameId(party.id, ignoreId) && party.name.toLowerCase() === data.name.toLowerCase())) {
+            return I18n.t('validation.partyDuplicate');
+        }
+
+        return null;
+    },
+
+    // Adding `data` onto the same-named `stack` already in a bag
+    stackError: (stack, data) => {
+        const error = validators.itemError(data);
+        if (error) return error;
+
+        if (stack.type !== data.type) {
+            return I18n.t('validation.stackType', { name: stack.name, type: TypeRegistry.itemType(stack.type).label });
+        }
+
+        if (itemQuantity(stack) + data.quantity > MAX_ITEM_QUANTITY) {
+            return I18n.t('validation.stackQuantity', { max: MAX_ITEM_QUANTITY });
+        }
+
+        return null;
+    }
+};
+
+// Export for testing (if needed)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validators, MAX_ITEM_QUANTITY, MAX_ITEM_WEIGHT };
+}